@@ -1,17 +1,527 @@
+class ItemArchive {
+    // Durable record of every item ever seen, kept in IndexedDB so it outlives
+    // the two snapshots stored in localStorage. Without IndexedDB (Node) the
+    // records are kept as one JSON blob in options.storage instead.
+    // Reporters' triage state lives in its own store, keyed the same way, so a
+    // check rewriting an item's record never races a star or a note.
+    // options.upgradeId(record) gives the current id for a record saved under an older id
+    // scheme; versions 3 and 4 (each an id change) move such records and their triage to
+    // the key that id makes.
+    constructor(keyFor, options = {}) {
+        this.keyFor = keyFor;
+        this.upgradeId = options.upgradeId || (record => record.id);
+        this.dbName = options.dbName || 'nola_monitor_archive';
+        this.version = 4;
+        this.storeName = 'items';
+        this.triageStoreName = 'triage';
+        this.storage = options.storage || null;
+        this.dbPromise = null;
+        this.memory = {};
+        this.fallbackUpgraded = false;
+    }
+
+    getFallbackKey(storeName) {
+        return storeName === this.storeName ? this.dbName : `${this.dbName}_${storeName}`;
+    }
+
+    getMemory(storeName = this.storeName) {
+        if (!this.memory[storeName]) {
+            let records = [];
+            try {
+                records = JSON.parse((this.storage && this.storage.getItem(this.getFallbackKey(storeName))) || '[]');
+            } catch (error) {
+                console.error('Error loading archive fallback:', error);
+            }
+            this.memory[storeName] = new Map(records.map(record => [record.key, record]));
+        }
+        return this.memory[storeName];
+    }
+
+    persistMemory(storeName = this.storeName) {
+        if (this.storage) {
+            this.storage.setItem(this.getFallbackKey(storeName), JSON.stringify(Array.from(this.memory[storeName].values())));
+        }
+    }
+
+    // The fallback has no schema version of its own, so one is kept next to the records
+    upgradeFallback() {
+        const versionKey = `${this.dbName}_version`;
+        if (this.fallbackUpgraded || !this.storage) return;
+        this.fallbackUpgraded = true;
+        if (this.storage.getItem(this.dbName) !== null && Number(this.storage.getItem(versionKey)) < this.version) {
+            const upgraded = this.rekeyRecords(
+                Array.from(this.getMemory().values()),
+                Array.from(this.getMemory(this.triageStoreName).values())
+            );
+            if (upgraded.moved > 0) {
+                this.memory[this.storeName] = new Map(upgraded.items.map(record => [record.key, record]));
+                this.memory[this.triageStoreName] = new Map(upgraded.triage.map(record => [record.key, record]));
+                this.persistMemory();
+                this.persistMemory(this.triageStoreName);
+            }
+        }
+        this.storage.setItem(versionKey, String(this.version));
+    }
+
+    // Moves each record to the key its upgraded id makes. A record a later check already wrote
+    // under the new key is merged with the old one, so the item keeps its first sighting and
+    // every version; triage follows its item, the most recently updated entry winning.
+    rekeyRecords(records, triageRecords) {
+        const items = new Map();
+        const renamed = new Map();
+        records.forEach(record => {
+            const id = this.upgradeId(record);
+            const key = this.keyFor({ ...record, id });
+            if (key !== record.key) renamed.set(record.key, key);
+            const existing = items.get(key);
+            items.set(key, existing ? this.mergeRecords(existing, { ...record, key, id }) : { ...record, key, id });
+        });
+        
+        const triage = new Map();
+        triageRecords.forEach(entry => {
+            const key = renamed.get(entry.key) || entry.key;
+            const existing = triage.get(key);
+            if (!existing || (entry.updatedAt || 0) > (existing.updatedAt || 0)) triage.set(key, { ...entry, key });
+        });
+        return { items: Array.from(items.values()), triage: Array.from(triage.values()), moved: renamed.size };
+    }
+
+    mergeRecords(a, b) {
+        const newer = b.lastSeen > a.lastSeen ? b : a;
+        const versions = a.versions.concat(b.versions)
+            .sort((x, y) => x.recordedAt - y.recordedAt)
+            .filter((version, index, all) => index === 0 || version.fingerprint !== all[index - 1].fingerprint);
+        return {
+            ...newer,
+            firstSeen: Math.min(a.firstSeen, b.firstSeen),
+            versions
+        };
+    }
+
+    open() {
+        if (typeof indexedDB === 'undefined') {
+            this.upgradeFallback();
+            return Promise.resolve(null);
+        }
+        
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, this.version);
+                request.onupgradeneeded = (event) => {
+                    const db = request.result;
+                    if (event.oldVersion < 1) {
+                        const store = db.createObjectStore(this.storeName, { keyPath: 'key' });
+                        store.createIndex('sourceId', 'sourceId');
+                        store.createIndex('firstSeen', 'firstSeen');
+                    }
+                    if (event.oldVersion < 2) {
+                        db.createObjectStore(this.triageStoreName, { keyPath: 'key' });
+                    }
+                    if (event.oldVersion >= 1 && event.oldVersion < 4) {
+                        this.rekeyStores(request.transaction);
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // Runs inside the versionchange transaction, so nothing reads the stores half-moved
+    rekeyStores(tx) {
+        const items = tx.objectStore(this.storeName);
+        const triage = tx.objectStore(this.triageStoreName);
+        items.getAll().onsuccess = (event) => {
+            const records = event.target.result;
+            triage.getAll().onsuccess = (triageEvent) => {
+                const upgraded = this.rekeyRecords(records, triageEvent.target.result);
+                if (upgraded.moved === 0) return;
+                items.clear();
+                triage.clear();
+                upgraded.items.forEach(record => items.put(record));
+                upgraded.triage.forEach(record => triage.put(record));
+            };
+        };
+    }
+
+    async getAll(storeName = this.storeName) {
+        const db = await this.open();
+        if (!db) return Array.from(this.getMemory(storeName).values());
+        
+        return new Promise((resolve, reject) => {
+            const request = db.transaction(storeName, 'readonly').objectStore(storeName).getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async putAll(records, storeName = this.storeName) {
+        const db = await this.open();
+        if (!db) {
+            const memory = this.getMemory(storeName);
+            records.forEach(record => memory.set(record.key, record));
+            this.persistMemory(storeName);
+            return;
+        }
+        
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, 'readwrite');
+            const store = tx.objectStore(storeName);
+            records.forEach(record => store.put(record));
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    async clear() {
+        const stores = [this.storeName, this.triageStoreName];
+        const db = await this.open();
+        if (!db) {
+            stores.forEach(storeName => {
+                this.memory[storeName] = new Map();
+                this.persistMemory(storeName);
+            });
+            return;
+        }
+        
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(stores, 'readwrite');
+            stores.forEach(storeName => tx.objectStore(storeName).clear());
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    // { key, read, starred, dismissed, assignee, notes, updatedAt } per item that has any
+    getTriage() {
+        return this.getAll(this.triageStoreName);
+    }
+
+    putTriage(records) {
+        return this.putAll(records, this.triageStoreName);
+    }
+
+    async recordCheck(items, removedItems, checkedAt = Date.now()) {
+        const existing = new Map((await this.getAll()).map(record => [record.key, record]));
+        const updates = [];
+        
+        items.forEach(item => {
+            const key = this.keyFor(item);
+            const version = {
+                recordedAt: checkedAt,
+                title: item.title,
+                excerpt: item.excerpt,
+                fingerprint: item.fingerprint,
+                bodyFingerprint: item.bodyFingerprint || null,
+                attachments: item.attachments ? item.attachments.map(attachment => attachment.url) : null
+            };
+            const record = existing.get(key);
+            
+            if (!record) {
+                updates.push({
+                    key,
+                    id: item.id,
+                    sourceId: item.sourceId,
+                    source: item.source,
+                    title: item.title,
+                    url: item.url,
+                    date: item.date,
+                    excerpt: item.excerpt,
+                    timestamp: item.timestamp,
+                    firstSeen: checkedAt,
+                    lastSeen: checkedAt,
+                    removedAt: null,
+                    versions: [version]
+                });
+                return;
+            }
+            
+            const latest = record.versions[record.versions.length - 1];
+            if (!latest || latest.fingerprint !== version.fingerprint ||
+                (version.bodyFingerprint && latest.bodyFingerprint !== version.bodyFingerprint) ||
+                (version.attachments && latest.attachments && version.attachments.join('\n') !== latest.attachments.join('\n'))) {
+                record.versions.push(version);
+            }
+            updates.push({
+                ...record,
+                title: item.title,
+                url: item.url,
+                date: item.date,
+                excerpt: item.excerpt,
+                lastSeen: checkedAt,
+                removedAt: null // Reappeared after being pulled
+            });
+        });
+        
+        removedItems.forEach(item => {
+            const record = existing.get(this.keyFor(item));
+            if (record && !record.removedAt) {
+                updates.push({ ...record, removedAt: checkedAt });
+            }
+        });
+        
+        await this.putAll(updates);
+        return updates.length;
+    }
+
+    async search({ text = '', sourceId = '', from = null, to = null, limit = 200 } = {}) {
+        const terms = text.toLowerCase().split(/\s+/).filter(Boolean);
+        
+        return (await this.getAll())
+            .filter(record => !sourceId || record.sourceId === sourceId)
+            .filter(record => from === null || record.firstSeen >= from)
+            .filter(record => to === null || record.firstSeen <= to)
+            .filter(record => {
+                if (terms.length === 0) return true;
+                const haystack = [record.title, record.excerpt, record.url]
+                    .concat(record.versions.map(version => version.title))
+                    .join(' ')
+                    .toLowerCase();
+                return terms.every(term => haystack.includes(term));
+            })
+            .sort((a, b) => b.firstSeen - a.firstSeen)
+            .slice(0, limit);
+    }
+}
+
 class NolaNewsMonitor {
-    constructor() {
-        this.apiUrl = 'https://nola.gov/next/news/';
-        this.keywords = ['budget', 'police', 'housing', 'development', 'mayor', 'council'];
-        this.activeKeywords = new Set(this.keywords);
+    // options.headless skips all DOM wiring (used by cli.js); options.storage swaps
+    // localStorage for anything with getItem/setItem/removeItem; options.webhookRetry
+    // overrides attempts, baseDelayMs or timeoutMs and options.fetchTimeoutMs the source
+    // and attachment fetch timeout (tests use short delays).
+    constructor(options = {}) {
+        this.headless = !!options.headless;
+        this.storage = options.storage || localStorage;
+        // Each source is fetched, parsed and diffed on its own. `parser` names an
+        // entry in this.parsers so new page layouts can be added without touching the pipeline.
+        this.sources = [
+            {
+                id: 'nola-gov',
+                label: 'City of New Orleans',
+                url: 'https://nola.gov/next/news/',
+                parser: 'html-listing',
+                profile: {
+                    item: ['.news-item', '.card'],
+                    title: ['h3 a'],
+                    date: ['.date'],
+                    source: ['.source']
+                },
+                linkSelector: 'h3 a[href*="/"], h3 a[href*="nopdnews.com"]'
+            },
+            {
+                id: 'nopd-news',
+                label: 'NOPD News',
+                url: 'https://nopdnews.com/news/',
+                parser: 'html-listing',
+                profile: {
+                    item: ['article.post', '.post-item'],
+                    title: ['.entry-title a'],
+                    date: ['time.entry-date', '.posted-on time'],
+                    excerpt: ['.entry-summary', '.entry-content p']
+                },
+                linkSelector: 'h2 a[href*="/"], h3 a[href*="/"]'
+            },
+            {
+                id: 'city-council',
+                label: 'City Council',
+                url: 'https://council.nola.gov/news/',
+                parser: 'html-listing',
+                profile: {
+                    item: ['article.post', '.news-listing .item'],
+                    title: ['.entry-title a'],
+                    date: ['time.entry-date', '.date'],
+                    excerpt: ['.entry-summary']
+                },
+                linkSelector: 'h2 a[href*="/"], h3 a[href*="/"]'
+            },
+            {
+                id: 'swbno',
+                label: 'Sewerage & Water Board',
+                url: 'https://www.swbno.org/Press/News',
+                parser: 'html-listing',
+                profile: {
+                    item: ['.news-list-item', '.list-item'],
+                    title: ['h4 a'],
+                    date: ['.news-date']
+                },
+                linkSelector: 'h2 a[href*="/"], h3 a[href*="/"], h4 a[href*="/"]'
+            },
+            {
+                id: 'council-meetings',
+                label: 'City Council Meetings',
+                url: 'https://council.nola.gov/meetings/',
+                parser: 'agenda-listing',
+                profile: {
+                    item: ['.meeting-listing .meeting'],
+                    title: ['.meeting-title'],
+                    date: ['.meeting-date time', '.meeting-date'],
+                    agendaItem: ['.agenda-items li']
+                }
+            }
+        ];
+        this.parsers = {
+            'html-listing': (html, source) => this.parseNewsFromHTML(html, source),
+            'feed': (content, source) => this.parseFeed(content, source), // RSS 2.0, RSS 1.0, Atom or JSON Feed
+            // Meeting calendars: items carry a `meeting` ({ start, end, allDay, location, status, agenda })
+            'ics': (content, source) => this.parseICalendar(content, source),
+            'agenda-listing': (html, source) => this.parseAgendaListing(html, source)
+        };
+        // Selectors tried after a source's own `profile`; linkSelector is the last resort
+        this.defaultSelectorProfile = {
+            item: ['article', '.views-row', '.news-item', '.post', 'li.item'],
+            title: ['h2 a', 'h3 a', 'h4 a', '.title a', 'a.title', 'h2', 'h3'],
+            link: ['h2 a[href]', 'h3 a[href]', 'h4 a[href]', 'a[href]'],
+            date: ['time[datetime]', 'time', '.date', '.datetime', '.published'],
+            excerpt: ['.summary', '.teaser', '.excerpt', '.field--name-body', 'p'],
+            source: ['.source', '.byline']
+        };
+        // agenda-listing pages: one container per meeting, its agenda items listed inside
+        this.defaultMeetingProfile = {
+            item: ['.meeting', '.event', 'tr.meeting', 'article'],
+            title: ['.meeting-title', '.event-title', 'h2', 'h3', 'h4'],
+            link: ['.meeting-title a[href]', 'h2 a[href]', 'h3 a[href]', 'h4 a[href]', 'a[href]'],
+            date: ['time[datetime]', '.meeting-date', '.date'],
+            time: ['.meeting-time', '.time'],
+            location: ['.meeting-location', '.location'],
+            status: ['.meeting-status', '.status'],
+            agendaLink: ['a.agenda-link[href]', 'a[href$=".pdf"]'],
+            agendaItem: ['.agenda-item', 'ol.agenda li', '.agenda li']
+        };
+        // Calendars exported from Windows servers name zones this way instead of with IANA ids
+        this.windowsTimeZones = {
+            'Central Standard Time': 'America/Chicago',
+            'Eastern Standard Time': 'America/New_York',
+            'Mountain Standard Time': 'America/Denver',
+            'Pacific Standard Time': 'America/Los_Angeles'
+        };
+        this.parseDiagnostics = {}; // source id -> strategy that produced the last parse
+        // Refuse a parse that drops a source from minPrevious+ items to dropRatio of that or less
+        this.parseGuard = { minPrevious: 3, dropRatio: 0.2 };
+        this.discoveredFeeds = {}; // source id -> feed URL found via <link rel="alternate">
+        // Query parameters dropped from canonical URLs (campaign and click tracking)
+        this.trackingParams = /^(utm_|fbclid$|gclid$|mc_[ce]id$|_ga$|_gl$)/i;
+        // Items are one story when their canonical URLs match, or when their headlines are this
+        // similar, their text overlaps this much and they were published within maxDaysApart
+        this.clusterOptions = { minTitleSimilarity: 0.5, minTextOverlap: 0.6, maxDaysApart: 7 };
+        // Scraped links are only rendered when they're http(s) on a source's host (or a subdomain)
+        // or on one of these, e.g. a document host the city links to; anything else shows as plain text
+        this.extraLinkHosts = [];
+        this.enabledSources = new Set(this.sources.map(source => source.id));
+        this.sourceStatus = {}; // Last fetch result per source id
+        this.archive = new ItemArchive(item => this.getItemKey(item), {
+            storage: this.storage,
+            upgradeId: record => this.upgradeItemId(record)
+        });
+        const watchlists = this.getDefaultWatchlists();
+        this.watchlists = watchlists.lists;
+        this.activeWatchlist = watchlists.active;
+        this.keywordAliases = watchlists.aliases;
+        this.compiledQueries = new Map();
+        // Named people, agencies and places, found alongside the rule-based addresses,
+        // dollar figures and ordinance numbers by extractEntities()
+        this.entityDictionary = this.getDefaultEntityDictionary();
+        this.entityTypes = {
+            person: { icon: '👤', label: 'Person' },
+            agency: { icon: '🏛️', label: 'Agency' },
+            place: { icon: '📍', label: 'Neighborhood' },
+            address: { icon: '🏠', label: 'Address' },
+            money: { icon: '💲', label: 'Dollar amount' },
+            legislation: { icon: '📜', label: 'Legislation' }
+        };
+        this.entityPatterns = null; // Compiled from entityDictionary on first use
+        this.scoringConfig = this.getDefaultScoringConfig();
+        // Results toolbar: filterMode is 'all' | 'matches' | 'hide', sortBy is 'source' | 'score' | 'date',
+        // entity is '' or 'type:value' from a clicked entity chip
+        // triage is one of triageViews; reporter is the name "My queue" matches assignees against
+        this.defaultViewOptions = { filterMode: 'all', sortBy: 'source', search: '', entity: '', triage: 'all', reporter: '' };
+        this.viewOptions = { ...this.defaultViewOptions };
+        this.triageViews = ['all', 'unread', 'starred', 'queue', 'dismissed'];
+        this.triage = new Map(); // item key -> triage record, mirrored from the archive's triage store
+        this.triageReady = null;
+        this.displayedStories = new Map(); // lead item key -> the items its card stands for
         this.lastCheck = null;
         this.previousNews = [];
         this.currentNews = [];
-        this.autoCheckInterval = null;
+        this.autoCheckTimer = null;
         this.autoCheckEnabled = false;
         this.checkIntervalMinutes = 15; // Default: check every 15 minutes
+        this.checkInFlight = null; // Promise of the running check; others join it instead of overlapping
+        this.nextCheckAt = null;
+        this.autoCheckFailures = 0; // Consecutive failed checks, for backoff
+        this.schedulerOptions = { tickMs: 1000, jitterRatio: 0.1, maxBackoffMinutes: 240 };
+        this.quietHours = null; // { start: 'HH:MM', end: 'HH:MM' }, may wrap past midnight
+        this.businessHoursOnly = false;
+        this.businessHours = { days: [1, 2, 3, 4, 5], start: '08:00', end: '18:00' };
+        // service-worker.js: offline app shell and, where supported, checks while the tab is closed
+        this.swRegistration = null;
+        this.backgroundSyncTag = 'nola-monitor-check'; // Must match PERIODIC_SYNC_TAG in service-worker.js
+        this.backgroundSyncActive = false;
         this.notificationsEnabled = false;
-        
-        this.init();
+        this.trackArticleBodies = false; // Also fetch item.url and diff the full article text
+        this.maxBodyFetchesPerCheck = 20;
+        this.maxStoredBodyLength = 5000;
+        // Linked documents collected from full articles, by file extension
+        this.attachmentTypes = { pdf: 'pdf', doc: 'doc', docx: 'docx', xls: 'xls', xlsx: 'xlsx' };
+        this.maxAttachmentChecksPerCheck = 40; // HEAD requests for size and Last-Modified
+        // Outbound webhooks: { id, name, url, format: 'slack' | 'teams' | 'json', minScore, watchlist, changeTypes, enabled }
+        this.webhooks = [];
+        this.webhookLog = []; // Most recent deliveries first
+        this.webhookRetry = { attempts: 3, baseDelayMs: 2000, timeoutMs: 10000, ...options.webhookRetry };
+        this.defaultWebhookMinScore = 1; // Hooks saved or imported without a threshold
+        this.maxWebhookItems = 20;
+        this.maxWebhookLogEntries = 50;
+        // Digests roll up the change log; SMTP delivery happens in `nola-monitor digest`
+        this.defaultDigestSettings = { period: 'daily', recipients: [], lastSentAt: null };
+        this.digestSettings = { ...this.defaultDigestSettings };
+        this.changeLogRetentionDays = 35;
+        // Check history feeds the 📈 Trends panel, so it's kept by age instead of as the last 10 checks
+        this.historyRetentionDays = 180;
+        this.extraHistoryEntries = 1000; // Manual checks and digests on top of the scheduled ones
+        this.historyDisplayLimit = 10;
+        // days and bucket ('day' | 'week') come from the panel; a check-time posting estimate
+        // is only trusted when the previous check ran at most maxDetectionGapHours earlier
+        this.trendOptions = { days: 30, bucket: 'day', maxDetectionGapHours: 2 };
+        this.chartColors = ['#2980b9', '#27ae60', '#8e44ad', '#e67e22', '#c0392b', '#16a085', '#7f8c8d'];
+        this.exportColumns = {
+            items: ['sourceId', 'source', 'title', 'url', 'date', 'excerpt', 'keywords', 'entities', 'score', 'level'],
+            changes: ['detectedAt', 'type', 'sourceId', 'source', 'title', 'url', 'keywords', 'entities', 'score', 'level', 'changedFields'],
+            history: ['timestamp', 'type', 'newsCount', 'changesCount', 'period', 'recipients'],
+            archive: ['sourceId', 'source', 'title', 'url', 'date', 'firstSeen', 'lastSeen', 'removedAt', 'versions', 'keywords', 'entities', 'score', 'level'],
+            meetings: ['sourceId', 'source', 'title', 'url', 'startsAt', 'endsAt', 'location', 'status', 'agendaItems', 'keywords', 'entities', 'score', 'level']
+        };
+        // Each proxy is a prefix the encoded target URL is appended to; an empty
+        // entry means fetch the URL directly. Editable in the Fetch Proxies panel.
+        this.defaultProxies = [
+            'https://corsproxy.io/?',
+            'https://cors-anywhere.herokuapp.com/',
+            'https://api.codetabs.com/v1/proxy?quest='
+        ];
+        this.localProxyPrefix = 'proxy?url='; // Served by `nola-monitor serve`
+        this.customProxies = false;
+        this.proxies = options.proxies || [...this.defaultProxies];
+        this.proxyOverride = !!options.proxies; // Passed in for this run; saved proxies don't apply
+        // Per proxy attempt, body included; the same limit proxy-server.js puts on upstream requests
+        this.fetchTimeoutMs = options.fetchTimeoutMs || 15000;
+        this.settingsVersion = 2; // Schema of nola_monitor_settings - see getSettingsMigrations()
+        this.storageProblems = [];
+        this.savedAutoCheck = { enabled: false, interval: 15 };
+        // Plugins hook into the check lifecycle, see registerPlugin(). Change types
+        // label changes in webhooks, digests and feeds; plugins can add their own.
+        this.pluginHooks = ['beforeFetch', 'afterParse', 'changesDetected', 'itemScored', 'checkFailed'];
+        this.plugins = [];
+        this.changeTypes = {
+            NEW: { label: 'New', emoji: '🆕' },
+            MODIFIED: { label: 'Edited', emoji: '✏️' },
+            REMOVED: { label: 'Removed', emoji: '🗑️' }
+        };
+        (options.plugins || []).forEach(plugin => this.registerPlugin(plugin));
+
+        if (this.headless) {
+            this.loadFromStorage();
+        } else {
+            this.init();
+        }
     }
 
     init() {
@@ -22,11 +532,15 @@ class NolaNewsMonitor {
         console.log('Local Storage Available:', typeof(Storage) !== 'undefined');
         console.log('Notification API Available:', 'Notification' in window);
         
+        this.notificationsEnabled = 'Notification' in window && Notification.permission === 'granted';
         this.setupEventListeners();
         this.loadFromStorage();
+        this.detectLocalProxy();
+        this.registerServiceWorker();
         
         console.log('Monitor initialized successfully');
-        console.log('Current keywords:', Array.from(this.activeKeywords));
+        console.log('Active watchlist:', this.activeWatchlist, this.getActiveRules().map(rule => rule.query));
+        console.log('Enabled sources:', Array.from(this.enabledSources));
         console.log('Auto-check enabled:', this.autoCheckEnabled);
         console.log('=== INITIALIZATION COMPLETE ===');
     }
@@ -74,548 +588,4383 @@ class NolaNewsMonitor {
             });
         }
         
-        // Setup filter tag toggles
-        const filterTags = document.querySelectorAll('.filter-tag');
-        console.log('Found filter tags:', filterTags.length);
-        filterTags.forEach(tag => {
-            tag.addEventListener('click', () => this.toggleKeyword(tag));
+        ['quietStart', 'quietEnd', 'businessHoursToggle'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.addEventListener('change', () => this.updateScheduleSettings());
         });
         
-        console.log('Event listeners setup complete');
-    }
-
-    toggleKeyword(tag) {
-        const keyword = tag.dataset.keyword;
-        if (this.activeKeywords.has(keyword)) {
-            this.activeKeywords.delete(keyword);
-            tag.classList.remove('active');
-        } else {
-            this.activeKeywords.add(keyword);
-            tag.classList.add('active');
+        // Keyword tags are rendered from the active watchlist
+        const addKeywordBtn = document.getElementById('addKeywordBtn');
+        const keywordInput = document.getElementById('keywordInput');
+        const watchlistSelect = document.getElementById('watchlistSelect');
+        const newWatchlistBtn = document.getElementById('newWatchlistBtn');
+        const deleteWatchlistBtn = document.getElementById('deleteWatchlistBtn');
+        const saveAliasesBtn = document.getElementById('saveAliasesBtn');
+        
+        if (addKeywordBtn && keywordInput) {
+            addKeywordBtn.addEventListener('click', () => this.addKeyword(keywordInput.value));
+            keywordInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.addKeyword(keywordInput.value);
+            });
+        }
+        if (watchlistSelect) {
+            watchlistSelect.addEventListener('change', (e) => this.switchWatchlist(e.target.value));
+        }
+        if (newWatchlistBtn) {
+            newWatchlistBtn.addEventListener('click', () => this.createWatchlist());
         }
+        if (deleteWatchlistBtn) {
+            deleteWatchlistBtn.addEventListener('click', () => this.deleteWatchlist());
+        }
+        if (saveAliasesBtn) {
+            saveAliasesBtn.addEventListener('click', () => this.saveAliases());
+        }
+        this.renderKeywordTags();
         
-        // Re-filter current results if they exist
-        if (this.currentNews.length > 0) {
-            this.displayNews(this.currentNews);
+        const filterMode = document.getElementById('filterMode');
+        const sortBy = document.getElementById('sortBy');
+        const newsSearch = document.getElementById('newsSearch');
+        if (filterMode) {
+            filterMode.addEventListener('change', (e) => this.setViewOption('filterMode', e.target.value));
+        }
+        if (sortBy) {
+            sortBy.addEventListener('change', (e) => this.setViewOption('sortBy', e.target.value));
+        }
+        if (newsSearch) {
+            newsSearch.addEventListener('input', (e) => this.setViewOption('search', e.target.value));
         }
-    }
-
-    async checkForUpdates() {
-        console.log('=== CHECK FOR UPDATES START ===');
-        console.log('Timestamp:', new Date().toISOString());
-        console.log('Current news count:', this.currentNews.length);
-        console.log('Previous news count:', this.previousNews.length);
-        console.log('Starting fresh data fetch from nola.gov...');
         
-        const btn = document.getElementById('checkNowBtn');
-        const status = document.getElementById('status');
+        const triageFilter = document.getElementById('triageFilter');
+        const reporterName = document.getElementById('reporterName');
+        const markAllReadBtn = document.getElementById('markAllReadBtn');
+        if (triageFilter) {
+            triageFilter.addEventListener('change', (e) => this.setViewOption('triage', e.target.value));
+        }
+        if (reporterName) {
+            reporterName.addEventListener('change', (e) => this.setViewOption('reporter', e.target.value.trim()));
+        }
+        if (markAllReadBtn) {
+            markAllReadBtn.addEventListener('click', () => this.markAllRead());
+        }
         
-        btn.disabled = true;
-        status.className = 'status loading';
-        status.innerHTML = '<div class="loading-spinner"></div>Fetching fresh data from nola.gov...';
-
-        try {
-            // Always fetch fresh data from NOLA.gov - never use cache for manual checks
-            const freshData = await this.fetchRealNewsData();
-            console.log('=== FRESH DATA RECEIVED ===');
-            console.log('Items count:', freshData.length);
-            console.log('Sample items:', freshData.slice(0, 2));
-            
-            // Store previous data for comparison
-            console.log('Storing previous data for comparison...');
-            this.previousNews = [...this.currentNews];
-            this.currentNews = freshData;
-            
-            // Detect changes
-            console.log('Detecting changes...');
-            const changes = this.detectChanges();
-            console.log('=== CHANGES DETECTED ===');
-            console.log('Total changes:', changes.length);
-            console.log('New items:', changes.filter(c => c.type === 'NEW').length);
-            console.log('Removed items:', changes.filter(c => c.type === 'REMOVED').length);
-            if (changes.length > 0) {
-                console.log('Change details:', changes);
-            }
-            
-            this.displayNews(freshData);
-            this.displayChanges(changes);
-            this.saveToStorage();
-            this.updateLastCheckedDisplay();
-            this.addToHistory(freshData.length, changes.length);
-            
-            // Send notifications for new items
-            if (changes.length > 0) {
-                this.sendNotifications(changes);
-            }
-            
-            this.updateStatus(`Found ${freshData.length} news items, ${changes.length} changes detected`, true);
-            console.log('=== CHECK FOR UPDATES SUCCESS ===');
-            
-        } catch (error) {
-            console.log('=== CHECK FOR UPDATES FAILED ===');
-            console.error('Error checking for updates:', error);
-            console.error('Error type:', error.constructor.name);
-            console.error('Error message:', error.message);
-            console.error('Error stack:', error.stack);
-            this.updateStatus('Error: ' + error.message, false);
-            console.log('=== CHECK FOR UPDATES END (FAILED) ===');
-        } finally {
-            const btn = document.getElementById('checkNowBtn');
-            btn.disabled = false;
+        const saveScoringBtn = document.getElementById('saveScoringBtn');
+        const resetScoringBtn = document.getElementById('resetScoringBtn');
+        if (saveScoringBtn) {
+            saveScoringBtn.addEventListener('click', () => this.saveScoringConfig());
         }
-    }
-
-    async requestNotificationPermission() {
-        if ('Notification' in window) {
-            if (Notification.permission === 'default') {
-                const permission = await Notification.requestPermission();
-                this.notificationsEnabled = permission === 'granted';
-            } else {
-                this.notificationsEnabled = Notification.permission === 'granted';
-            }
+        if (resetScoringBtn) {
+            resetScoringBtn.addEventListener('click', () => this.resetScoringConfig());
         }
-    }
-
-    sendNotifications(changes) {
-        if (!this.notificationsEnabled || changes.length === 0) return;
-
-        const newItems = changes.filter(change => change.type === 'NEW');
-        if (newItems.length === 0) return;
-
-        // Group notifications to avoid spam
-        if (newItems.length === 1) {
-            const item = newItems[0].item;
-            new Notification('🏛️ New NOLA News Item', {
-                body: `${item.title}\nFrom: ${item.source}`,
-                icon: '/favicon.ico',
-                tag: 'nola-news-single'
-            });
-        } else {
-            new Notification('🏛️ Multiple New NOLA News Items', {
-                body: `${newItems.length} new items detected. Check the monitor for details.`,
-                icon: '/favicon.ico',
-                tag: 'nola-news-multiple'
+        this.renderScoringSettings();
+        
+        const bodiesToggle = document.getElementById('trackBodiesToggle');
+        if (bodiesToggle) {
+            bodiesToggle.addEventListener('change', (e) => {
+                console.log('Full article tracking:', e.target.checked);
+                this.trackArticleBodies = e.target.checked;
+                this.saveSetting('options', { trackArticleBodies: this.trackArticleBodies });
             });
         }
-
-        // Play notification sound (optional)
-        this.playNotificationSound();
-    }
-
-    playNotificationSound() {
-        // Create a subtle notification sound
-        const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-        const oscillator = audioContext.createOscillator();
-        const gainNode = audioContext.createGain();
         
-        oscillator.connect(gainNode);
-        gainNode.connect(audioContext.destination);
+        // Source toggles are rendered from the registry
+        this.renderSourceToggles();
         
-        oscillator.frequency.setValueAtTime(800, audioContext.currentTime);
-        oscillator.frequency.setValueAtTime(600, audioContext.currentTime + 0.1);
+        const saveProxiesBtn = document.getElementById('saveProxiesBtn');
+        const resetProxiesBtn = document.getElementById('resetProxiesBtn');
+        if (saveProxiesBtn) {
+            saveProxiesBtn.addEventListener('click', () => this.saveProxies());
+        }
+        if (resetProxiesBtn) {
+            resetProxiesBtn.addEventListener('click', () => this.resetProxies());
+        }
         
-        gainNode.gain.setValueAtTime(0.1, audioContext.currentTime);
-        gainNode.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + 0.3);
+        const addWebhookBtn = document.getElementById('addWebhookBtn');
+        if (addWebhookBtn) {
+            addWebhookBtn.addEventListener('click', () => this.addWebhook());
+        }
+        this.renderWebhooks();
+        this.displayWebhookLog();
         
-        oscillator.start(audioContext.currentTime);
-        oscillator.stop(audioContext.currentTime + 0.3);
-    }
-
-    toggleAutoCheck() {
-        const btn = document.getElementById('autoCheckBtn');
-        const status = document.getElementById('autoStatus');
+        const saveDigestBtn = document.getElementById('saveDigestBtn');
+        const previewDigestBtn = document.getElementById('previewDigestBtn');
+        if (saveDigestBtn) {
+            saveDigestBtn.addEventListener('click', () => this.updateDigestSettings());
+        }
+        if (previewDigestBtn) {
+            previewDigestBtn.addEventListener('click', () => this.previewDigest());
+        }
         
-        if (this.autoCheckEnabled) {
-            this.stopAutoCheck();
-            btn.textContent = '▶️ Start Auto Check';
-            btn.className = 'primary-btn';
-            status.textContent = 'Auto-check disabled';
-            status.className = 'auto-status';
-        } else {
-            this.startAutoCheck();
-            btn.textContent = '⏸️ Stop Auto Check';
-            btn.className = 'secondary-btn';
-            status.textContent = `Auto-checking every ${this.checkIntervalMinutes} minutes`;
-            status.className = 'auto-status active';
+        const exportBtn = document.getElementById('exportBtn');
+        const exportDataset = document.getElementById('exportDataset');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => this.downloadExport());
+        }
+        if (exportDataset) {
+            // Feeds only make sense for detected changes, calendars for meetings
+            exportDataset.addEventListener('change', (e) => {
+                document.querySelectorAll('#exportFormat .feed-format').forEach(option => {
+                    option.disabled = e.target.value !== 'changes';
+                });
+                document.querySelectorAll('#exportFormat .calendar-format').forEach(option => {
+                    option.disabled = e.target.value !== 'meetings';
+                });
+            });
         }
-    }
-
-    startAutoCheck() {
-        console.log('=== START AUTO-CHECK ===');
-        console.log('Current interval minutes:', this.checkIntervalMinutes);
         
-        if (this.autoCheckInterval) {
-            console.log('Clearing existing auto-check interval');
-            clearInterval(this.autoCheckInterval);
+        const backupBtn = document.getElementById('backupBtn');
+        const restoreInput = document.getElementById('restoreInput');
+        if (backupBtn) {
+            backupBtn.addEventListener('click', () => this.downloadBackup());
+        }
+        if (restoreInput) {
+            restoreInput.addEventListener('change', (e) => {
+                if (e.target.files.length > 0) this.restoreBackupFile(e.target.files[0]);
+                e.target.value = '';
+            });
         }
         
-        const intervalMs = this.checkIntervalMinutes * 60 * 1000;
-        console.log(`Setting up auto-check every ${this.checkIntervalMinutes} minutes (${intervalMs}ms)`);
+        const trendRange = document.getElementById('trendRange');
+        const trendBucket = document.getElementById('trendBucket');
+        if (trendRange) {
+            trendRange.addEventListener('change', (e) => {
+                this.trendOptions.days = parseInt(e.target.value, 10);
+                this.renderTrends();
+            });
+        }
+        if (trendBucket) {
+            trendBucket.addEventListener('change', (e) => {
+                this.trendOptions.bucket = e.target.value;
+                this.renderTrends();
+            });
+        }
         
-        this.autoCheckInterval = setInterval(() => {
-            console.log('=== AUTO-CHECK TRIGGERED ===');
-            console.log('Timestamp:', new Date().toISOString());
-            this.checkForUpdates();
-        }, intervalMs);
+        const newsResults = document.getElementById('newsResults');
+        if (newsResults) {
+            // Rendered with the results, so listen on the container
+            newsResults.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-accept-drop]');
+                if (button) this.acceptSourceDrop(button.dataset.acceptDrop);
+                const chip = e.target.closest('[data-entity]');
+                if (chip) this.setEntityFilter(chip.dataset.entity);
+                
+                const card = e.target.closest('[data-story]');
+                if (!card) return;
+                const toggle = e.target.closest('[data-triage-toggle]');
+                if (toggle) {
+                    const field = toggle.dataset.triageToggle;
+                    this.triageStory(card.dataset.story, { [field]: !this.getTriageState(this.displayedStories.get(card.dataset.story)[0])[field] });
+                } else if (e.target.closest('.news-title a') && card.classList.contains('unread')) {
+                    // Opening the article counts as reading it
+                    this.triageStory(card.dataset.story, { read: true });
+                }
+            });
+            // Assignee and notes save when the field loses focus
+            newsResults.addEventListener('change', (e) => {
+                const field = e.target.closest('[data-triage-field]');
+                const card = e.target.closest('[data-story]');
+                if (field && card) this.triageStory(card.dataset.story, { [field.dataset.triageField]: field.value.trim() });
+            });
+        }
+        const entityFilter = document.getElementById('entityFilter');
+        if (entityFilter) {
+            entityFilter.addEventListener('click', (e) => {
+                if (e.target.closest('[data-entity]')) this.setEntityFilter('');
+            });
+        }
         
-        console.log('Auto-check started successfully');
-        console.log('Interval ID:', this.autoCheckInterval);
+        const archiveBtn = document.getElementById('archiveSearchBtn');
+        const archiveQuery = document.getElementById('archiveQuery');
+        if (archiveBtn) {
+            archiveBtn.addEventListener('click', () => this.searchArchive());
+        }
+        if (archiveQuery) {
+            archiveQuery.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.searchArchive();
+            });
+        }
         
-        // Save auto-check state
-        localStorage.setItem('nola_monitor_autocheck', JSON.stringify({
-            enabled: true,
-            interval: this.checkIntervalMinutes
-        }));
+        console.log('Event listeners setup complete');
     }
 
-    stopAutoCheck() {
-        console.log('=== STOP AUTO-CHECK ===');
-        if (this.autoCheckInterval) {
-            console.log('Clearing interval ID:', this.autoCheckInterval);
-            clearInterval(this.autoCheckInterval);
-            this.autoCheckInterval = null;
-            console.log('Auto-check stopped successfully');
-        } else {
-            console.log('No auto-check interval to stop');
+    registerSource(source) {
+        if (!source || !source.id || !source.url) {
+            throw new Error('A source needs at least an id and a url');
+        }
+        if (!this.parsers[source.parser]) {
+            throw new Error(`Unknown parser "${source.parser}" for source ${source.id}`);
         }
         
-        // Save auto-check state
-        localStorage.setItem('nola_monitor_autocheck', JSON.stringify({
-            enabled: false,
-            interval: this.checkIntervalMinutes
-        }));
+        this.sources = this.sources.filter(existing => existing.id !== source.id);
+        this.sources.push({ label: source.id, ...source });
+        this.enabledSources.add(source.id);
+        this.renderSourceToggles();
     }
 
-    setCheckInterval(minutes) {
-        this.checkIntervalMinutes = parseInt(minutes);
-        
-        // Restart auto-check with new interval if it's running
-        if (this.autoCheckEnabled) {
-            this.stopAutoCheck();
+    registerParser(name, parseFn) {
+        this.parsers[name] = parseFn;
+    }
+
+    // A plugin is { name, hooks: { <hook>(event, monitor) }, changeTypes, deliver(alerts, monitor) }.
+    // Registering the same name again replaces the earlier plugin.
+    registerPlugin(plugin) {
+        if (!plugin || !plugin.name) {
+            throw new Error('A plugin needs at least a name');
+        }
+        const hooks = plugin.hooks || {};
+        const unknown = Object.keys(hooks).filter(hook => !this.pluginHooks.includes(hook));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown hook(s) ${unknown.join(', ')} in plugin ${plugin.name}. Available: ${this.pluginHooks.join(', ')}`);
+        }
+        const notFunctions = Object.keys(hooks).filter(hook => typeof hooks[hook] !== 'function');
+        if (notFunctions.length > 0 || (plugin.deliver && typeof plugin.deliver !== 'function')) {
+            throw new Error(`Plugin ${plugin.name}: hooks and deliver must be functions`);
+        }
+
+        Object.entries(plugin.changeTypes || {}).forEach(([type, info]) => {
+            this.changeTypes[type] = { label: info.label || type, emoji: info.emoji || '🔔' };
+        });
+        this.plugins = this.plugins.filter(existing => existing.name !== plugin.name);
+        this.plugins.push(plugin);
+        console.log('Plugin registered:', plugin.name, Object.keys(hooks));
+    }
+
+    unregisterPlugin(name) {
+        this.plugins = this.plugins.filter(plugin => plugin.name !== name);
+    }
+
+    // Handlers run in registration order and edit the shared event in place.
+    // A plugin that throws is logged and skipped; it never fails the check.
+    async runHook(name, event) {
+        for (const plugin of this.plugins) {
+            const handler = plugin.hooks && plugin.hooks[name];
+            if (!handler) continue;
+            try {
+                await handler.call(plugin, event, this);
+            } catch (error) {
+                console.error(`Plugin ${plugin.name} failed in ${name}:`, error);
+            }
+        }
+        return event;
+    }
+
+    // For hooks called from synchronous code (itemScored); returned promises are not waited for
+    runHookSync(name, event) {
+        for (const plugin of this.plugins) {
+            const handler = plugin.hooks && plugin.hooks[name];
+            if (!handler) continue;
+            try {
+                const result = handler.call(plugin, event, this);
+                if (result && typeof result.then === 'function') {
+                    console.warn(`Plugin ${plugin.name}: ${name} handlers must be synchronous, the returned promise was ignored`);
+                    result.catch(error => console.error(`Plugin ${plugin.name} failed in ${name}:`, error));
+                }
+            } catch (error) {
+                console.error(`Plugin ${plugin.name} failed in ${name}:`, error);
+            }
+        }
+        return event;
+    }
+
+    // Extra output channels: plugins with deliver() get the same changes as webhooks
+    async deliverToPlugins(alerts) {
+        const results = [];
+        for (const plugin of this.plugins.filter(candidate => candidate.deliver)) {
+            try {
+                await plugin.deliver(alerts, this);
+                results.push({ plugin: plugin.name, ok: true });
+            } catch (error) {
+                console.error(`Plugin ${plugin.name} delivery failed:`, error);
+                results.push({ plugin: plugin.name, ok: false, error: error.message });
+            }
+        }
+        return results;
+    }
+
+    getChangeTypeLabel(type, withEmoji = false) {
+        const info = this.changeTypes[type] || { label: type, emoji: '🔔' };
+        return withEmoji ? `${info.emoji} ${info.label}` : info.label;
+    }
+
+    getSource(sourceId) {
+        return this.sources.find(source => source.id === sourceId);
+    }
+
+    getEnabledSources() {
+        return this.sources.filter(source => this.enabledSources.has(source.id));
+    }
+
+    getItemSourceId(item) {
+        // Items saved before sources existed all came from the nola.gov listing
+        return item.sourceId || this.sources[0].id;
+    }
+
+    getItemKey(item) {
+        return `${this.getItemSourceId(item)}:${item.id}`;
+    }
+
+    renderSourceToggles() {
+        if (this.headless) return;
+        const container = document.getElementById('sourceTags');
+        if (!container) return;
+        
+        container.innerHTML = this.sources.map(source => `
+            <span class="filter-tag source-tag ${this.enabledSources.has(source.id) ? 'active' : ''}"
+                  data-source="${this.escapeHtml(source.id)}" title="${this.escapeHtml(source.url)}">${this.escapeHtml(source.label)}</span>
+        `).join('');
+        
+        container.querySelectorAll('.source-tag').forEach(tag => {
+            tag.addEventListener('click', () => this.toggleSource(tag));
+        });
+        
+        const archiveSource = document.getElementById('archiveSource');
+        if (archiveSource) {
+            archiveSource.innerHTML = '<option value="">All sources</option>' + this.sources.map(source =>
+                `<option value="${this.escapeHtml(source.id)}">${this.escapeHtml(source.label)}</option>`
+            ).join('');
+        }
+    }
+
+    toggleSource(tag) {
+        const sourceId = tag.dataset.source;
+        if (this.enabledSources.has(sourceId)) {
+            if (this.enabledSources.size === 1) {
+                this.updateStatus('At least one source must stay enabled', false);
+                return;
+            }
+            this.enabledSources.delete(sourceId);
+            tag.classList.remove('active');
+        } else {
+            this.enabledSources.add(sourceId);
+            tag.classList.add('active');
+        }
+        
+        this.saveSetting('sources', Array.from(this.enabledSources));
+        
+        if (this.currentNews.length > 0) {
+            this.displayNews(this.currentNews);
+        }
+    }
+
+    getDefaultWatchlists() {
+        return {
+            // Named keyword watchlists, one per beat. Each rule is a query such as
+            // `budget`, `"city council" AND vote` or `police OR fire -sports`.
+            lists: [{
+                name: 'Default',
+                rules: ['budget', 'police', 'housing', 'development', 'mayor', 'council']
+                    .map(query => ({ query, enabled: true }))
+            }],
+            active: 'Default',
+            // Synonyms applied wherever a term appears in a rule
+            aliases: {
+                police: ['nopd', '"police department"']
+            }
+        };
+    }
+
+    getActiveWatchlist() {
+        return this.watchlists.find(list => list.name === this.activeWatchlist) || this.watchlists[0];
+    }
+
+    getActiveRules() {
+        return this.getActiveWatchlist().rules;
+    }
+
+    renderKeywordTags() {
+        if (this.headless) return;
+        
+        const container = document.getElementById('keywordTags');
+        const select = document.getElementById('watchlistSelect');
+        const aliasList = document.getElementById('aliasList');
+        
+        if (select) {
+            select.innerHTML = this.watchlists.map(list =>
+                `<option value="${this.escapeHtml(list.name)}" ${list.name === this.getActiveWatchlist().name ? 'selected' : ''}>${this.escapeHtml(list.name)}</option>`
+            ).join('');
+        }
+        if (aliasList) {
+            aliasList.value = Object.entries(this.keywordAliases)
+                .map(([term, aliases]) => `${term}: ${aliases.join(', ')}`)
+                .join('\n');
+        }
+        if (!container) return;
+        
+        const rules = this.getActiveRules();
+        if (rules.length === 0) {
+            container.innerHTML = '<span class="placeholder">No keywords in this watchlist yet</span>';
+            return;
+        }
+        
+        container.innerHTML = rules.map((rule, index) => `
+            <span class="filter-tag ${rule.enabled ? 'active' : ''}" data-index="${index}">
+                ${this.escapeHtml(rule.query)}
+                <button class="tag-remove" data-index="${index}" title="Remove keyword">×</button>
+            </span>
+        `).join('');
+        
+        container.querySelectorAll('.filter-tag').forEach(tag => {
+            tag.addEventListener('click', () => this.toggleKeyword(tag));
+        });
+        container.querySelectorAll('.tag-remove').forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.removeKeyword(Number(button.dataset.index));
+            });
+        });
+    }
+
+    toggleKeyword(tag) {
+        const rule = this.getActiveRules()[Number(tag.dataset.index)];
+        if (!rule) return;
+        
+        rule.enabled = !rule.enabled;
+        tag.classList.toggle('active', rule.enabled);
+        this.saveWatchlists();
+        
+        // Re-filter current results if they exist
+        if (this.currentNews.length > 0) {
+            this.displayNews(this.currentNews);
+        }
+    }
+
+    addKeyword(query) {
+        const trimmed = (query || '').trim();
+        if (!trimmed) return;
+        
+        try {
+            this.compileKeywordQuery(trimmed);
+        } catch (error) {
+            this.updateStatus(`Invalid keyword rule: ${error.message}`, false);
+            return;
+        }
+        
+        const rules = this.getActiveRules();
+        if (rules.some(rule => rule.query.toLowerCase() === trimmed.toLowerCase())) {
+            this.updateStatus(`"${trimmed}" is already in this watchlist`, false);
+            return;
+        }
+        
+        rules.push({ query: trimmed, enabled: true });
+        this.saveWatchlists();
+        this.renderKeywordTags();
+        
+        const input = document.getElementById('keywordInput');
+        if (input) input.value = '';
+        if (this.currentNews.length > 0) {
+            this.displayNews(this.currentNews);
+        }
+    }
+
+    removeKeyword(index) {
+        this.getActiveRules().splice(index, 1);
+        this.saveWatchlists();
+        this.renderKeywordTags();
+        
+        if (this.currentNews.length > 0) {
+            this.displayNews(this.currentNews);
+        }
+    }
+
+    switchWatchlist(name) {
+        if (!this.watchlists.some(list => list.name === name)) return;
+        
+        this.activeWatchlist = name;
+        this.saveWatchlists();
+        this.renderKeywordTags();
+        
+        if (this.currentNews.length > 0) {
+            this.displayNews(this.currentNews);
+        }
+    }
+
+    createWatchlist() {
+        const name = (prompt('Name for the new watchlist (e.g. your beat):') || '').trim();
+        if (!name) return;
+        if (this.watchlists.some(list => list.name.toLowerCase() === name.toLowerCase())) {
+            this.updateStatus(`A watchlist named "${name}" already exists`, false);
+            return;
+        }
+        
+        this.watchlists.push({ name, rules: [] });
+        this.switchWatchlist(name);
+    }
+
+    deleteWatchlist() {
+        if (this.watchlists.length === 1) {
+            this.updateStatus('The last watchlist cannot be deleted', false);
+            return;
+        }
+        
+        const list = this.getActiveWatchlist();
+        if (!confirm(`Delete the "${list.name}" watchlist?`)) return;
+        
+        this.watchlists = this.watchlists.filter(other => other !== list);
+        this.switchWatchlist(this.watchlists[0].name);
+    }
+
+    saveAliases() {
+        const aliases = {};
+        const lines = document.getElementById('aliasList').value.split('\n');
+        
+        for (const line of lines) {
+            if (!line.trim()) continue;
+            const separator = line.indexOf(':');
+            if (separator === -1) {
+                this.updateStatus(`Alias lines look like "police: nopd, officers" - got "${line.trim()}"`, false);
+                return;
+            }
+            
+            const term = line.slice(0, separator).trim().toLowerCase().replace(/^"|"$/g, '');
+            const synonyms = line.slice(separator + 1).split(',').map(alias => alias.trim()).filter(Boolean);
+            if (term && synonyms.length > 0) {
+                aliases[term] = synonyms;
+            }
+        }
+        
+        this.keywordAliases = aliases;
+        this.compiledQueries.clear();
+        this.saveWatchlists();
+        this.updateStatus(`Saved aliases for ${Object.keys(aliases).length} terms`, true);
+        
+        if (this.currentNews.length > 0) {
+            this.displayNews(this.currentNews);
+        }
+    }
+
+    saveWatchlists() {
+        this.saveSetting('watchlists', {
+            active: this.activeWatchlist,
+            lists: this.watchlists,
+            aliases: this.keywordAliases
+        });
+        this.renderWebhooks(); // Webhook thresholds can name a watchlist
+    }
+
+    // Single flight: a scheduled tick or another click while a check runs joins it.
+    // Resolves to the check result, or null when the check failed.
+    checkForUpdates() {
+        if (this.checkInFlight) {
+            console.log('Check already running - joining it');
+            return this.checkInFlight;
+        }
+        
+        // Whatever the auto-check state, the status line drops "checking now" once the check settles
+        this.checkInFlight = this.performCheck().finally(() => {
+            this.checkInFlight = null;
+            this.updateAutoStatus();
+        });
+        this.updateAutoStatus();
+        return this.checkInFlight.then(result => {
+            if (this.autoCheckEnabled) this.scheduleNextCheck(result !== null);
+            return result;
+        });
+    }
+
+    async performCheck() {
+        const btn = document.getElementById('checkNowBtn');
+        const status = document.getElementById('status');
+        
+        btn.disabled = true;
+        status.className = 'status loading';
+
+        try {
+            const result = await this.runCheck(message => {
+                status.innerHTML = `<div class="loading-spinner"></div>${this.escapeHtml(message)}`;
+            });
+            
+            this.displayNews(result.items);
+            this.displayChanges(result.changes);
+            this.updateLastCheckedDisplay();
+            this.displayHistory();
+            
+            // Send notifications for new items
+            if (result.alerts.length > 0) {
+                this.sendNotifications(result.alerts);
+            }
+            
+            let message = `Found ${result.items.length} news items, ${result.changes.length} changes detected`;
+            if (result.failedSources.length > 0) {
+                message += ` (failed: ${result.failedSources.map(source => source.label).join(', ')})`;
+            }
+            this.updateStatus(message, true);
+            this.syncServiceWorker();
+            return result;
+            
+        } catch (error) {
+            if (navigator.onLine === false && this.showSavedResults()) return null;
+            this.updateStatus('Error: ' + error.message, false);
+            return null;
+        } finally {
+            const btn = document.getElementById('checkNowBtn');
+            btn.disabled = false;
+        }
+    }
+
+    // Fetch, diff, archive and persist one round of checks without touching the DOM.
+    // Shared by the page (checkForUpdates) and the headless CLI (cli.js).
+    async runCheck(onProgress = () => {}) {
+        console.log('=== CHECK FOR UPDATES START ===');
+        console.log('Timestamp:', new Date().toISOString());
+        console.log('Current news count:', this.currentNews.length);
+        console.log('Previous news count:', this.previousNews.length);
+        console.log('Sources to check:', this.getEnabledSources().map(source => source.id));
+        const isFirstCheck = this.lastCheck === null;
+
+        try {
+            // Always fetch fresh data - never use cache for manual checks
+            const freshData = [];
+            const failedSources = [];
+            // Plugins may skip sources for this round or add one-off ones
+            const { sources } = await this.runHook('beforeFetch', { sources: this.getEnabledSources(), isFirstCheck });
+            
+            for (const source of sources) {
+                onProgress(`Fetching fresh data from ${source.label}...`);
+                
+                try {
+                    delete this.parseDiagnostics[source.id];
+                    const parsed = await this.fetchRealNewsData(source);
+                    this.checkParseSanity(source, parsed);
+                    const items = await this.applyAfterParse(source, parsed, isFirstCheck);
+                    freshData.push(...items);
+                    this.sourceStatus[source.id] = {
+                        ok: true,
+                        count: items.length,
+                        via: ['feed', 'ics'].includes(source.parser) || this.discoveredFeeds[source.id] ? 'feed' : 'page',
+                        strategy: this.parseDiagnostics[source.id] || null,
+                        warning: items.length === 0 ? 'No items found - the page layout may have changed' : null,
+                        checkedAt: Date.now()
+                    };
+                    console.log(`Source ${source.id}: ${items.length} items`);
+                } catch (sourceError) {
+                    console.error(`Source ${source.id} failed:`, sourceError.message);
+                    // Carry the last known items forward so a failed fetch isn't reported as removals
+                    const carried = this.currentNews.filter(item => this.getItemSourceId(item) === source.id);
+                    freshData.push(...carried);
+                    failedSources.push(source);
+                    this.sourceStatus[source.id] = {
+                        ok: false,
+                        suspect: !!sourceError.parserSuspect,
+                        count: carried.length,
+                        error: sourceError.message,
+                        strategy: this.parseDiagnostics[source.id] || null,
+                        checkedAt: Date.now()
+                    };
+                    await this.runHook('checkFailed', { error: sourceError, source, isFirstCheck });
+                }
+            }
+            
+            // A suspect parse still fetched fine - keep going so the warning is saved and shown
+            if (sources.length > 0 && failedSources.length === sources.length &&
+                !failedSources.some(source => this.sourceStatus[source.id].suspect)) {
+                throw new Error('Unable to fetch news data from any source. Please check your internet connection.');
+            }
+            
+            console.log('=== FRESH DATA RECEIVED ===');
+            console.log('Items count:', freshData.length);
+            console.log('Sample items:', freshData.slice(0, 2));
+            
+            if (this.trackArticleBodies) {
+                onProgress('Fetching full article text...');
+                await this.fetchArticleBodies(freshData, this.currentNews);
+            }
+            
+            // Store previous data for comparison. Items from sources that weren't
+            // checked this round are kept so re-enabling a source doesn't re-report them.
+            console.log('Storing previous data for comparison...');
+            const checkedSources = new Set(sources.map(source => source.id));
+            const unchecked = this.currentNews.filter(item => !checkedSources.has(this.getItemSourceId(item)));
+            this.previousNews = [...this.currentNews];
+            this.currentNews = freshData.concat(unchecked);
+            this.markFirstSeen(freshData, this.previousNews);
+            
+            // Detect changes
+            console.log('Detecting changes...');
+            // Plugins may edit or add changes (see changeTypes) and mute alerts with change.muted
+            const { changes } = await this.runHook('changesDetected', {
+                changes: this.detectChanges(sources),
+                items: freshData,
+                previousItems: this.previousNews,
+                isFirstCheck
+            });
+            console.log('=== CHANGES DETECTED ===');
+            console.log('Total changes:', changes.length);
+            console.log('New items:', changes.filter(c => c.type === 'NEW').length);
+            console.log('Removed items:', changes.filter(c => c.type === 'REMOVED').length);
+            console.log('Modified items:', changes.filter(c => c.type === 'MODIFIED').length);
+            if (changes.length > 0) {
+                console.log('Change details:', changes);
+            }
+            
+            try {
+                const removed = changes.filter(change => change.type === 'REMOVED').map(change => change.item);
+                const archived = await this.archive.recordCheck(freshData, removed);
+                console.log('Archive records updated:', archived);
+            } catch (archiveError) {
+                // The archive is a record, not part of the check - never fail a check over it
+                console.error('Archive update failed:', archiveError);
+            }
+            
+            this.saveToStorage();
+            this.addToHistory(freshData.length, changes.length, {
+                newCount: changes.filter(change => change.type === 'NEW').length,
+                failedSources: failedSources.map(source => source.id)
+            });
+            
+            // Dismissed items and muted changes still show up as changes, but never alert
+            await this.loadTriage();
+            const alerts = changes.filter(change => !change.muted && !this.getTriageState(change.item).dismissed);
+            if (!isFirstCheck && alerts.length > 0) {
+                this.recordChangeLog(alerts, this.lastCheck);
+            }
+            
+            // The first check reports every item as new; don't flood the channels with it.
+            // Webhooks aren't awaited, so a slow endpoint never holds up the check: `deliveries`
+            // resolves to the log entries once every one has settled
+            const deliveries = alerts.length > 0 && this.webhooks.length > 0 && !isFirstCheck
+                ? this.sendWebhooks(alerts)
+                : Promise.resolve([]);
+            const pluginDeliveries = alerts.length > 0 && !isFirstCheck ? await this.deliverToPlugins(alerts) : [];
+            
+            console.log('=== CHECK FOR UPDATES SUCCESS ===');
+            return { items: freshData, changes, alerts, failedSources, deliveries, pluginDeliveries };
+            
+        } catch (error) {
+            console.log('=== CHECK FOR UPDATES FAILED ===');
+            console.error('Error checking for updates:', error);
+            console.error('Error type:', error.constructor.name);
+            console.error('Error message:', error.message);
+            console.error('Error stack:', error.stack);
+            console.log('=== CHECK FOR UPDATES END (FAILED) ===');
+            await this.runHook('checkFailed', { error, source: null, isFirstCheck });
+            throw error;
+        }
+    }
+
+    async requestNotificationPermission() {
+        if ('Notification' in window) {
+            if (Notification.permission === 'default') {
+                const permission = await Notification.requestPermission();
+                this.notificationsEnabled = permission === 'granted';
+            } else {
+                this.notificationsEnabled = Notification.permission === 'granted';
+            }
+        }
+    }
+
+    sendNotifications(changes) {
+        if (!this.notificationsEnabled || changes.length === 0) return;
+
+        const newItems = changes.filter(change => change.type === 'NEW');
+        const modifiedItems = changes.filter(change => change.type === 'MODIFIED');
+        if (newItems.length === 0 && modifiedItems.length === 0) return;
+
+        // Group notifications to avoid spam
+        if (newItems.length === 0) {
+            this.showNotification('✏️ NOLA News Item Edited', {
+                body: modifiedItems.length === 1
+                    ? `${modifiedItems[0].item.title}\nFrom: ${modifiedItems[0].item.source}`
+                    : `${modifiedItems.length} items were edited. Check the monitor for details.`,
+                icon: 'icon.svg',
+                tag: 'nola-news-modified'
+            });
+        } else if (newItems.length === 1) {
+            const item = newItems[0].item;
+            this.showNotification('🏛️ New NOLA News Item', {
+                body: `${item.title}\nFrom: ${item.source}`,
+                icon: 'icon.svg',
+                tag: 'nola-news-single'
+            });
+        } else {
+            this.showNotification('🏛️ Multiple New NOLA News Items', {
+                body: `${newItems.length} new items detected. Check the monitor for details.`,
+                icon: 'icon.svg',
+                tag: 'nola-news-multiple'
+            });
+        }
+
+        // Play notification sound (optional)
+        this.playNotificationSound();
+    }
+
+    // Through the service worker when there is one, so clicking the notification
+    // focuses the monitor even after the tab was backgrounded
+    showNotification(title, options) {
+        if (this.swRegistration) {
+            this.swRegistration.showNotification(title, options)
+                .catch(error => console.error('Service worker notification failed:', error));
+        } else {
+            new Notification(title, options);
+        }
+    }
+
+    async registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) {
+            console.log('Service workers unavailable - auto-check runs only while this tab is open');
+            return;
+        }
+        
+        try {
+            await navigator.serviceWorker.register('service-worker.js');
+            this.swRegistration = await navigator.serviceWorker.ready;
+            console.log('Service worker ready, scope:', this.swRegistration.scope);
+            this.syncServiceWorker();
+            await this.updateBackgroundSync();
+        } catch (error) {
+            console.error('Service worker registration failed:', error);
+        }
+    }
+
+    // What the service worker needs for a background check; it can't read localStorage
+    getServiceWorkerConfig() {
+        const knownUrls = {};
+        this.currentNews.forEach(item => {
+            const sourceId = this.getItemSourceId(item);
+            (knownUrls[sourceId] = knownUrls[sourceId] || []).push(item.url);
+        });
+        
+        return {
+            sources: this.getEnabledSources()
+                .filter(source => source.parser === 'html-listing')
+                .map(source => ({ id: source.id, label: source.label, url: source.url })),
+            proxies: this.proxies,
+            knownUrls,
+            lastCheck: this.lastCheck,
+            notify: this.notificationsEnabled
+        };
+    }
+
+    syncServiceWorker() {
+        if (!this.swRegistration || !this.swRegistration.active) return;
+        this.swRegistration.active.postMessage({ type: 'config', config: this.getServiceWorkerConfig() });
+    }
+
+    // Periodic Background Sync (Chromium, installed app) keeps checking with the tab
+    // closed. Anywhere else the in-page scheduler is all there is.
+    async updateBackgroundSync() {
+        const periodicSync = this.swRegistration && this.swRegistration.periodicSync;
+        if (!periodicSync) {
+            this.backgroundSyncActive = false;
+            return;
+        }
+        
+        try {
+            if (this.autoCheckEnabled) {
+                const permission = await navigator.permissions.query({ name: 'periodic-background-sync' });
+                if (permission.state !== 'granted') {
+                    console.log('Periodic background sync not granted - install the app to enable it');
+                    this.backgroundSyncActive = false;
+                } else {
+                    await periodicSync.register(this.backgroundSyncTag, { minInterval: this.checkIntervalMinutes * 60 * 1000 });
+                    this.backgroundSyncActive = true;
+                }
+            } else {
+                await periodicSync.unregister(this.backgroundSyncTag);
+                this.backgroundSyncActive = false;
+            }
+        } catch (error) {
+            console.error('Periodic background sync unavailable:', error);
+            this.backgroundSyncActive = false;
+        }
+        this.updateAutoStatus();
+    }
+
+    // Offline, the last saved results are better than an empty page
+    showSavedResults() {
+        if (this.currentNews.length === 0) return false;
+        
+        this.displayNews(this.currentNews);
+        this.updateLastCheckedDisplay();
+        const savedAt = this.lastCheck ? new Date(this.lastCheck).toLocaleString() : 'an earlier check';
+        this.updateStatus(`Offline - showing results saved at ${savedAt}`, false);
+        return true;
+    }
+
+    playNotificationSound() {
+        // Create a subtle notification sound
+        const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        const oscillator = audioContext.createOscillator();
+        const gainNode = audioContext.createGain();
+        
+        oscillator.connect(gainNode);
+        gainNode.connect(audioContext.destination);
+        
+        oscillator.frequency.setValueAtTime(800, audioContext.currentTime);
+        oscillator.frequency.setValueAtTime(600, audioContext.currentTime + 0.1);
+        
+        gainNode.gain.setValueAtTime(0.1, audioContext.currentTime);
+        gainNode.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + 0.3);
+        
+        oscillator.start(audioContext.currentTime);
+        oscillator.stop(audioContext.currentTime + 0.3);
+    }
+
+    // Summary of one change shared by webhook payloads and the CLI output
+    describeChange(change) {
+        const item = change.item;
+        const keywords = this.findKeywords(item);
+        const entities = this.extractEntities(item);
+        const newsworthiness = this.calculateNewsworthiness(item, keywords, entities);
+        
+        return {
+            type: change.type,
+            sourceId: this.getItemSourceId(item),
+            source: item.source,
+            title: item.title,
+            url: item.url,
+            date: item.date,
+            excerpt: item.excerpt,
+            keywords,
+            entities,
+            score: newsworthiness.score,
+            level: newsworthiness.level,
+            scoreBreakdown: this.formatScoreBreakdown(newsworthiness.breakdown),
+            changedFields: (change.diffs || []).map(diff => diff.field),
+            attachmentChanges: (change.diffs || [])
+                .filter(diff => diff.attachmentChanges)
+                .flatMap(diff => diff.attachmentChanges)
+                .map(entry => ({
+                    type: entry.type,
+                    name: entry.attachment.name,
+                    url: entry.attachment.url,
+                    size: entry.attachment.size || null,
+                    previousUrl: entry.previous ? entry.previous.url : null,
+                    previousSize: entry.previous ? entry.previous.size || null : null
+                })),
+            ...(item.meeting ? { meeting: this.summarizeMeeting(item, change) } : {})
+        };
+    }
+
+    // Meeting fields for webhook payloads, the change log and the meetings export
+    summarizeMeeting(item, change = null) {
+        const agendaDiff = ((change && change.diffs) || []).find(diff => diff.agendaChanges);
+        return {
+            startsAt: item.meeting.start,
+            endsAt: item.meeting.end,
+            allDay: item.meeting.allDay,
+            location: item.meeting.location,
+            status: item.meeting.status,
+            agendaUrl: item.meeting.agendaUrl,
+            agendaItems: item.meeting.agenda.map(entry => entry.title),
+            addedAgendaItems: agendaDiff
+                ? agendaDiff.agendaChanges.filter(entry => entry.type === 'added').map(entry => entry.entry.title)
+                : []
+        };
+    }
+
+    // Changes a webhook wants, after its type, score and watchlist thresholds
+    selectWebhookChanges(webhook, changes) {
+        const watchlist = webhook.watchlist
+            ? this.watchlists.find(list => list.name === webhook.watchlist)
+            : null;
+        
+        const matchesWatchlist = item => {
+            if (!webhook.watchlist) return true;
+            if (!watchlist) return false; // Deleted watchlist - send nothing rather than everything
+            const text = `${item.title} ${item.excerpt}`;
+            return watchlist.rules.some(rule => rule.enabled && this.matchesKeywordQuery(rule.query, text));
+        };
+        
+        return changes
+            .filter(change => (webhook.changeTypes || ['NEW', 'MODIFIED']).includes(change.type))
+            .filter(change => matchesWatchlist(change.item))
+            .map(change => this.describeChange(change))
+            .filter(summary => summary.score >= (webhook.minScore || this.defaultWebhookMinScore));
+    }
+
+    // "added Budget.pdf; replaced Agenda" for one change's describeChange().attachmentChanges
+    summarizeAttachmentChanges(attachmentChanges) {
+        return attachmentChanges.map(entry => `${entry.type} ${entry.name}`).join('; ');
+    }
+
+    buildWebhookPayload(webhook, summaries) {
+        const heading = summaries.length === 1
+            ? `NOLA City Hall Monitor: 1 change`
+            : `NOLA City Hall Monitor: ${summaries.length} changes`;
+        const shown = summaries.slice(0, this.maxWebhookItems);
+        const more = summaries.length - shown.length;
+        // Only http(s) links on allowed hosts, as on the page; characters that end
+        // Slack's <url|label> or a Markdown (url) are percent-encoded
+        const linkUrl = (url, delimiters) => {
+            const href = this.getSafeUrl(url);
+            return href ? href.replace(delimiters, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`) : null;
+        };
+        
+        if (webhook.format === 'slack') {
+            // Incoming webhook with Block Kit; `text` is the fallback for notifications
+            const link = summary => {
+                const url = linkUrl(summary.url, /[<>|]/g);
+                const title = summary.title.replace(/[<>|]/g, '');
+                return url ? `<${url}|${title}>` : title;
+            };
+            return {
+                text: heading,
+                blocks: [
+                    { type: 'header', text: { type: 'plain_text', text: heading } },
+                    ...shown.map(summary => ({
+                        type: 'section',
+                        text: {
+                            type: 'mrkdwn',
+                            text: `${this.getChangeTypeLabel(summary.type, true)} *${link(summary)}*\n` +
+                                `${summary.source} · ${summary.score}/5 ${summary.level}` +
+                                (summary.keywords.length > 0 ? ` · ${summary.keywords.join(', ')}` : '') +
+                                (summary.attachmentChanges.length > 0 ? `\n📎 ${this.summarizeAttachmentChanges(summary.attachmentChanges)}` : '')
+                        }
+                    })),
+                    ...(more > 0 ? [{ type: 'context', elements: [{ type: 'mrkdwn', text: `…and ${more} more` }] }] : [])
+                ]
+            };
+        }
+        
+        if (webhook.format === 'teams') {
+            // Office 365 connector MessageCard, accepted by Teams incoming webhooks
+            const link = summary => {
+                const url = linkUrl(summary.url, /[()<>]/g);
+                return url ? `[${summary.title.replace(/[[\]]/g, '')}](${url})` : summary.title;
+            };
+            return {
+                '@type': 'MessageCard',
+                '@context': 'https://schema.org/extensions',
+                summary: heading,
+                themeColor: summaries.some(summary => summary.level === 'high') ? 'E74C3C' : '3498DB',
+                title: heading,
+                sections: shown.map(summary => ({
+                    activityTitle: `${this.getChangeTypeLabel(summary.type, true)}: ${link(summary)}`,
+                    activitySubtitle: `${summary.source} · ${summary.score}/5 ${summary.level}`,
+                    text: [
+                        summary.keywords.length > 0 ? `Keywords: ${summary.keywords.join(', ')}` : '',
+                        summary.attachmentChanges.length > 0 ? `📎 ${this.summarizeAttachmentChanges(summary.attachmentChanges)}` : ''
+                    ].filter(Boolean).join('\n\n') || undefined
+                })).concat(more > 0 ? [{ text: `…and ${more} more` }] : [])
+            };
+        }
+        
+        return {
+            event: 'nola-monitor.changes',
+            sentAt: new Date().toISOString(),
+            count: summaries.length,
+            items: summaries
+        };
+    }
+
+    async deliverWebhook(webhook, payload, itemCount) {
+        const entry = {
+            webhookId: webhook.id,
+            name: webhook.name,
+            at: Date.now(),
+            ok: false,
+            attempts: 0,
+            itemCount
+        };
+        
+        for (let attempt = 1; attempt <= this.webhookRetry.attempts; attempt++) {
+            entry.attempts = attempt;
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), this.webhookRetry.timeoutMs);
+            
+            try {
+                const response = await fetch(webhook.url, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(payload),
+                    signal: controller.signal
+                });
+                entry.status = response.status;
+                
+                if (response.ok) {
+                    entry.ok = true;
+                    delete entry.error;
+                    break;
+                }
+                entry.error = `HTTP ${response.status}`;
+                // Client errors mean the payload or URL is wrong; retrying won't help
+                if (response.status < 500 && response.status !== 429) break;
+            } catch (error) {
+                entry.error = error.name === 'AbortError'
+                    ? `Timed out after ${this.webhookRetry.timeoutMs}ms`
+                    : error.message;
+            } finally {
+                clearTimeout(timer);
+            }
+            
+            if (attempt < this.webhookRetry.attempts) {
+                const delay = this.webhookRetry.baseDelayMs * Math.pow(2, attempt - 1);
+                console.log(`Webhook ${webhook.name} failed (${entry.error}), retrying in ${delay}ms`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+        
+        console.log(`Webhook ${webhook.name}:`, entry.ok ? 'delivered' : `failed - ${entry.error}`);
+        this.recordWebhookDelivery(entry);
+        return entry;
+    }
+
+    // All webhooks at once; never rejects, every outcome goes to the webhook log
+    async sendWebhooks(changes) {
+        const webhooks = this.webhooks.filter(hook => hook.enabled !== false);
+        const settled = await Promise.allSettled(webhooks.map(async webhook => {
+            const summaries = this.selectWebhookChanges(webhook, changes);
+            if (summaries.length === 0) return null;
+            
+            return this.deliverWebhook(webhook, this.buildWebhookPayload(webhook, summaries), summaries.length);
+        }));
+        
+        const deliveries = settled.map((outcome, index) => {
+            if (outcome.status === 'fulfilled') return outcome.value;
+            
+            const webhook = webhooks[index];
+            console.error(`Webhook ${webhook.name} failed before sending:`, outcome.reason);
+            const entry = { webhookId: webhook.id, name: webhook.name, at: Date.now(), ok: false, attempts: 0, itemCount: 0, error: outcome.reason.message };
+            this.recordWebhookDelivery(entry);
+            return entry;
+        }).filter(Boolean);
+        
+        if (deliveries.length > 0) this.saveWebhookLog();
+        return deliveries;
+    }
+
+    recordWebhookDelivery(entry) {
+        this.webhookLog.unshift(entry);
+        this.webhookLog = this.webhookLog.slice(0, this.maxWebhookLogEntries);
+    }
+
+    saveWebhookLog() {
+        this.storage.setItem('nola_monitor_webhook_log', JSON.stringify(this.webhookLog));
+        if (!this.headless) this.displayWebhookLog();
+    }
+
+    saveWebhooks() {
+        this.saveSetting('webhooks', this.webhooks);
+        if (!this.headless) this.renderWebhooks();
+    }
+
+    addWebhook() {
+        const url = document.getElementById('webhookUrl').value.trim();
+        if (!/^https?:\/\//.test(url)) {
+            this.updateStatus('Webhook URL must start with http:// or https://', false);
+            return;
+        }
+        
+        const format = document.getElementById('webhookFormat').value;
+        const webhook = {
+            id: `hook-${Date.now().toString(36)}`,
+            name: document.getElementById('webhookName').value.trim() || `${format} webhook`,
+            url,
+            format,
+            minScore: Number(document.getElementById('webhookMinScore').value),
+            watchlist: document.getElementById('webhookWatchlist').value || null,
+            changeTypes: ['NEW', 'MODIFIED'],
+            enabled: true
+        };
+        
+        this.webhooks.push(webhook);
+        this.saveWebhooks();
+        document.getElementById('webhookUrl').value = '';
+        document.getElementById('webhookName').value = '';
+        this.updateStatus(`Added webhook "${webhook.name}"`, true);
+    }
+
+    removeWebhook(id) {
+        this.webhooks = this.webhooks.filter(hook => hook.id !== id);
+        this.saveWebhooks();
+    }
+
+    toggleWebhook(id, enabled) {
+        const webhook = this.webhooks.find(hook => hook.id === id);
+        if (!webhook) return;
+        webhook.enabled = enabled;
+        this.saveWebhooks();
+    }
+
+    async testWebhook(id) {
+        const webhook = this.webhooks.find(hook => hook.id === id);
+        if (!webhook) return;
+        
+        const sample = {
+            type: 'NEW',
+            sourceId: this.sources[0].id,
+            source: this.sources[0].label,
+            title: 'Test notification from the NOLA City Hall Monitor',
+            url: this.sources[0].url,
+            date: new Date().toLocaleDateString(),
+            keywords: [],
+            score: 5,
+            level: 'high',
+            scoreBreakdown: [],
+            changedFields: [],
+            attachmentChanges: []
+        };
+        
+        this.updateStatus(`Sending test to "${webhook.name}"...`, true);
+        const entry = await this.deliverWebhook(webhook, this.buildWebhookPayload(webhook, [sample]), 1);
+        this.saveWebhookLog();
+        this.updateStatus(entry.ok
+            ? `Test delivered to "${webhook.name}"`
+            : `Test to "${webhook.name}" failed: ${entry.error}`, entry.ok);
+    }
+
+    renderWebhooks() {
+        if (this.headless) return;
+        
+        const container = document.getElementById('webhookList');
+        const watchlistSelect = document.getElementById('webhookWatchlist');
+        if (!container) return;
+        
+        if (watchlistSelect) {
+            const selected = watchlistSelect.value;
+            watchlistSelect.innerHTML = '<option value="">Any item</option>' + this.watchlists
+                .map(list => `<option value="${this.escapeHtml(list.name)}" ${list.name === selected ? 'selected' : ''}>Matching "${this.escapeHtml(list.name)}"</option>`)
+                .join('');
+        }
+        
+        if (this.webhooks.length === 0) {
+            container.innerHTML = '<p class="placeholder">No webhooks yet.</p>';
+            return;
+        }
+        
+        container.innerHTML = this.webhooks.map(hook => `
+            <div class="webhook-item">
+                <label class="option-toggle">
+                    <input type="checkbox" data-webhook-toggle="${this.escapeHtml(hook.id)}" ${hook.enabled !== false ? 'checked' : ''}>
+                    <strong>${this.escapeHtml(hook.name)}</strong>
+                </label>
+                <span class="webhook-meta">
+                    ${this.escapeHtml(hook.format)} · score ≥ ${this.escapeHtml(hook.minScore || this.defaultWebhookMinScore)}${hook.watchlist ? ` · ${this.escapeHtml(hook.watchlist)}` : ''} · ${this.escapeHtml(hook.url.replace(/^(https?:\/\/[^/]+).*$/, '$1'))}/…
+                </span>
+                <button class="secondary-btn" data-webhook-test="${this.escapeHtml(hook.id)}">📤 Test</button>
+                <button class="tag-remove" data-webhook-remove="${this.escapeHtml(hook.id)}" title="Remove webhook">×</button>
+            </div>
+        `).join('');
+        
+        container.querySelectorAll('[data-webhook-toggle]').forEach(input => {
+            input.addEventListener('change', (e) => this.toggleWebhook(input.dataset.webhookToggle, e.target.checked));
+        });
+        container.querySelectorAll('[data-webhook-test]').forEach(button => {
+            button.addEventListener('click', () => this.testWebhook(button.dataset.webhookTest));
+        });
+        container.querySelectorAll('[data-webhook-remove]').forEach(button => {
+            button.addEventListener('click', () => this.removeWebhook(button.dataset.webhookRemove));
+        });
+    }
+
+    displayWebhookLog() {
+        if (this.headless) return;
+        
+        const container = document.getElementById('webhookLog');
+        if (!container) return;
+        
+        if (this.webhookLog.length === 0) {
+            container.innerHTML = '<p class="placeholder">No deliveries yet.</p>';
+            return;
+        }
+        
+        container.innerHTML = this.webhookLog.slice(0, 10).map(entry => `
+            <div class="webhook-log-entry ${entry.ok ? 'ok' : 'failed'}">
+                ${entry.ok ? '✅' : '❌'} ${new Date(entry.at).toLocaleString()} · ${this.escapeHtml(entry.name)}
+                ${entry.itemCount !== undefined ? `· ${entry.itemCount} items` : ''}
+                · ${this.escapeHtml(entry.ok ? `HTTP ${entry.status}` : entry.error)}
+                ${entry.attempts > 1 ? `(${entry.attempts} attempts)` : ''}
+            </div>
+        `).join('');
+    }
+
+    toggleAutoCheck() {
+        if (this.autoCheckEnabled) {
+            this.stopAutoCheck();
+        } else {
+            // Asked here because browsers only show the prompt after a click
+            this.requestNotificationPermission();
+            this.startAutoCheck();
+        }
+    }
+
+    // The first check is due one interval after the last one, so reopening the page
+    // resumes the countdown - or checks right away when a check is overdue
+    startAutoCheck() {
+        console.log('=== START AUTO-CHECK ===');
+        console.log('Current interval minutes:', this.checkIntervalMinutes);
+        
+        if (this.autoCheckTimer) {
+            clearInterval(this.autoCheckTimer);
+        }
+        
+        this.autoCheckEnabled = true;
+        this.autoCheckFailures = 0;
+        const due = this.lastCheck ? Math.max(Date.now(), this.lastCheck + this.checkIntervalMinutes * 60 * 1000) : Date.now();
+        this.nextCheckAt = this.getNextAllowedTime(due);
+        console.log('First auto-check at:', this.nextCheckAt && new Date(this.nextCheckAt).toISOString());
+        
+        // One ticker drives both the countdown and the checks; unlike a long setTimeout
+        // it notices when a sleeping laptop wakes up past the due time
+        this.autoCheckTimer = setInterval(() => this.onSchedulerTick(), this.schedulerOptions.tickMs);
+        
+        this.saveAutoCheckSettings();
+        this.updateBackgroundSync();
+        this.updateAutoStatus();
+    }
+
+    stopAutoCheck() {
+        console.log('=== STOP AUTO-CHECK ===');
+        if (this.autoCheckTimer) {
+            clearInterval(this.autoCheckTimer);
+            this.autoCheckTimer = null;
+        }
+        
+        this.autoCheckEnabled = false;
+        this.autoCheckFailures = 0;
+        this.nextCheckAt = null;
+        
+        this.saveAutoCheckSettings();
+        this.updateBackgroundSync();
+        this.updateAutoStatus();
+    }
+
+    onSchedulerTick() {
+        if (!this.autoCheckEnabled || this.checkInFlight || !this.nextCheckAt) return;
+        
+        if (Date.now() < this.nextCheckAt) {
+            this.updateAutoStatus();
+            return;
+        }
+        
+        console.log('=== AUTO-CHECK TRIGGERED ===');
+        console.log('Timestamp:', new Date().toISOString());
+        this.checkForUpdates();
+    }
+
+    // Called after every check, manual or scheduled: failures back off exponentially
+    // (capped at maxBackoffMinutes), successes go back to the plain interval
+    scheduleNextCheck(succeeded, from = Date.now()) {
+        this.autoCheckFailures = succeeded ? 0 : this.autoCheckFailures + 1;
+        this.nextCheckAt = this.getNextAllowedTime(from + this.getNextCheckDelay(this.autoCheckFailures));
+        console.log(`Next auto-check at ${this.nextCheckAt && new Date(this.nextCheckAt).toISOString()} (failures: ${this.autoCheckFailures})`);
+        this.updateAutoStatus();
+    }
+
+    getNextCheckDelay(failures = 0) {
+        const { jitterRatio, maxBackoffMinutes } = this.schedulerOptions;
+        const intervalMinutes = this.checkIntervalMinutes;
+        const minutes = failures > 0
+            ? Math.min(intervalMinutes * Math.pow(2, failures), Math.max(intervalMinutes, maxBackoffMinutes))
+            : intervalMinutes;
+        
+        // Jitter keeps several open tabs (or monitors) from hitting the sites in lockstep
+        const jitter = 1 + (Math.random() * 2 - 1) * jitterRatio;
+        return Math.round(minutes * 60 * 1000 * jitter);
+    }
+
+    parseClockTime(value) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+        if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+            throw new Error(`"${value}" is not a time (use HH:MM)`);
+        }
+        return Number(match[1]) * 60 + Number(match[2]);
+    }
+
+    // Windows may wrap past midnight, e.g. 22:00-06:00
+    isInTimeWindow(date, start, end) {
+        const minutes = date.getHours() * 60 + date.getMinutes();
+        const from = this.parseClockTime(start);
+        const to = this.parseClockTime(end);
+        return from <= to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+    }
+
+    isCheckAllowed(time) {
+        const date = new Date(time);
+        if (this.quietHours && this.isInTimeWindow(date, this.quietHours.start, this.quietHours.end)) {
+            return false;
+        }
+        if (this.businessHoursOnly) {
+            const { days, start, end } = this.businessHours;
+            return days.includes(date.getDay()) && this.isInTimeWindow(date, start, end);
+        }
+        return true;
+    }
+
+    // Earliest time at or after `time` outside quiet hours (and inside business hours
+    // when enabled), or null if the schedule never allows a check
+    getNextAllowedTime(time) {
+        if (this.isCheckAllowed(time)) return time;
+        
+        // Windows are whole minutes, so stepping minute by minute over a week finds the next opening
+        const minute = 60 * 1000;
+        let candidate = Math.ceil(time / minute) * minute;
+        for (let step = 0; step < 8 * 24 * 60; step++, candidate += minute) {
+            if (this.isCheckAllowed(candidate)) return candidate;
+        }
+        return null;
+    }
+
+    setCheckInterval(minutes) {
+        this.checkIntervalMinutes = parseInt(minutes);
+        
+        // Re-time the next check against the new interval if auto-check is running
+        if (this.autoCheckEnabled) {
+            this.startAutoCheck();
+        } else {
+            this.saveAutoCheckSettings();
+        }
+    }
+
+    updateScheduleSettings() {
+        const quietStart = document.getElementById('quietStart').value;
+        const quietEnd = document.getElementById('quietEnd').value;
+        
+        this.quietHours = quietStart && quietEnd ? { start: quietStart, end: quietEnd } : null;
+        this.businessHoursOnly = document.getElementById('businessHoursToggle').checked;
+        
+        if (this.autoCheckEnabled) {
             this.startAutoCheck();
+        } else {
+            this.saveAutoCheckSettings();
+        }
+    }
+
+    saveAutoCheckSettings() {
+        this.saveSetting('autocheck', {
+            enabled: this.autoCheckEnabled,
+            interval: this.checkIntervalMinutes,
+            quietHours: this.quietHours,
+            businessHoursOnly: this.businessHoursOnly
+        });
+    }
+
+    updateAutoStatus() {
+        if (this.headless) return;
+        
+        const btn = document.getElementById('autoCheckBtn');
+        const status = document.getElementById('autoStatus');
+        btn.textContent = this.autoCheckEnabled ? '⏸️ Stop Auto Check' : '▶️ Start Auto Check';
+        btn.className = this.autoCheckEnabled ? 'secondary-btn' : 'primary-btn';
+        
+        if (!this.autoCheckEnabled) {
+            status.textContent = 'Auto-check disabled';
+            status.className = 'auto-status';
+            return;
+        }
+        
+        let message = `Auto-checking every ${this.checkIntervalMinutes} minutes`;
+        if (this.checkInFlight) {
+            message += ' · checking now...';
+        } else if (!this.nextCheckAt) {
+            message += ' · no check allowed by the current schedule';
+        } else {
+            const seconds = Math.max(0, Math.round((this.nextCheckAt - Date.now()) / 1000));
+            const countdown = seconds >= 3600
+                ? `${Math.floor(seconds / 3600)}h ${Math.floor(seconds % 3600 / 60)}m`
+                : `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+            const at = new Date(this.nextCheckAt).toLocaleString([], { weekday: 'short', hour: 'numeric', minute: '2-digit' });
+            message += ` · next check ${at} (in ${countdown})`;
+        }
+        if (this.backgroundSyncActive) {
+            message += ' · also in the background';
+        }
+        if (this.autoCheckFailures > 0) {
+            message += ` · backing off after ${this.autoCheckFailures} failed check${this.autoCheckFailures === 1 ? '' : 's'}`;
+        }
+        
+        status.textContent = message;
+        status.className = this.autoCheckFailures > 0 ? 'auto-status backoff' : 'auto-status active';
+    }
+
+    async fetchRealNewsData(source = this.sources[0]) {
+        console.log('=== FETCH REAL NEWS DATA START ===');
+        console.log('Source:', source.id);
+        console.log('Timestamp:', new Date().toISOString());
+        
+        // A feed found on an earlier check is tried first; scraping the page is only the fallback
+        const knownFeed = this.discoveredFeeds[source.id];
+        if (knownFeed) {
+            const feedItems = await this.tryFeed(knownFeed, source);
+            if (feedItems) return feedItems;
+            delete this.discoveredFeeds[source.id];
+        }
+        
+        const content = await this.fetchThroughProxies(source.url);
+        
+        // Agenda pages usually offer an iCalendar subscription, which has the exact times and ids
+        const discover = { 'html-listing': 'discoverFeedLinks', 'agenda-listing': 'discoverCalendarLinks' }[source.parser];
+        if (discover && source.discoverFeeds !== false) {
+            const feedUrls = this[discover](content, source);
+            console.log('Discovered feeds:', feedUrls);
+            
+            for (const feedUrl of feedUrls) {
+                if (feedUrl === knownFeed) continue;
+                const feedItems = await this.tryFeed(feedUrl, source);
+                if (feedItems) {
+                    this.discoveredFeeds[source.id] = feedUrl;
+                    return feedItems;
+                }
+            }
+        }
+        
+        const newsItems = this.parseSourceContent(content, source);
+        console.log('=== FETCH SUCCESS ===');
+        return newsItems;
+    }
+
+    async tryFeed(feedUrl, source) {
+        const calendar = source.parser === 'agenda-listing';
+        try {
+            const content = await this.fetchThroughProxies(feedUrl, calendar
+                ? 'text/calendar,*/*;q=0.8'
+                : 'application/rss+xml,application/atom+xml,application/feed+json,application/xml;q=0.9,*/*;q=0.8');
+            const items = this.parseSourceContent(content, { ...source, url: feedUrl, parser: calendar ? 'ics' : 'feed' });
+            if (items.length === 0) {
+                console.log('Feed returned no items, ignoring:', feedUrl);
+                return null;
+            }
+            console.log(`=== FEED SUCCESS (${items.length} items) ===`, feedUrl);
+            return items;
+        } catch (error) {
+            console.log('Feed failed, falling back:', feedUrl, error.message);
+            return null;
+        }
+    }
+
+    // `read(response)` runs under the same timer, so a body that stalls halfway times out too
+    async fetchWithTimeout(url, init, read) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.fetchTimeoutMs);
+        try {
+            return await read(await fetch(url, { ...init, signal: controller.signal }));
+        } catch (error) {
+            throw error.name === 'AbortError' ? new Error(`Timed out after ${this.fetchTimeoutMs}ms`) : error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    async fetchThroughProxies(targetUrl, accept = 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8') {
+        try {
+            // Try multiple CORS proxies in order of preference
+            const proxies = this.proxies;
+            
+            console.log('Target URL:', targetUrl);
+            console.log('Available proxies:', proxies.length);
+            
+            for (let i = 0; i < proxies.length; i++) {
+                try {
+                    const proxyUrl = proxies[i] ? proxies[i] + encodeURIComponent(targetUrl) : targetUrl;
+                    console.log(`=== PROXY ATTEMPT ${i + 1}/${proxies.length} ===`);
+                    console.log('Proxy base:', proxies[i]);
+                    console.log('Full proxy URL:', proxyUrl);
+                    console.log('Making fetch request...');
+                    
+                    const body = await this.fetchWithTimeout(proxyUrl, {
+                        method: 'GET',
+                        headers: {
+                            'Accept': accept,
+                            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+                        }
+                    }, async response => {
+                        console.log('Response status:', response.status);
+                        console.log('Response ok:', response.ok);
+                        console.log('Response headers:', Object.fromEntries(response.headers.entries()));
+                        
+                        if (!response.ok) {
+                            console.log(`Proxy ${i + 1} failed with HTTP ${response.status}`);
+                            throw new Error(`HTTP ${response.status}${await this.readProxyError(response)}`);
+                        }
+                        
+                        console.log('Fetching response text...');
+                        return response.text();
+                    });
+                    console.log(`Successfully fetched from proxy ${i + 1}`);
+                    console.log('Body length:', body.length);
+                    console.log('Body preview:', body.substring(0, 200) + '...');
+                    return body;
+                    
+                } catch (proxyError) {
+                    console.log(`=== PROXY ${i + 1} FAILED ===`);
+                    console.log('Error type:', proxyError.constructor.name);
+                    console.log('Error message:', proxyError.message);
+                    console.log('Error stack:', proxyError.stack);
+                    
+                    if (i === proxies.length - 1) {
+                        console.log('=== ALL PROXIES FAILED ===');
+                        throw proxyError;
+                    } else {
+                        console.log(`Trying next proxy (${i + 2}/${proxies.length})...`);
+                    }
+                }
+            }
+        } catch (error) {
+            console.log('=== FETCH REAL NEWS DATA FAILED ===');
+            console.error('Final error:', error);
+            console.error('Error type:', error.constructor.name);
+            console.error('Error message:', error.message);
+            console.error('Error stack:', error.stack);
+            console.log('=== FETCH END (FAILED) ===');
+            throw new Error(`Unable to fetch ${targetUrl}. Please check your internet connection.`);
+        }
+    }
+
+    async readProxyError(response) {
+        // The local proxy explains failures as JSON ({ error, status }); public proxies don't
+        try {
+            const body = JSON.parse(await response.text());
+            return body && body.error ? `: ${body.error}` : '';
+        } catch {
+            return '';
+        }
+    }
+
+    async detectLocalProxy() {
+        try {
+            const response = await fetch(this.localProxyPrefix.replace(/\?.*$/, '/health'), { cache: 'no-store' });
+            const health = response.ok ? await response.json() : null;
+            this.localProxyAvailable = !!(health && health.service === 'nola-monitor-proxy');
+        } catch {
+            this.localProxyAvailable = false;
+        }
+        
+        console.log('Local proxy available:', this.localProxyAvailable);
+        // A saved custom list always wins; otherwise prefer the local proxy over public ones
+        if (this.localProxyAvailable && !this.customProxies) {
+            this.proxies = [this.localProxyPrefix];
+        }
+        this.renderProxySettings();
+    }
+
+    renderProxySettings() {
+        const input = document.getElementById('proxyList');
+        const info = document.getElementById('proxyInfo');
+        if (!input || !info) return;
+        
+        input.value = this.proxies.join('\n');
+        if (this.customProxies) {
+            info.textContent = 'Using your saved proxy list';
+        } else if (this.localProxyAvailable) {
+            info.textContent = 'Using the local proxy started with `nola-monitor serve`';
+        } else {
+            info.textContent = 'Using public CORS proxies - run `nola-monitor serve` to fetch through your own';
+        }
+    }
+
+    saveProxies() {
+        const lines = document.getElementById('proxyList').value
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean);
+        const invalid = lines.filter(line => !/^(https?:\/\/|\/|proxy\?)/.test(line));
+        
+        if (lines.length === 0 || invalid.length > 0) {
+            this.updateStatus(lines.length === 0
+                ? 'Enter at least one proxy'
+                : `Invalid proxy prefix: ${invalid.join(', ')}`, false);
+            return;
+        }
+        
+        this.proxies = lines;
+        this.customProxies = true;
+        this.saveSetting('proxies', lines);
+        this.renderProxySettings();
+        this.updateStatus(`Saved ${lines.length} proxies`, true);
+    }
+
+    resetProxies() {
+        this.saveSetting('proxies', null);
+        this.customProxies = false;
+        this.proxies = this.localProxyAvailable ? [this.localProxyPrefix] : [...this.defaultProxies];
+        this.renderProxySettings();
+        this.updateStatus('Proxy list reset to defaults', true);
+    }
+
+    parseSourceContent(content, source) {
+        const parse = this.parsers[source.parser];
+        if (!parse) {
+            throw new Error(`No parser registered for "${source.parser}"`);
+        }
+        
+        return parse(content, source).map(item => {
+            const normalized = { ...item, source: source.label, sourceId: source.id };
+            normalized.canonicalUrl = this.canonicalizeUrl(normalized.url);
+            normalized.fingerprint = this.fingerprintItem(normalized);
+            return normalized;
+        });
+    }
+
+    // afterParse plugins may rewrite, drop or add items; the result is normalized like parser output
+    async applyAfterParse(source, items, isFirstCheck) {
+        if (!this.plugins.some(plugin => plugin.hooks && plugin.hooks.afterParse)) return items;
+
+        const event = await this.runHook('afterParse', { source, items, isFirstCheck });
+        return event.items.map(item => {
+            const normalized = { source: source.label, sourceId: source.id, ...item };
+            normalized.canonicalUrl = this.canonicalizeUrl(normalized.url);
+            normalized.fingerprint = this.fingerprintItem(normalized);
+            return normalized;
+        });
+    }
+
+    parseNewsFromHTML(html, source = this.sources[0]) {
+        // Create a temporary DOM parser
+        const parser = new DOMParser();
+        const doc = parser.parseFromString(html, 'text/html');
+        const origin = new URL(source.url).origin;
+        const profile = this.getSelectorProfile(source);
+        
+        // Try every item container selector; the one that yields the most items wins,
+        // earlier (site-specific) selectors winning ties
+        let best = { items: [], selector: null };
+        profile.item.forEach(itemSelector => {
+            const seen = new Set();
+            const items = Array.from(doc.querySelectorAll(itemSelector))
+                .map((container, index) => this.parseProfileItem(container, profile, source, origin, index))
+                .filter(item => item && !seen.has(this.canonicalizeUrl(item.url)) && seen.add(this.canonicalizeUrl(item.url)));
+            if (items.length > best.items.length) {
+                best = { items, selector: itemSelector };
+            }
+        });
+        
+        // Last resort: scan for headline links the way the original parser did. It also
+        // catches a generic selector like "article" matching one wrapper around the whole list.
+        const linkItems = this.parseLinkListing(doc, source, origin, profile);
+        const linkCount = new Set(linkItems.map(item => this.canonicalizeUrl(item.url))).size;
+        if (best.items.length > 0 && best.items.length >= linkCount) {
+            console.log(`Parsed ${best.items.length} items from ${source.id} with item selector "${best.selector}"`);
+            this.parseDiagnostics[source.id] = `items: ${best.selector}`;
+            return best.items;
+        }
+        
+        console.log(`Parsed ${linkItems.length} items from ${source.id} with the link scan`);
+        this.parseDiagnostics[source.id] = `links: ${source.linkSelector || 'h3 a[href*="/"]'}`;
+        return linkItems;
+    }
+
+    // Site selectors first, then the generic ones as fallbacks
+    getSelectorProfile(source, defaults = this.defaultSelectorProfile) {
+        const profile = {};
+        Object.entries(defaults).forEach(([field, selectors]) => {
+            const own = (source.profile && source.profile[field]) || [];
+            profile[field] = Array.from(new Set(own.concat(selectors)));
+        });
+        return profile;
+    }
+
+    parseProfileItem(container, profile, source, origin, index) {
+        const pick = selectors => {
+            for (const selector of selectors) {
+                const element = container.querySelector(selector);
+                if (element && element.textContent.trim()) return element;
+            }
+            return null;
+        };
+        
+        const titleElement = pick(profile.title);
+        const title = titleElement ? titleElement.textContent.replace(/\s+/g, ' ').trim() : '';
+        const linkElement = titleElement && titleElement.closest('a[href]')
+            || titleElement && titleElement.querySelector('a[href]')
+            || profile.link.map(selector => container.querySelector(selector)).find(Boolean);
+        const href = linkElement && linkElement.getAttribute('href');
+        
+        if (!title || title.length <= 3 || !href) return null;
+        
+        const url = this.resolveItemUrl(href, origin);
+        const dated = this.extractItemDate(container, profile);
+        const excerptElement = profile.excerpt
+            .map(selector => container.querySelector(selector))
+            .find(element => {
+                if (!element || element === titleElement || element.textContent.trim() === title) return false;
+                // Skip "Posted August 7, 2025" style lines
+                const dated = this.parseDateText(element.textContent);
+                const text = dated ? element.textContent.replace(dated.date, '') : element.textContent;
+                return text.trim().length > 20;
+            });
+        const publisherElement = pick(profile.source);
+        
+        return {
+            id: this.deriveItemId(url, `item-${index}`),
+            title,
+            url,
+            date: dated ? dated.date : 'Recent',
+            source: source.label,
+            sourceId: source.id,
+            publisher: publisherElement ? publisherElement.textContent.trim().replace(/^From\s+/i, '') : undefined,
+            excerpt: excerptElement
+                ? excerptElement.textContent.replace(/\s+/g, ' ').trim()
+                : this.guessExcerpt(container.textContent || '', title) || 'No description available',
+            timestamp: dated ? dated.timestamp : Date.now()
+        };
+    }
+
+    parseLinkListing(doc, source, origin, profile) {
+        const newsItems = [];
+        
+        // Look for news article containers - the selector comes from the source definition
+        const articleElements = doc.querySelectorAll(source.linkSelector || 'h3 a[href*="/"]');
+        
+        articleElements.forEach((linkElement, index) => {
+            const title = linkElement.textContent.trim();
+            const url = this.resolveItemUrl(linkElement.getAttribute('href') || linkElement.href, origin);
+            
+            // Find the parent container to get additional info
+            const container = linkElement.closest('div') || linkElement.parentElement;
+            const dated = this.extractItemDate(container, profile);
+            const publisher = (container.textContent || '').match(/From ([^\n]+)/);
+            
+            // Create unique ID from URL or title
+            const id = this.deriveItemId(url, `item-${index}`);
+            
+            if (title && title.length > 3) { // Filter out empty or very short titles
+                newsItems.push({
+                    id,
+                    title,
+                    url: url || '#',
+                    date: dated ? dated.date : 'Recent',
+                    source: source.label,
+                    sourceId: source.id,
+                    publisher: publisher ? publisher[1].trim() : undefined,
+                    excerpt: this.guessExcerpt(container.textContent || '', title) || 'No description available',
+                    timestamp: dated ? dated.timestamp : Date.now() - (index * 3600000) // Fallback: space items by hours
+                });
+            }
+        });
+        
+        return newsItems;
+    }
+
+    resolveItemUrl(url, origin) {
+        // Debug logging
+        console.log('=== URL DEBUG ===');
+        console.log('Raw URL:', url);
+        console.log('URL includes localhost?', url && url.includes('localhost'));
+        
+        // More aggressive localhost replacement
+        if (url && url.includes('localhost')) {
+            console.log('BEFORE replacement:', url);
+            // Try multiple replacement patterns
+            url = url.replace(/https?:\/\/localhost(:\d+)?/g, origin);
+            url = url.replace(/localhost(:\d+)?/g, new URL(origin).host);
+            console.log('AFTER replacement:', url);
+        } else if (url && url.startsWith('/')) {
+            // Fix relative URLs to use the source's domain
+            url = origin + url;
+            console.log('Fixed relative URL to:', url);
+        } else if (url && !url.startsWith('http') && !url.includes('nopdnews.com')) {
+            // Handle other malformed URLs (but leave nopdnews.com alone)
+            url = origin + (url.startsWith('/') ? '' : '/') + url;
+            console.log('Fixed malformed URL to:', url);
+        }
+        
+        console.log('FINAL URL:', url);
+        console.log('=================');
+        return url;
+    }
+
+    // Date from the profile's date selectors (a datetime attribute wins), then any date in the text
+    extractItemDate(container, profile) {
+        if (!container) return null;
+        
+        for (const selector of profile.date) {
+            const element = container.querySelector(selector);
+            if (!element) continue;
+            const parsed = this.parseDateText(element.getAttribute('datetime') || element.textContent);
+            if (parsed) return parsed;
+        }
+        return this.parseDateText(container.textContent || '');
+    }
+
+    parseDateText(text) {
+        const months = 'Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?';
+        const display = timestamp => new Date(timestamp).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+        let match;
+        
+        // "August 7, 2025", "Aug. 7, 2025"
+        if ((match = text.match(new RegExp(`\\b(${months})\\.? (\\d{1,2}), (\\d{4})\\b`)))) {
+            const timestamp = new Date(`${match[1]} ${match[2]}, ${match[3]}`).getTime();
+            if (!isNaN(timestamp)) return { date: match[0], timestamp };
+        }
+        // 2025-08-07 or 2025-08-07T14:30:00-05:00
+        if ((match = text.match(/\b(\d{4})-(\d{2})-(\d{2})(T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?/))) {
+            // Date-only values are local days, not UTC midnight
+            const timestamp = match[4]
+                ? new Date(match[0]).getTime()
+                : new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])).getTime();
+            if (!isNaN(timestamp)) return { date: display(timestamp), timestamp };
+        }
+        // 08/07/2025
+        if ((match = text.match(/\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b/))) {
+            const timestamp = new Date(Number(match[3]), Number(match[1]) - 1, Number(match[2])).getTime();
+            if (!isNaN(timestamp)) return { date: display(timestamp), timestamp };
+        }
+        return null;
+    }
+
+    // Get excerpt - look for text after the title but before date/source
+    guessExcerpt(textContent, title) {
+        const lines = textContent.split('\n').map(line => line.trim()).filter(line => line);
+        const index = lines.indexOf(title);
+        if (index === -1) return '';
+        
+        // Look for the next meaningful line that's not date/source
+        return lines.slice(index + 1).find(line =>
+            !line.includes('From ') &&
+            !this.parseDateText(line) &&
+            line.length > 20
+        ) || '';
+    }
+
+    // A sudden drop to (almost) nothing usually means the page layout changed, not that
+    // every release was deleted. Throwing makes runCheck treat it like a failed fetch,
+    // so the previous items are carried forward instead of being reported as removed.
+    checkParseSanity(source, items) {
+        const status = this.sourceStatus[source.id];
+        if (status && status.acceptDrop) return;
+        
+        const previousCount = this.currentNews.filter(item => this.getItemSourceId(item) === source.id).length;
+        const { minPrevious, dropRatio } = this.parseGuard;
+        if (previousCount >= minPrevious && items.length <= Math.floor(previousCount * dropRatio)) {
+            const error = new Error(`Parser may be broken: found ${items.length} item${items.length === 1 ? '' : 's'}, previously ${previousCount}`);
+            error.parserSuspect = true;
+            throw error;
+        }
+    }
+
+    // The user confirmed the drop is real; the next check takes the new count as is
+    acceptSourceDrop(sourceId) {
+        const status = this.sourceStatus[sourceId];
+        if (!status) return;
+        
+        status.acceptDrop = true;
+        this.saveToStorage(this.lastCheck);
+        this.updateStatus(`The next check will accept the new item count for ${this.getSource(sourceId).label}`, true);
+    }
+
+    deriveItemId(url, fallback) {
+        // Feeds and scraped pages share this so switching between them doesn't re-report every item.
+        // The canonical URL without its scheme: "/post/x/" and "/post/x?utm_source=…" are both
+        // "nopdnews.com/post/x", while "/news/2024/budget" and "/press/budget" stay two items
+        if (!url || url === '#') return fallback;
+        const canonical = this.canonicalizeUrl(url);
+        if (!/^https?:\/\//.test(canonical)) return url.split('/').pop() || fallback;
+        return canonical.replace(/^https?:\/\//, '');
+    }
+
+    // Only for saved data. Ids used to be the raw last path segment, or the listing's fallback
+    // (item-N, a feed guid) when the URL ended in "/"; later the canonical URL's last segment
+    // plus query. Meeting sources never had the first kind, so a UID there is left alone.
+    // The archive re-keys its records with this too.
+    upgradeItemId(item) {
+        if (!item.url) return item.id;
+        const current = this.deriveItemId(item.url, item.id);
+        const match = this.canonicalizeUrl(item.url).match(/^https?:\/\/[^/?]+([^?]*)(\?.*)?$/);
+        if (match && item.id === `${match[1].split('/').pop()}${match[2] || ''}`) return current;
+        
+        const source = this.getSource(item.sourceId);
+        if (item.meeting || (source && ['ics', 'agenda-listing'].includes(source.parser))) return item.id;
+        const segment = item.url.split('/').pop();
+        return segment === '' || segment === item.id ? current : item.id;
+    }
+
+    // https, no www., no fragment, tracking parameters or trailing slash / index page,
+    // remaining parameters sorted. Returns the input unchanged if it isn't an http(s) URL.
+    canonicalizeUrl(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch {
+            return url;
+        }
+        if (!/^https?:$/.test(parsed.protocol)) return url;
+        
+        const params = Array.from(parsed.searchParams.entries())
+            .filter(([name]) => !this.trackingParams.test(name))
+            .sort(([a], [b]) => a.localeCompare(b));
+        const query = new URLSearchParams(params).toString();
+        const path = parsed.pathname
+            .replace(/\/{2,}/g, '/')
+            .replace(/\/(?:index\.(?:html?|php|aspx?))?$/i, '');
+        return `https://${parsed.host.toLowerCase().replace(/^www\./, '')}${path}${query ? `?${query}` : ''}`;
+    }
+
+    discoverFeedLinks(html, source) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const feedTypes = ['application/rss+xml', 'application/atom+xml', 'application/feed+json', 'application/json'];
+        const links = doc.querySelectorAll('link[rel~="alternate"][href]');
+        
+        return Array.from(links)
+            .filter(link => feedTypes.includes((link.getAttribute('type') || '').toLowerCase()))
+            .map(link => {
+                try {
+                    return new URL(link.getAttribute('href'), source.url).href;
+                } catch {
+                    return null;
+                }
+            })
+            .filter((url, index, all) => url && all.indexOf(url) === index);
+    }
+
+    // Calendar subscriptions on an agenda page: <link type="text/calendar">, .ics and webcal: links
+    discoverCalendarLinks(html, source) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const links = doc.querySelectorAll('link[type="text/calendar"][href], a[href$=".ics"], a[href^="webcal:"]');
+        
+        return Array.from(links)
+            .map(link => {
+                try {
+                    return new URL(link.getAttribute('href').replace(/^webcal:/i, 'https:'), source.url).href;
+                } catch {
+                    return null;
+                }
+            })
+            .filter((url, index, all) => url && all.indexOf(url) === index);
+    }
+
+    parseFeed(content, source) {
+        const text = content.trim();
+        
+        if (text.startsWith('{')) {
+            return this.parseJsonFeed(JSON.parse(text), source);
+        }
+        
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('Feed is not well-formed XML');
+        }
+        
+        const root = doc.documentElement;
+        const rootName = (root.localName || root.nodeName).toLowerCase();
+        if (rootName === 'rss' || rootName === 'rdf') {
+            return this.parseRssFeed(root, source);
+        }
+        if (rootName === 'feed') {
+            return this.parseAtomFeed(root, source);
+        }
+        
+        throw new Error(`Unrecognized feed format <${root.nodeName}>`);
+    }
+
+    parseRssFeed(root, source) {
+        return this.findElements(root, 'item').map((item, index) => this.buildFeedItem({
+            title: this.childText(item, 'title'),
+            url: this.childText(item, 'link') || this.childText(item, 'guid'),
+            guid: this.childText(item, 'guid'),
+            published: this.childText(item, 'pubDate') || this.childText(item, 'date'),
+            summary: this.childText(item, 'description') || this.childText(item, 'encoded')
+        }, source, index));
+    }
+
+    parseAtomFeed(root, source) {
+        return this.findElements(root, 'entry').map((entry, index) => {
+            const links = this.findElements(entry, 'link');
+            const alternate = links.find(link => (link.getAttribute('rel') || 'alternate') === 'alternate') || links[0];
+            
+            return this.buildFeedItem({
+                title: this.childText(entry, 'title'),
+                url: alternate ? alternate.getAttribute('href') : '',
+                guid: this.childText(entry, 'id'),
+                published: this.childText(entry, 'published') || this.childText(entry, 'updated'),
+                summary: this.childText(entry, 'summary') || this.childText(entry, 'content')
+            }, source, index);
+        });
+    }
+
+    parseJsonFeed(feed, source) {
+        if (!feed || !Array.isArray(feed.items) || !String(feed.version || '').includes('jsonfeed.org')) {
+            throw new Error('Not a JSON Feed document');
+        }
+        
+        return feed.items.map((item, index) => this.buildFeedItem({
+            title: item.title || '',
+            url: item.url || item.external_url || '',
+            guid: item.id ? String(item.id) : '',
+            published: item.date_published || item.date_modified || '',
+            summary: item.summary || item.content_text || item.content_html || ''
+        }, source, index));
+    }
+
+    buildFeedItem(entry, source, index) {
+        let url = (entry.url || '').trim();
+        try {
+            url = url ? new URL(url, source.url).href : '';
+        } catch {
+            url = '';
+        }
+        
+        const parsedTime = entry.published ? new Date(entry.published.trim()).getTime() : NaN;
+        const timestamp = isNaN(parsedTime) ? Date.now() - (index * 3600000) : parsedTime;
+        const excerpt = this.stripHtml(entry.summary);
+        
+        return {
+            id: this.deriveItemId(url, entry.guid || `item-${index}`),
+            title: this.stripHtml(entry.title),
+            url: url || '#',
+            date: isNaN(parsedTime)
+                ? 'Recent'
+                : new Date(parsedTime).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' }),
+            source: source.label,
+            sourceId: source.id,
+            excerpt: excerpt ? excerpt.substring(0, 300) : 'No description available',
+            timestamp
+        };
+    }
+
+    findElements(parent, localName) {
+        // Namespace-agnostic walk so rss:item, atom:entry and RDF variants all match
+        const matches = [];
+        const walk = el => {
+            Array.from(el.children || []).forEach(child => {
+                if ((child.localName || child.nodeName).toLowerCase() === localName.toLowerCase()) {
+                    matches.push(child);
+                }
+                walk(child);
+            });
+        };
+        walk(parent);
+        return matches;
+    }
+
+    childText(parent, localName) {
+        const child = Array.from(parent.children || [])
+            .find(el => (el.localName || el.nodeName).toLowerCase() === localName.toLowerCase());
+        return child ? child.textContent.trim() : '';
+    }
+
+    stripHtml(value) {
+        if (!value) return '';
+        const doc = new DOMParser().parseFromString(`<!DOCTYPE html><html><body>${value}</body></html>`, 'text/html');
+        return doc.body.textContent.replace(/\s+/g, ' ').trim();
+    }
+
+    // iCalendar (RFC 5545) events as meeting items. A recurring event (RRULE) is listed once, at DTSTART.
+    parseICalendar(content, source) {
+        // Unfold continuation lines (a line break followed by a space or tab) first
+        const lines = content.replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+        if (!lines.some(line => /^BEGIN:VCALENDAR\s*$/i.test(line))) {
+            throw new Error('Not an iCalendar file');
+        }
+        
+        const events = [];
+        let calendarZone = null;
+        let event = null;
+        let depth = 0; // Components nested in an event, e.g. VALARM
+        lines.forEach(line => {
+            const match = line.match(/^([A-Za-z0-9-]+)((?:;[A-Za-z0-9-]+=(?:"[^"]*"|[^;:"]*))*):(.*)$/);
+            if (!match) return;
+            const name = match[1].toUpperCase();
+            const value = match[3];
+            
+            if (name === 'BEGIN') {
+                if (event) depth++;
+                else if (value.trim().toUpperCase() === 'VEVENT') event = {};
+            } else if (name === 'END') {
+                if (event && depth > 0) {
+                    depth--;
+                } else if (event && value.trim().toUpperCase() === 'VEVENT') {
+                    events.push(event);
+                    event = null;
+                }
+            } else if (event && depth === 0) {
+                if (!event[name]) event[name] = { value, params: this.parseICalParams(match[2]) };
+            } else if (!event && name === 'X-WR-TIMEZONE') {
+                calendarZone = value.trim();
+            }
+        });
+        
+        const text = (entry, property) => entry[property] ? this.unescapeICalText(entry[property].value) : '';
+        const pageUrl = entry => {
+            try {
+                const url = text(entry, 'URL') ? new URL(text(entry, 'URL'), source.url).href : '';
+                return /^https?:/.test(url) ? url : '';
+            } catch {
+                return '';
+            }
+        };
+        // Ids come from the meeting's own page when it has one, like on the agenda listing, so
+        // switching between the two reports nothing. Events sharing a page use their UID.
+        const pageCounts = new Map();
+        events.forEach(entry => pageCounts.set(pageUrl(entry), (pageCounts.get(pageUrl(entry)) || 0) + 1));
+        
+        return events.map((entry, index) => {
+            const start = entry.DTSTART ? this.parseICalDate(entry.DTSTART, calendarZone) : null;
+            if (!start || !text(entry, 'SUMMARY')) return null;
+            const end = entry.DTEND ? this.parseICalDate(entry.DTEND, calendarZone) : null;
+            const url = pageUrl(entry);
+            const uid = text(entry, 'UID') && text(entry, 'UID') + (entry['RECURRENCE-ID'] ? `@${entry['RECURRENCE-ID'].value.trim()}` : '');
+            const description = text(entry, 'DESCRIPTION').split('\n');
+            
+            return this.buildMeetingItem({
+                id: url && pageCounts.get(url) === 1 ? null : uid,
+                title: text(entry, 'SUMMARY'),
+                url,
+                start: start.time,
+                end: end ? end.time : null,
+                allDay: start.allDay,
+                location: text(entry, 'LOCATION'),
+                status: text(entry, 'STATUS'),
+                description: description.filter(line => !this.parseAgendaLine(line)).join(' '),
+                agenda: description.map(line => this.parseAgendaLine(line)).filter(Boolean)
+            }, source, index);
+        }).filter(Boolean);
+    }
+
+    parseICalParams(text) {
+        const params = {};
+        (text.match(/;[A-Za-z0-9-]+=(?:"[^"]*"|[^;]*)/g) || []).forEach(pair => {
+            const separator = pair.indexOf('=');
+            params[pair.slice(1, separator).toUpperCase()] = pair.slice(separator + 1).replace(/^"|"$/g, '');
+        });
+        return params;
+    }
+
+    unescapeICalText(value) {
+        return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N') ? '\n' : char).trim();
+    }
+
+    // DATE values are all-day; DATE-TIME is UTC with a Z, in TZID (or the calendar's zone), else local
+    parseICalDate({ value, params }, calendarZone = null) {
+        const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+        if (!match) return null;
+        
+        const [year, month, day, hour, minute, second] = match.slice(1, 7).map(part => Number(part || 0));
+        if (!match[4] || params.VALUE === 'DATE') {
+            return { time: new Date(year, month - 1, day).getTime(), allDay: true };
+        }
+        if (match[7]) {
+            return { time: Date.UTC(year, month - 1, day, hour, minute, second), allDay: false };
+        }
+        const zone = params.TZID || calendarZone;
+        return {
+            time: zone
+                ? this.zonedTimeToUtc([year, month, day, hour, minute, second], zone)
+                : new Date(year, month - 1, day, hour, minute, second).getTime(),
+            allDay: false
+        };
+    }
+
+    // Wall-clock time in a named zone to a timestamp, using the zone's UTC offset from Intl
+    zonedTimeToUtc([year, month, day, hour, minute, second], timeZone) {
+        let formatter;
+        try {
+            formatter = new Intl.DateTimeFormat('en-US', {
+                timeZone: this.windowsTimeZones[timeZone] || timeZone,
+                hourCycle: 'h23',
+                year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+            });
+        } catch {
+            // Unknown zone: the page's own clock is the best guess for a New Orleans calendar
+            return new Date(year, month - 1, day, hour, minute, second).getTime();
+        }
+        const offsetAt = time => {
+            const parts = Object.fromEntries(formatter.formatToParts(new Date(time)).map(part => [part.type, Number(part.value)]));
+            return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - time;
+        };
+        const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+        // Second pass settles times near a daylight saving switch
+        return wallClock - offsetAt(wallClock - offsetAt(wallClock));
+    }
+
+    parseAgendaListing(html, source) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const origin = new URL(source.url).origin;
+        const profile = this.getSelectorProfile(source, this.defaultMeetingProfile);
+        
+        // As in parseNewsFromHTML, the item selector that yields the most meetings wins
+        let best = { items: [], selector: null };
+        profile.item.forEach(itemSelector => {
+            const items = Array.from(doc.querySelectorAll(itemSelector))
+                .map((container, index) => this.parseMeetingElement(container, profile, source, origin, index))
+                .filter(Boolean);
+            if (items.length > best.items.length) {
+                best = { items, selector: itemSelector };
+            }
+        });
+        
+        console.log(`Parsed ${best.items.length} meetings from ${source.id} with item selector "${best.selector}"`);
+        this.parseDiagnostics[source.id] = `meetings: ${best.selector || 'none found'}`;
+        return best.items;
+    }
+
+    parseMeetingElement(container, profile, source, origin, index) {
+        const pick = selectors => selectors
+            .map(selector => container.querySelector(selector))
+            .find(element => element && element.textContent.trim());
+        const textOf = element => element ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+        const urlOf = element => element ? this.resolveItemUrl(element.getAttribute('href'), origin) : null;
+        
+        const titleElement = pick(profile.title);
+        const title = textOf(titleElement);
+        const dated = this.extractItemDate(container, profile);
+        if (!title || title.length <= 3 || !dated) return null;
+        
+        const linkElement = titleElement.closest('a[href]') || titleElement.querySelector('a[href]')
+            || profile.link.map(selector => container.querySelector(selector)).find(Boolean);
+        const agendaLink = profile.agendaLink.map(selector => container.querySelector(selector)).find(Boolean);
+        const agendaElements = profile.agendaItem
+            .map(selector => Array.from(container.querySelectorAll(selector)))
+            .find(elements => elements.length > 0) || [];
+        
+        // A date without a time of day takes it from the time field, or from the date's own text
+        let start = dated.timestamp;
+        const clock = this.parseTimeOfDay(`${textOf(pick(profile.time))} ${textOf(pick(profile.date))}`);
+        if (clock && new Date(start).getHours() === 0 && new Date(start).getMinutes() === 0) {
+            start = new Date(start).setHours(clock.hours, clock.minutes, 0, 0);
+        }
+        
+        return this.buildMeetingItem({
+            title,
+            url: urlOf(linkElement),
+            start,
+            location: textOf(pick(profile.location)),
+            status: textOf(pick(profile.status)),
+            agenda: agendaElements.map((element, position) => ({
+                ...(this.parseAgendaLine(textOf(element)) || { number: String(position + 1), title: textOf(element) }),
+                url: urlOf(element.querySelector('a[href]'))
+            })).filter(entry => entry.title),
+            agendaUrl: urlOf(agendaLink)
+        }, source, index);
+    }
+
+    // "10:00 AM", "5:30 p.m.", "9am"
+    parseTimeOfDay(text) {
+        const match = (text || '').match(/\b(\d{1,2})(?::(\d{2}))?\s*([ap])\.?\s?m\b\.?/i);
+        if (!match || Number(match[1]) < 1 || Number(match[1]) > 12) return null;
+        const hours = Number(match[1]) % 12 + (match[3].toLowerCase() === 'p' ? 12 : 0);
+        return { hours, minutes: Number(match[2] || 0) };
+    }
+
+    // "1. Ordinance Calendar No. 34,567", "B) Presentation", "IV. Public comment"
+    parseAgendaLine(line) {
+        const match = (line || '').match(/^\s*(?:item\s+)?(\d{1,3}[A-Za-z]?|[A-Z]|[IVX]{1,4})[.)]\s+(\S.{3,})$/);
+        return match ? { number: match[1], title: match[2].replace(/\s+/g, ' ').trim() } : null;
+    }
+
+    buildMeetingItem(meeting, source, index) {
+        // "CANCELLED: Budget Committee" and "Budget Committee (Postponed)" are the same meeting with a status
+        const prefix = meeting.title.match(/^\s*(cancell?ed|postponed)\s*[:\-–—]\s*/i) ||
+            meeting.title.match(/\s*\((cancell?ed|postponed)\)\s*/i);
+        const title = (prefix ? meeting.title.replace(prefix[0], ' ') : meeting.title).replace(/\s+/g, ' ').trim();
+        const details = {
+            start: meeting.start,
+            end: meeting.end || null,
+            allDay: !!meeting.allDay,
+            location: (meeting.location || '').replace(/\s+/g, ' ').trim(),
+            status: this.getMeetingStatus(`${meeting.status || ''} ${prefix ? prefix[1] : ''}`),
+            agenda: meeting.agenda || [],
+            agendaUrl: meeting.agendaUrl || null
+        };
+        const hasOwnPage = meeting.url && this.canonicalizeUrl(meeting.url) !== this.canonicalizeUrl(source.url);
+        const description = (meeting.description || '').replace(/\s+/g, ' ').trim();
+        
+        return {
+            id: meeting.id || (hasOwnPage
+                ? this.deriveItemId(meeting.url, `meeting-${index}`)
+                : `meeting-${this.fingerprintText(title)}-${meeting.start}`),
+            title,
+            url: meeting.url || source.url,
+            date: this.formatMeetingTime(details),
+            source: source.label,
+            sourceId: source.id,
+            excerpt: description ? description.substring(0, 300) : 'No description available',
+            timestamp: meeting.start,
+            meeting: details
+        };
+    }
+
+    getMeetingStatus(text) {
+        if (/\bcancell?ed\b/i.test(text)) return 'cancelled';
+        if (/\bpostponed\b/i.test(text)) return 'postponed';
+        return 'scheduled';
+    }
+
+    formatMeetingTime(meeting) {
+        const day = { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' };
+        return meeting.allDay
+            ? new Date(meeting.start).toLocaleDateString('en-US', day)
+            : new Date(meeting.start).toLocaleString('en-US', { ...day, hour: 'numeric', minute: '2-digit' });
+    }
+
+    // Agenda item titles, so keywords and entities in a meeting's agenda count like text in its excerpt
+    getAgendaText(item) {
+        return item.meeting ? item.meeting.agenda.map(entry => entry.title).join('\n') : '';
+    }
+
+    // When each item first showed up; older saved items without one count from the last check
+    markFirstSeen(items, previousItems) {
+        const now = Date.now();
+        const previousByKey = new Map(previousItems.map(item => [this.getItemKey(item), item]));
+        items.forEach(item => {
+            const previous = previousByKey.get(this.getItemKey(item));
+            item.firstSeen = previous ? previous.firstSeen || this.lastCheck || now : now;
+        });
+    }
+
+    getMatchWords(text) {
+        const stopWords = new Set(['a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'in', 'is', 'it', 'of', 'on', 'or', 'that', 'the', 'to', 'was', 'will', 'with']);
+        return (text || '').toLowerCase()
+            .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+            .split(/\s+/)
+            .filter(word => word && !stopWords.has(word));
+    }
+
+    getWordPairs(words) {
+        return new Set(words.length > 1 ? words.slice(1).map((word, index) => `${words[index]} ${word}`) : words);
+    }
+
+    countShared(a, b) {
+        let shared = 0;
+        a.forEach(value => {
+            if (b.has(value)) shared++;
+        });
+        return shared;
+    }
+
+    // Same canonical URL, or a near-identical headline and text published close together.
+    // Text is compared as word pairs, so templated headlines ("NOPD Investigating Shooting in
+    // Fifth District" / "...Seventh District") stay apart, and by overlap with the shorter
+    // side, so an excerpt cut short on one site still matches. Without an excerpt on both
+    // sides only the headlines are compared.
+    areSameStory(a, b) {
+        // Two meetings are only one story at the same time: weekly committees repeat their
+        // titles, and a calendar without a page per meeting gives them all one URL
+        const meetings = a.meetingStart !== null && b.meetingStart !== null;
+        if (meetings && a.meetingStart !== b.meetingStart) return false;
+        if (a.canonicalUrl === b.canonicalUrl && !meetings) return true;
+        if (Math.abs(a.timestamp - b.timestamp) > this.clusterOptions.maxDaysApart * 24 * 60 * 60 * 1000) return false;
+        
+        const sharedWords = this.countShared(a.titleWords, b.titleWords);
+        const titleSimilarity = sharedWords / (a.titleWords.size + b.titleWords.size - sharedWords || 1);
+        if (titleSimilarity < this.clusterOptions.minTitleSimilarity) return false;
+        
+        const [pairsA, pairsB] = a.textPairs && b.textPairs ? [a.textPairs, b.textPairs] : [a.titlePairs, b.titlePairs];
+        const smaller = Math.min(pairsA.size, pairsB.size);
+        return smaller > 0 && this.countShared(pairsA, pairsB) / smaller >= this.clusterOptions.minTextOverlap;
+    }
+
+    // Groups entries about the same story: [{ lead, members }] in input order, where lead
+    // is the first member in that order and members (lead included) are sorted by first seen
+    clusterItems(entries, getItem = entry => entry) {
+        const placeholder = 'No description available';
+        const signatures = entries.map(entry => {
+            const item = getItem(entry);
+            const titleWords = this.getMatchWords(item.title);
+            const hasExcerpt = item.excerpt && item.excerpt !== placeholder;
+            return {
+                canonicalUrl: item.canonicalUrl || this.canonicalizeUrl(item.url),
+                timestamp: item.timestamp || 0,
+                meetingStart: item.meeting ? item.meeting.start : null,
+                titleWords: new Set(titleWords),
+                titlePairs: this.getWordPairs(titleWords),
+                textPairs: hasExcerpt ? this.getWordPairs(this.getMatchWords(`${item.title} ${item.excerpt}`)) : null
+            };
+        });
+        
+        // Union-find over every pair; a few hundred items is still only tens of thousands of comparisons
+        const parent = entries.map((entry, index) => index);
+        const find = index => parent[index] === index ? index : (parent[index] = find(parent[index]));
+        for (let i = 0; i < entries.length; i++) {
+            for (let j = i + 1; j < entries.length; j++) {
+                if (find(i) !== find(j) && this.areSameStory(signatures[i], signatures[j])) {
+                    parent[find(j)] = find(i);
+                }
+            }
+        }
+        
+        const clusters = new Map();
+        entries.forEach((entry, index) => {
+            const root = find(index);
+            if (!clusters.has(root)) clusters.set(root, { lead: entry, members: [] });
+            clusters.get(root).members.push(entry);
+        });
+        const seenAt = entry => getItem(entry).firstSeen || getItem(entry).timestamp || 0;
+        return Array.from(clusters.values()).map(cluster => ({
+            ...cluster,
+            members: cluster.members.sort((a, b) => seenAt(a) - seenAt(b))
+        }));
+    }
+
+    detectChanges(sources = this.getEnabledSources()) {
+        const changes = [];
+        
+        // Only diff sources that were part of this check; items from disabled
+        // sources are not "removed", they are just not being watched right now
+        const checkedSources = new Set(sources.map(source => source.id));
+        const previousItems = this.previousNews.filter(item => checkedSources.has(this.getItemSourceId(item)));
+        const currentItems = this.currentNews.filter(item => checkedSources.has(this.getItemSourceId(item)));
+        const previousByKey = new Map(previousItems.map(item => [this.getItemKey(item), item]));
+        const currentKeys = new Set(currentItems.map(item => this.getItemKey(item)));
+        
+        // Find new and modified items
+        currentItems.forEach(current => {
+            const previous = previousByKey.get(this.getItemKey(current));
+            if (!previous) {
+                changes.push({
+                    type: 'NEW',
+                    item: current,
+                    description: current.meeting
+                        ? `New meeting: "${current.title}" on ${current.date}`
+                        : `New article: "${current.title}"`
+                });
+                return;
+            }
+            
+            const diffs = this.diffItems(previous, current);
+            if (diffs.length > 0) {
+                changes.push({
+                    type: 'MODIFIED',
+                    item: current,
+                    previousItem: previous,
+                    diffs,
+                    description: current.meeting && previous.meeting
+                        ? this.describeMeetingChange(previous, current, diffs)
+                        : `Modified article: "${current.title}" (${diffs.map(diff => diff.field).join(', ')} changed)`
+                });
+            }
+        });
+
+        // Find removed items
+        previousItems.forEach(previous => {
+            if (!currentKeys.has(this.getItemKey(previous))) {
+                changes.push({
+                    type: 'REMOVED',
+                    item: previous,
+                    description: previous.meeting
+                        ? `Meeting no longer listed: "${previous.title}" on ${previous.date}`
+                        : `Removed article: "${previous.title}"`
+                });
+            }
+        });
+
+        return changes;
+    }
+
+    fingerprintText(text) {
+        // FNV-1a over whitespace-normalized text; cheap enough to run on every item each check
+        const normalized = (text || '').replace(/\s+/g, ' ').trim();
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < normalized.length; i++) {
+            hash ^= normalized.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
+    fingerprintItem(item) {
+        // A meeting's time, place, status and agenda count too, so the archive keeps a version per reschedule
+        const meeting = item.meeting
+            ? `\n${item.meeting.start}\n${item.meeting.location}\n${item.meeting.status}\n${this.getAgendaText(item)}`
+            : '';
+        return this.fingerprintText(`${item.title}\n${item.excerpt}${meeting}`);
+    }
+
+    diffItems(previous, current) {
+        const diffs = [];
+        const previousFingerprint = previous.fingerprint || this.fingerprintItem(previous);
+        const currentFingerprint = current.fingerprint || this.fingerprintItem(current);
+        
+        if (previousFingerprint !== currentFingerprint) {
+            ['title', 'excerpt'].forEach(field => {
+                if (this.fingerprintText(previous[field]) !== this.fingerprintText(current[field])) {
+                    diffs.push({ field, ops: this.diffWords(previous[field], current[field]) });
+                }
+            });
+        }
+        
+        // Bodies are only comparable when both checks actually captured the article text
+        if (previous.bodyFingerprint && current.bodyFingerprint &&
+            previous.bodyFingerprint !== current.bodyFingerprint) {
+            diffs.push({ field: 'body', ops: this.diffWords(previous.bodyText, current.bodyText) });
+        }
+        
+        // Same for attachments: both checks must have read the article page
+        if (previous.attachments && current.attachments) {
+            const attachmentChanges = this.diffAttachments(previous.attachments, current.attachments);
+            if (attachmentChanges.length > 0) {
+                diffs.push({ field: 'attachments', attachmentChanges });
+            }
+        }
+        
+        if (previous.meeting && current.meeting) {
+            diffs.push(...this.diffMeetings(previous.meeting, current.meeting));
+        }
+        
+        return diffs;
+    }
+
+    // status (cancelled/postponed), when (rescheduled), location, and agenda items added or dropped
+    diffMeetings(previous, current) {
+        const diffs = [];
+        if (previous.status !== current.status) {
+            diffs.push({ field: 'status', ops: this.diffWords(previous.status, current.status) });
+        }
+        if (previous.start !== current.start || previous.allDay !== current.allDay) {
+            diffs.push({ field: 'when', ops: this.diffWords(this.formatMeetingTime(previous), this.formatMeetingTime(current)) });
+        }
+        if (this.fingerprintText(previous.location) !== this.fingerprintText(current.location)) {
+            diffs.push({ field: 'location', ops: this.diffWords(previous.location, current.location) });
+        }
+        
+        // Agenda items are matched by title; renumbering alone is not a change
+        const agendaKey = entry => this.fingerprintText(entry.title.toLowerCase());
+        const previousKeys = new Set(previous.agenda.map(agendaKey));
+        const currentKeys = new Set(current.agenda.map(agendaKey));
+        const agendaChanges = current.agenda
+            .filter(entry => !previousKeys.has(agendaKey(entry)))
+            .map(entry => ({ type: 'added', entry }))
+            .concat(previous.agenda
+                .filter(entry => !currentKeys.has(agendaKey(entry)))
+                .map(entry => ({ type: 'removed', entry })));
+        if (agendaChanges.length > 0) {
+            diffs.push({ field: 'agenda', agendaChanges });
+        }
+        return diffs;
+    }
+
+    describeMeetingChange(previous, current, diffs) {
+        const fields = new Set(diffs.map(diff => diff.field));
+        const parts = [];
+        if (fields.has('status')) {
+            parts.push({
+                cancelled: `Meeting cancelled: "${current.title}" on ${current.date}`,
+                postponed: `Meeting postponed: "${current.title}" (was ${previous.date})`,
+                scheduled: `Meeting back on the calendar: "${current.title}" on ${current.date}`
+            }[current.meeting.status]);
+        }
+        if (fields.has('when')) {
+            parts.push(`Meeting rescheduled: "${current.title}" from ${previous.date} to ${current.date}`);
+        }
+        if (fields.has('location')) {
+            parts.push(`Meeting moved: "${current.title}" is now at ${current.meeting.location || 'an unlisted location'}`);
+        }
+        const added = (diffs.find(diff => diff.field === 'agenda') || { agendaChanges: [] }).agendaChanges
+            .filter(change => change.type === 'added').length;
+        if (added > 0) {
+            parts.push(`${added} new agenda item${added === 1 ? '' : 's'} for "${current.title}"`);
+        }
+        return parts.length > 0
+            ? parts.join('; ')
+            : `Modified meeting: "${current.title}" (${diffs.map(diff => diff.field).join(', ')} changed)`;
+    }
+
+    diffWords(before, after) {
+        const a = (before || '').split(/\s+/).filter(Boolean);
+        const b = (after || '').split(/\s+/).filter(Boolean);
+        const ops = [];
+        const push = (type, words) => {
+            if (words.length === 0) return;
+            const last = ops[ops.length - 1];
+            if (last && last.type === type) {
+                last.text += ' ' + words.join(' ');
+            } else {
+                ops.push({ type, text: words.join(' ') });
+            }
+        };
+        
+        // Trim the common prefix/suffix so the LCS table only covers the edited region
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) start++;
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+        const midA = a.slice(start, endA);
+        const midB = b.slice(start, endB);
+        
+        push('equal', a.slice(0, start));
+        
+        if (midA.length * midB.length > 250000) {
+            // Too large to align word by word - show it as a wholesale rewrite
+            push('delete', midA);
+            push('insert', midB);
+        } else {
+            const table = Array.from({ length: midA.length + 1 }, () => new Uint16Array(midB.length + 1));
+            for (let i = midA.length - 1; i >= 0; i--) {
+                for (let j = midB.length - 1; j >= 0; j--) {
+                    table[i][j] = midA[i] === midB[j]
+                        ? table[i + 1][j + 1] + 1
+                        : Math.max(table[i + 1][j], table[i][j + 1]);
+                }
+            }
+            
+            let i = 0;
+            let j = 0;
+            while (i < midA.length && j < midB.length) {
+                if (midA[i] === midB[j]) {
+                    push('equal', [midA[i]]);
+                    i++;
+                    j++;
+                } else if (table[i + 1][j] >= table[i][j + 1]) {
+                    push('delete', [midA[i]]);
+                    i++;
+                } else {
+                    push('insert', [midB[j]]);
+                    j++;
+                }
+            }
+            push('delete', midA.slice(i));
+            push('insert', midB.slice(j));
+        }
+        
+        push('equal', a.slice(endA));
+        return ops;
+    }
+
+    renderWordDiff(ops, contextWords = 12) {
+        return ops.map(op => {
+            const text = this.escapeHtml(op.text);
+            if (op.type === 'insert') return `<ins class="diff-ins">${text}</ins>`;
+            if (op.type === 'delete') return `<del class="diff-del">${text}</del>`;
+            
+            // Collapse long unchanged runs so article-body diffs stay readable
+            const words = text.split(' ');
+            if (words.length <= contextWords * 2) return text;
+            return `${words.slice(0, contextWords).join(' ')} <span class="diff-gap">…</span> ${words.slice(-contextWords).join(' ')}`;
+        }).join(' ');
+    }
+
+    async fetchArticleBodies(items, previousItems) {
+        const previousByKey = new Map(previousItems.map(item => [this.getItemKey(item), item]));
+        const candidates = items
+            .filter(item => item.url && item.url !== '#')
+            .sort((a, b) => b.timestamp - a.timestamp);
+        const budget = { attachmentChecks: this.maxAttachmentChecksPerCheck };
+        let fetched = 0;
+        
+        for (const item of candidates) {
+            const previous = previousByKey.get(this.getItemKey(item));
+            
+            if (fetched < this.maxBodyFetchesPerCheck) {
+                try {
+                    const article = this.extractArticle(await this.fetchThroughProxies(item.url), item.url);
+                    item.bodyText = article.text.substring(0, this.maxStoredBodyLength);
+                    item.bodyFingerprint = this.fingerprintText(article.text);
+                    item.attachments = await this.fetchAttachmentInfo(article.attachments, (previous && previous.attachments) || [], budget);
+                    fetched++;
+                    continue;
+                } catch (error) {
+                    console.log('Article fetch failed:', item.url, error.message);
+                }
+            }
+            
+            // Keep the last captured body so a skipped or failed fetch doesn't look like an edit
+            if (previous && previous.bodyFingerprint) {
+                item.bodyText = previous.bodyText;
+                item.bodyFingerprint = previous.bodyFingerprint;
+            }
+            if (previous && previous.attachments) {
+                item.attachments = previous.attachments;
+            }
+        }
+        
+        console.log(`Fetched ${fetched} article bodies`);
+    }
+
+    extractArticle(html, pageUrl) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        doc.querySelectorAll('script, style, noscript, nav, header, footer, aside, form').forEach(el => el.remove());
+        
+        const main = doc.querySelector('article') || doc.querySelector('main') ||
+            doc.querySelector('[role="main"]') || doc.querySelector('.content') || doc.body;
+        return {
+            text: main ? main.textContent.replace(/\s+/g, ' ').trim() : '',
+            attachments: main ? this.extractAttachments(main, pageUrl) : []
+        };
+    }
+
+    // Linked documents in the article body: { url, name, type, size }
+    extractAttachments(root, pageUrl) {
+        const attachments = new Map();
+        
+        root.querySelectorAll('a[href]').forEach(link => {
+            let url;
+            try {
+                url = new URL(link.getAttribute('href'), pageUrl);
+            } catch {
+                return;
+            }
+            const extension = (url.pathname.match(/\.([a-z0-9]+)$/i) || [])[1];
+            const type = extension && this.attachmentTypes[extension.toLowerCase()];
+            if (!type || attachments.has(url.href)) return;
+            
+            // "Download" or "PDF" says nothing - fall back to the file name
+            const text = link.textContent.replace(/\s+/g, ' ').trim();
+            const label = text.replace(/\(?\s*(pdf|docx?|xlsx?)\s*,?\s*[\d.]+\s*[kmg]b\s*\)?/i, '').trim();
+            const fileName = decodeURIComponent(url.pathname.split('/').pop());
+            const name = label && !/^(download|view|open|pdf|docx?|xlsx?|click here|here|link)$/i.test(label) ? label : fileName;
+            
+            // Many sites print the size next to the link, e.g. "Budget (PDF, 2.4 MB)"
+            const sizeMatch = text.match(/([\d.]+)\s*([kmg])b\b/i);
+            const size = sizeMatch
+                ? Math.round(Number(sizeMatch[1]) * Math.pow(1024, ' kmg'.indexOf(sizeMatch[2].toLowerCase())))
+                : null;
+            
+            attachments.set(url.href, { url: url.href, name, type, size });
+        });
+        return Array.from(attachments.values());
+    }
+
+    // Size, Last-Modified and ETag from a HEAD request, so a file replaced under the same
+    // URL is noticed. Past the per-check budget the previous check's values are reused.
+    async fetchAttachmentInfo(attachments, previousAttachments, budget) {
+        const previousByUrl = new Map(previousAttachments.map(attachment => [attachment.url, attachment]));
+        
+        for (const attachment of attachments) {
+            const previous = previousByUrl.get(attachment.url);
+            if (budget.attachmentChecks <= 0) {
+                if (previous) Object.assign(attachment, { size: previous.size, lastModified: previous.lastModified, etag: previous.etag });
+                continue;
+            }
+            
+            budget.attachmentChecks--;
+            try {
+                const headers = await this.fetchHeadersThroughProxies(attachment.url);
+                const length = Number(headers.get('content-length'));
+                if (length > 0) attachment.size = length;
+                attachment.lastModified = headers.get('last-modified') || null;
+                attachment.etag = headers.get('etag') || null;
+            } catch (error) {
+                console.log('Attachment check failed:', attachment.url, error.message);
+                if (previous) Object.assign(attachment, { size: previous.size, lastModified: previous.lastModified, etag: previous.etag });
+            }
+        }
+        return attachments;
+    }
+
+    async fetchHeadersThroughProxies(targetUrl) {
+        let lastError = null;
+        for (const proxy of this.proxies) {
+            try {
+                return await this.fetchWithTimeout(proxy ? proxy + encodeURIComponent(targetUrl) : targetUrl, { method: 'HEAD' }, response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.headers;
+                });
+            } catch (error) {
+                lastError = error;
+            }
+        }
+        throw lastError || new Error('No proxies configured');
+    }
+
+    // Added, removed and replaced documents. A file counts as replaced when its URL now
+    // serves different content, or when a new link takes over a dropped link's name
+    // (e.g. "Agenda" re-posted as agenda-revised.pdf).
+    diffAttachments(previousAttachments, currentAttachments) {
+        const previousByUrl = new Map(previousAttachments.map(attachment => [attachment.url, attachment]));
+        const currentUrls = new Set(currentAttachments.map(attachment => attachment.url));
+        const removed = previousAttachments.filter(attachment => !currentUrls.has(attachment.url));
+        const changes = [];
+        
+        currentAttachments.forEach(attachment => {
+            const previous = previousByUrl.get(attachment.url);
+            if (previous) {
+                if (this.isDifferentFile(previous, attachment)) {
+                    changes.push({ type: 'replaced', attachment, previous });
+                }
+                return;
+            }
+            
+            const renamed = removed.findIndex(candidate => candidate.name.toLowerCase() === attachment.name.toLowerCase());
+            if (renamed !== -1) {
+                changes.push({ type: 'replaced', attachment, previous: removed.splice(renamed, 1)[0] });
+            } else {
+                changes.push({ type: 'added', attachment });
+            }
+        });
+        removed.forEach(attachment => changes.push({ type: 'removed', attachment }));
+        
+        return changes;
+    }
+
+    // Compares the strongest validator both sides have
+    isDifferentFile(previous, current) {
+        for (const field of ['etag', 'lastModified', 'size']) {
+            if (previous[field] && current[field]) return previous[field] !== current[field];
+        }
+        return false;
+    }
+
+    formatFileSize(bytes) {
+        if (!bytes) return '';
+        const units = ['B', 'KB', 'MB', 'GB'];
+        const exponent = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+        const value = bytes / Math.pow(1024, exponent);
+        return `${exponent === 0 ? value : value.toFixed(1)} ${units[exponent]}`;
+    }
+
+    describeSource(item) {
+        return item.publisher && item.publisher !== item.source ? `${item.source} (${item.publisher})` : item.source;
+    }
+
+    describeAttachment(attachment) {
+        const details = [attachment.type.toUpperCase(), this.formatFileSize(attachment.size)].filter(Boolean).join(', ');
+        return `${attachment.name} (${details})`;
+    }
+
+    groupBySource(entries, getItem = entry => entry) {
+        // Keep registry order so each source always renders in the same place
+        return this.sources
+            .map(source => ({
+                source,
+                entries: entries.filter(entry => this.getItemSourceId(getItem(entry)) === source.id)
+            }))
+            .filter(group => group.entries.length > 0 || this.enabledSources.has(group.source.id));
+    }
+
+    renderSourceHeading(source, count, grouped = 0) {
+        const status = this.sourceStatus[source.id];
+        let error = '';
+        if (status && status.suspect) {
+            error = `
+                <div class="parser-warning">
+                    🧩 ${this.escapeHtml(status.error)}. Showing the last good items; nothing was marked removed.
+                    <button class="secondary-btn" data-accept-drop="${this.escapeHtml(source.id)}">✔️ Accept new count</button>
+                </div>
+            `;
+        } else if (status && !status.ok) {
+            error = `<div class="source-error">⚠️ Last fetch failed: ${this.escapeHtml(status.error)}</div>`;
+        } else if (status && status.warning) {
+            error = `<div class="parser-warning">🧩 ${this.escapeHtml(status.warning)}</div>`;
+        }
+        
+        return `
+            <h3 class="source-heading">
+                ${this.escapeHtml(source.label)}
+                <span class="source-count">
+                    ${count} item${count === 1 ? '' : 's'}${grouped > 0 ? ` · ${grouped} more in stories from other sources` : ''}${status && status.via === 'feed' ? ' · via feed' : ''}
+                </span>
+            </h3>
+            ${error}
+        `;
+    }
+
+    displayNews(newsItems) {
+        const container = document.getElementById('newsResults');
+        const countLabel = document.getElementById('resultsCount');
+        this.renderTriageControls(newsItems);
+        this.displayedStories = new Map();
+        
+        if (newsItems.length === 0) {
+            container.innerHTML = '<p class="placeholder">No news items found</p>';
+            if (countLabel) countLabel.textContent = '';
+            return;
+        }
+
+        // Score once up front - filtering, sorting and rendering all need it
+        const scored = newsItems
+            .filter(item => this.enabledSources.has(this.getItemSourceId(item)))
+            .map(item => {
+                const keywords = this.findKeywords(item);
+                const entities = this.extractEntities(item);
+                return { item, keywords, entities, newsworthiness: this.calculateNewsworthiness(item, keywords, entities) };
+            });
+        const filtered = scored.filter(entry =>
+            this.isRelevant(entry.item, entry.keywords, entry.entities) && this.matchesTriageView(entry.item));
+        
+        if (filtered.length === 0) {
+            if (countLabel) countLabel.textContent = `Showing 0 of ${scored.length} items`;
+            container.innerHTML = this.viewOptions.triage === 'queue' && !this.viewOptions.reporter
+                ? '<p class="placeholder">Enter your name in the toolbar to see the items assigned to you</p>'
+                : '<p class="placeholder">No items match the current filters</p>';
+            return;
+        }
+        
+        // Cross-posts and re-posts of one story share a card, placed where its first entry sorts
+        if (this.viewOptions.sortBy !== 'source') {
+            const compare = this.viewOptions.sortBy === 'score'
+                ? (a, b) => b.newsworthiness.score - a.newsworthiness.score || b.item.timestamp - a.item.timestamp
+                : (a, b) => b.item.timestamp - a.item.timestamp;
+            filtered.sort(compare);
+        }
+        const stories = this.clusterItems(filtered, entry => entry.item);
+        stories.forEach(story => this.displayedStories.set(this.getItemKey(story.lead.item), story.members.map(member => member.item)));
+        
+        if (countLabel) {
+            const shown = filtered.length === scored.length
+                ? `Showing all ${scored.length} items`
+                : `Showing ${filtered.length} of ${scored.length} items`;
+            countLabel.textContent = stories.length < filtered.length ? `${shown} in ${stories.length} stories` : shown;
+        }
+        
+        if (this.viewOptions.sortBy !== 'source') {
+            container.innerHTML = stories.map(story => this.renderNewsItem(story.lead, story.members)).join('');
+            return;
+        }
+        
+        // A story sits under its first entry's source; the other sources note how many of theirs it holds
+        const elsewhere = {};
+        stories.forEach(story => story.members.forEach(member => {
+            const sourceId = this.getItemSourceId(member.item);
+            if (sourceId !== this.getItemSourceId(story.lead.item)) elsewhere[sourceId] = (elsewhere[sourceId] || 0) + 1;
+        }));
+        container.innerHTML = this.groupBySource(stories, story => story.lead.item)
+            .filter(group => this.enabledSources.has(group.source.id))
+            .map(group => `
+                <div class="source-group" data-source="${this.escapeHtml(group.source.id)}">
+                    ${this.renderSourceHeading(group.source, group.entries.length, elsewhere[group.source.id] || 0)}
+                    ${group.entries.map(story => this.renderNewsItem(story.lead, story.members)).join('')}
+                </div>
+            `).join('');
+    }
+
+    renderNewsItem({ item, keywords, entities = [], newsworthiness }, members = []) {
+        const triage = this.getTriageState(item);
+        const triageClasses = ['read', 'starred', 'dismissed'].filter(field => triage[field]).join(' ');
+        return `
+            <div class="news-item ${item.isNew ? 'new' : ''} ${keywords.length > 0 ? 'highlighted' : ''} ${members.length > 1 ? 'story-card' : ''} ${triage.read ? '' : 'unread'} ${triageClasses}"
+                 data-story="${this.escapeHtml(this.getItemKey(item))}">
+                <div class="news-title">
+                    ${this.renderLink(item.url, item.title)}
+                    ${item.isNew ? '<span style="color: #27ae60; font-weight: bold;"> [NEW]</span>' : ''}
+                </div>
+                <div class="news-meta">
+                    ${this.escapeHtml(item.date)} | From ${this.escapeHtml(this.describeSource(item))}
+                </div>
+                <div class="news-excerpt">
+                    ${this.escapeHtml(item.excerpt)}
+                </div>
+                ${item.meeting ? this.renderMeetingDetails(item.meeting) : ''}
+                ${item.attachments && item.attachments.length > 0 ? `
+                    <div class="news-attachments">
+                        📎 ${item.attachments.map(attachment => `
+                            ${this.renderLink(attachment.url, this.describeAttachment(attachment))}
+                        `).join(' · ')}
+                    </div>
+                ` : ''}
+                ${keywords.length > 0 ? `
+                    <div class="news-keywords">
+                        ${keywords.map(kw => `<span class="keyword-highlight">${this.escapeHtml(kw)}</span>`).join('')}
+                    </div>
+                ` : ''}
+                ${entities.length > 0 ? `
+                    <div class="news-entities">
+                        ${entities.map(entity => {
+                            const key = this.getEntityKey(entity);
+                            return `<button class="entity-chip entity-${entity.type} ${this.viewOptions.entity === key ? 'active' : ''}"
+                                data-entity="${this.escapeHtml(key)}" title="${this.entityTypes[entity.type].label} - show only items naming this">
+                                ${this.escapeHtml(this.formatEntity(entity))}
+                            </button>`;
+                        }).join('')}
+                    </div>
+                ` : ''}
+                ${members.length > 1 ? this.renderStoryAppearances(item, members.map(member => member.item)) : ''}
+                <div class="newsworthiness ${newsworthiness.level}">
+                    Newsworthiness: ${newsworthiness.score}/5 (${newsworthiness.level})
+                </div>
+                <details class="score-breakdown">
+                    <summary>Why this score?</summary>
+                    <ul>
+                        ${this.formatScoreBreakdown(newsworthiness.breakdown).map(line => `<li>${this.escapeHtml(line)}</li>`).join('')}
+                        <li class="score-total">= ${Math.round(newsworthiness.rawScore * 100) / 100}, shown as ${newsworthiness.score}/5</li>
+                    </ul>
+                </details>
+                ${this.renderTriageBar(triage)}
+            </div>
+        `;
+    }
+
+    renderMeetingDetails(meeting) {
+        const statusLabels = { cancelled: '❌ Cancelled', postponed: '⏸️ Postponed' };
+        return `
+            <div class="meeting-details ${meeting.status}">
+                🗓️ ${this.escapeHtml(this.formatMeetingTime(meeting))}
+                ${meeting.location ? ` · 📍 ${this.escapeHtml(meeting.location)}` : ''}
+                ${statusLabels[meeting.status] ? `<span class="meeting-status">${statusLabels[meeting.status]}</span>` : ''}
+                ${meeting.agendaUrl ? ` · ${this.renderLink(meeting.agendaUrl, '📄 Agenda')}` : ''}
+            </div>
+            ${meeting.agenda.length > 0 ? `
+                <details class="meeting-agenda">
+                    <summary>📋 ${meeting.agenda.length} agenda item${meeting.agenda.length === 1 ? '' : 's'}</summary>
+                    <ul>
+                        ${meeting.agenda.map(entry => `
+                            <li>
+                                <span class="agenda-number">${this.escapeHtml(entry.number)}.</span>
+                                ${entry.url ? this.renderLink(entry.url, entry.title) : this.escapeHtml(entry.title)}
+                            </li>
+                        `).join('')}
+                    </ul>
+                </details>
+            ` : ''}
+        `;
+    }
+
+    renderTriageBar(triage) {
+        return `
+            <div class="triage-bar">
+                <button class="triage-btn ${triage.read ? '' : 'active'}" data-triage-toggle="read">${triage.read ? '◻️ Mark unread' : '✔️ Mark read'}</button>
+                <button class="triage-btn ${triage.starred ? 'active' : ''}" data-triage-toggle="starred">${triage.starred ? '★ Starred' : '☆ Star'}</button>
+                <button class="triage-btn" data-triage-toggle="dismissed"
+                        title="Dismissed items are hidden and never alert again">${triage.dismissed ? '↩️ Restore' : '🚫 Dismiss'}</button>
+                <label class="triage-assignee">
+                    Assigned to
+                    <input type="text" class="archive-input" list="reporterNames" data-triage-field="assignee"
+                           value="${this.escapeHtml(triage.assignee)}" placeholder="Nobody">
+                </label>
+            </div>
+            <details class="triage-notes" ${triage.notes ? 'open' : ''}>
+                <summary>📝 Notes</summary>
+                <textarea class="archive-input" rows="2" data-triage-field="notes" placeholder="Calls made, angles, follow-ups...">${this.escapeHtml(triage.notes)}</textarea>
+            </details>
+        `;
+    }
+
+    renderStoryAppearances(lead, items) {
+        const formatTime = time => new Date(time).toLocaleString();
+        return `
+            <details class="story-appearances" open>
+                <summary>🔗 Appeared in ${items.length} places</summary>
+                <ul>
+                    ${items.map(item => `
+                        <li>
+                            ${this.renderLink(item.url, this.describeSource(item))}
+                            · ${this.escapeHtml(item.date)}${item.firstSeen ? ` · first seen ${formatTime(item.firstSeen)}` : ''}
+                            ${item.title !== lead.title ? `<div class="story-title">“${this.escapeHtml(item.title)}”</div>` : ''}
+                        </li>
+                    `).join('')}
+                </ul>
+            </details>
+        `;
+    }
+
+    displayChanges(changes) {
+        const container = document.getElementById('changesResults');
+        
+        if (changes.length === 0) {
+            container.innerHTML = '<p class="placeholder">No changes detected</p>';
+            return;
+        }
+
+        container.innerHTML = this.groupBySource(changes, change => change.item)
+            .filter(group => group.entries.length > 0)
+            .map(group => `
+                <div class="source-group" data-source="${this.escapeHtml(group.source.id)}">
+                    <h3 class="source-heading">${this.escapeHtml(group.source.label)}</h3>
+                    ${group.entries.map(change => `
+                        <div class="change-item ${this.escapeHtml(change.type.toLowerCase())}">
+                            <div class="change-type">${this.escapeHtml(change.type)}</div>
+                            <div>${this.escapeHtml(change.description)}</div>
+                            <div class="news-meta">${this.escapeHtml(change.item.date)} | From ${this.escapeHtml(change.item.source)}</div>
+                            ${(change.diffs || []).map(diff => `
+                                <div class="change-diff">
+                                    <div class="diff-field">${this.escapeHtml(diff.field)}</div>
+                                    ${diff.attachmentChanges
+                                        ? this.renderAttachmentChanges(diff.attachmentChanges)
+                                        : diff.agendaChanges
+                                            ? this.renderAgendaChanges(diff.agendaChanges)
+                                            : `<div class="diff-text">${this.renderWordDiff(diff.ops)}</div>`}
+                                </div>
+                            `).join('')}
+                        </div>
+                    `).join('')}
+                </div>
+            `).join('');
+    }
+
+    renderAttachmentChanges(attachmentChanges) {
+        const labels = { added: '➕ Added', removed: '➖ Removed', replaced: '🔁 Replaced' };
+        return `
+            <ul class="attachment-changes">
+                ${attachmentChanges.map(entry => `
+                    <li class="attachment-${entry.type}">
+                        ${labels[entry.type]}:
+                        ${this.renderLink(entry.attachment.url, this.describeAttachment(entry.attachment))}
+                        ${entry.previous ? ` (was ${this.renderLink(entry.previous.url, this.describeAttachment(entry.previous))})` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    renderAgendaChanges(agendaChanges) {
+        const labels = { added: '➕ Added', removed: '➖ Dropped' };
+        return `
+            <ul class="attachment-changes">
+                ${agendaChanges.map(change => `
+                    <li class="attachment-${change.type}">
+                        ${labels[change.type]}: ${this.escapeHtml(change.entry.number)}.
+                        ${change.entry.url ? this.renderLink(change.entry.url, change.entry.title) : this.escapeHtml(change.entry.title)}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    findKeywords(item) {
+        const text = `${item.title} ${item.excerpt} ${this.getAgendaText(item)}`;
+        return this.getActiveRules()
+            .filter(rule => rule.enabled && this.matchesKeywordQuery(rule.query, text))
+            .map(rule => rule.query);
+    }
+
+    matchesKeywordQuery(query, text) {
+        if (!this.compiledQueries.has(query)) {
+            try {
+                this.compiledQueries.set(query, this.compileKeywordQuery(query));
+            } catch (error) {
+                console.error(`Skipping invalid keyword rule "${query}":`, error.message);
+                this.compiledQueries.set(query, () => false);
+            }
+        }
+        return this.compiledQueries.get(query)(text);
+    }
+
+    tokenizeKeywordQuery(query) {
+        const tokens = [];
+        const pattern = /\s*(?:(\()|(\))|(-)(?=["(\w])|"([^"]*)("?)|([^\s()"]+))/gy;
+        let match;
+        
+        while (pattern.lastIndex < query.length && (match = pattern.exec(query))) {
+            if (match[1]) tokens.push({ type: '(' });
+            else if (match[2]) tokens.push({ type: ')' });
+            else if (match[3]) tokens.push({ type: 'NOT' });
+            else if (match[4] !== undefined) {
+                if (!match[5]) throw new Error('unclosed quote');
+                if (match[4].trim()) tokens.push({ type: 'phrase', value: match[4].trim() });
+            } else if (match[6] === 'AND' || match[6] === 'OR' || match[6] === 'NOT') {
+                tokens.push({ type: match[6] });
+            } else if (match[6]) {
+                tokens.push({ type: 'term', value: match[6] });
+            }
+        }
+        
+        return tokens;
+    }
+
+    // Grammar: or := and ("OR" and)* ; and := unary ("AND"? unary)* ;
+    // unary := ("-" | "NOT") unary | "(" or ")" | "phrase" | term[*]
+    compileKeywordQuery(query) {
+        const tokens = this.tokenizeKeywordQuery(query);
+        let position = 0;
+        const peek = () => tokens[position];
+        
+        const parseOr = () => {
+            const branches = [parseAnd()];
+            while (peek() && peek().type === 'OR') {
+                position++;
+                branches.push(parseAnd());
+            }
+            return text => branches.some(branch => branch(text));
+        };
+        const parseAnd = () => {
+            const parts = [parseUnary()];
+            while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+                if (peek().type === 'AND') position++;
+                parts.push(parseUnary());
+            }
+            return text => parts.every(part => part(text));
+        };
+        const parseUnary = () => {
+            const token = tokens[position++];
+            if (!token) throw new Error('rule ends unexpectedly');
+            
+            if (token.type === 'NOT') {
+                const inner = parseUnary();
+                return text => !inner(text);
+            }
+            if (token.type === '(') {
+                const inner = parseOr();
+                if (!peek() || peek().type !== ')') throw new Error('missing closing parenthesis');
+                position++;
+                return inner;
+            }
+            if (token.type === 'term' || token.type === 'phrase') {
+                const patterns = this.buildTermPatterns(token.value);
+                return text => patterns.some(pattern => pattern.test(text));
+            }
+            throw new Error(`unexpected "${token.type}"`);
+        };
+        
+        if (tokens.length === 0) throw new Error('rule is empty');
+        const matcher = parseOr();
+        if (position < tokens.length) throw new Error(`unexpected "${tokens[position].type}"`);
+        return matcher;
+    }
+
+    buildTermPatterns(value) {
+        // The term itself plus its aliases, matched on whole words so "council"
+        // doesn't hit "councilmember" - end a term with * to match prefixes
+        const aliases = this.keywordAliases[value.toLowerCase()] || [];
+        
+        return [value].concat(aliases).map(term => {
+            const unquoted = term.replace(/^"|"$/g, '');
+            const prefix = unquoted.endsWith('*');
+            const words = unquoted.replace(/\*$/, '').trim().split(/\s+/)
+                .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+            return new RegExp(`(?<![\\p{L}\\p{N}])${words.join('\\s+')}${prefix ? '' : '(?![\\p{L}\\p{N}])'}`, 'iu');
+        });
+    }
+
+    getDefaultEntityDictionary() {
+        // Canonical name -> other ways it's written. All-caps aliases match case-sensitively
+        // so "RTA" doesn't hit "rta" inside a word; everything else matches whole words.
+        return {
+            person: {
+                'LaToya Cantrell': ['Mayor Cantrell'],
+                'Helena Moreno': ['Councilmember Moreno', 'Mayor Moreno'],
+                'JP Morrell': ['Jean-Paul Morrell', 'J.P. Morrell', 'Councilmember Morrell'],
+                'Joseph Giarrusso': ['Joe Giarrusso', 'Councilmember Giarrusso'],
+                'Lesli Harris': ['Councilmember Harris'],
+                'Freddie King III': ['Freddie King', 'Councilmember King'],
+                'Eugene Green': ['Councilmember Green'],
+                'Oliver Thomas': ['Councilmember Thomas'],
+                'Anne Kirkpatrick': ['Superintendent Kirkpatrick', 'Chief Kirkpatrick'],
+                'Jason Williams': ['DA Williams', 'District Attorney Williams'],
+                'Susan Hutson': ['Sheriff Hutson']
+            },
+            agency: {
+                'New Orleans Police Department': ['NOPD', 'police department'],
+                'New Orleans Fire Department': ['NOFD', 'fire department'],
+                'New Orleans EMS': ['NOEMS', 'Emergency Medical Services'],
+                'Sewerage & Water Board': ['Sewerage and Water Board', 'SWBNO', 'S&WB', 'SWB'],
+                'City Council': ['New Orleans City Council'],
+                'City Planning Commission': ['CPC', 'Planning Commission'],
+                'Department of Public Works': ['DPW', 'Public Works'],
+                'Department of Sanitation': ['Sanitation Department'],
+                'New Orleans Health Department': ['Health Department', 'NOHD'],
+                'Office of Homeland Security': ['NOHSEP', 'Homeland Security and Emergency Preparedness'],
+                'Office of Inspector General': ['Inspector General', 'OIG'],
+                'Regional Transit Authority': ['RTA', 'New Orleans RTA'],
+                'Housing Authority of New Orleans': ['HANO'],
+                'Historic District Landmarks Commission': ['HDLC'],
+                'Department of Safety and Permits': ['Safety and Permits'],
+                'Code Enforcement': ['Department of Code Enforcement'],
+                'NORD Commission': ['NORDC', 'New Orleans Recreation Development Commission'],
+                'Parks and Parkways': ['Department of Parks and Parkways'],
+                'Orleans Parish Sheriff\'s Office': ['OPSO', 'Sheriff\'s Office'],
+                'Orleans Parish District Attorney': ['District Attorney\'s Office'],
+                'Civil Service Commission': []
+            },
+            place: {
+                'Algiers': ['Algiers Point'],
+                'Bayou St. John': ['Bayou St John'],
+                'Broadmoor': [],
+                'Bywater': [],
+                'Carrollton': [],
+                'Central Business District': ['CBD', 'Downtown'],
+                'Central City': [],
+                'French Quarter': ['Vieux Carré', 'Vieux Carre'],
+                'Garden District': [],
+                'Lower Garden District': [],
+                'Gentilly': [],
+                'Hollygrove': [],
+                'Holy Cross': [],
+                'Irish Channel': [],
+                'Lakeview': [],
+                'Lower Ninth Ward': ['Lower 9th Ward', 'Lower Nine'],
+                'Upper Ninth Ward': ['Upper 9th Ward'],
+                'Seventh Ward': ['7th Ward'],
+                'Marigny': ['Faubourg Marigny'],
+                'Mid-City': ['Mid City'],
+                'New Orleans East': [],
+                'Pontchartrain Park': [],
+                'St. Roch': ['St Roch'],
+                'Tremé': ['Treme'],
+                'Uptown': [],
+                'Warehouse District': [],
+                'Village de l\'Est': ['Village de L\'Est'],
+                'Little Woods': [],
+                'Venetian Isles': []
+            }
+        };
+    }
+
+    // Dictionary regexes plus the rules for titled officials, addresses, dollar figures and legislation
+    getEntityPatterns() {
+        if (this.entityPatterns) return this.entityPatterns;
+        
+        const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+        const dictionary = [];
+        Object.entries(this.entityDictionary).forEach(([type, entries]) => {
+            Object.entries(entries).forEach(([name, aliases]) => {
+                [name].concat(aliases).forEach(alias => {
+                    const caseSensitive = alias === alias.toUpperCase();
+                    dictionary.push({
+                        type,
+                        value: name,
+                        pattern: new RegExp(`(?<![\\p{L}\\p{N}])${escape(alias)}(?![\\p{L}\\p{N}])`, caseSensitive ? 'gu' : 'giu')
+                    });
+                });
+            });
+        });
+        
+        const name = "(?:[A-Z][a-zA-Z'’-]+|[A-Z]\\.)";
+        this.entityPatterns = {
+            dictionary,
+            // "Councilmember At-Large Jane Doe", "Superintendent Doe": the name must follow a title
+            official: new RegExp(
+                '\\b(?:Mayor|Councilmember|Councilwoman|Councilman|Council\\s+(?:Vice\\s+)?President|Superintendent|' +
+                'Police\\s+Chief|Fire\\s+Chief|Sheriff|District\\s+Attorney|Inspector\\s+General|Director|Commissioner|Judge)' +
+                `\\s+(?:At-Large\\s+|District\\s+[A-E]\\s+)?(${name}(?:\\s+(?:${name}|III|II|Jr\\.))*)`, 'g'),
+            // "1300 Perdido Street", "the 2400 block of St. Claude Avenue", "4000 S. Claiborne Ave."
+            address: new RegExp(
+                '\\b\\d{1,5}(?:-\\d{1,5})?\\s+(?:[Bb]lock\\s+of\\s+)?(?:(?:N|S|E|W|North|South|East|West)\\.?\\s+)?' +
+                "(?:(?:St\\.|[A-Z][A-Za-z'’-]*|\\d+(?:st|nd|rd|th))\\s+){1,3}" +
+                '(?:Street|St|Avenue|Ave|Boulevard|Blvd|Road|Rd|Drive|Dr|Parkway|Pkwy|Highway|Hwy|Place|Pl|Court|Ct|Lane|Ln|Expressway|Expy|Way)\\b\\.?', 'g'),
+            money: /\$\s?(\d+(?:,\d{3})*(?:\.\d+)?)(?:\s?(million|billion|thousand)\b|\s?([MBK])\b)?/gi,
+            // "Ordinance No. 29,123 M.C.S.", "Calendar No. 34,567", "Resolution R-24-123", "M-25-12"
+            // A bare number only counts in the council's own formats, so "Calendar 2026" isn't one
+            legislation: /\b(?:(Ordinance|Resolution|Motion|Calendar)\s+(?:(?:No\.?|Number|#)\s*((?:[RM]-)?\d+(?:,\d{3})*(?:-\d+)*)|((?:[RM]-)?\d{2}-\d{1,4}|\d{1,3}(?:,\d{3})+))|([RM])-(\d{2}-\d{1,4}))\b/g
+        };
+        return this.entityPatterns;
+    }
+
+    // Offline, dictionary- and rule-based: [{ type, value, amount? }] in order of first mention
+    extractEntities(item) {
+        const text = [item.title, item.excerpt, item.bodyText, this.getAgendaText(item)].filter(Boolean).join('\n');
+        const patterns = this.getEntityPatterns();
+        const found = [];
+        const add = (type, value, index, extra = {}) => {
+            const existing = found.find(entity => entity.type === type && entity.value.toLowerCase() === value.toLowerCase());
+            if (existing) {
+                existing.index = Math.min(existing.index, index);
+            } else {
+                found.push({ type, value, index, ...extra });
+            }
+        };
+        const each = (pattern, callback) => {
+            pattern.lastIndex = 0;
+            let match;
+            while ((match = pattern.exec(text)) !== null) callback(match);
+        };
+        
+        patterns.dictionary.forEach(entry => each(entry.pattern, match => add(entry.type, entry.value, match.index)));
+        
+        // Titled officials. A lone surname ("Councilmember Green said") is looked up in the
+        // dictionary; a full name is taken as written, except in title-case headlines where
+        // "Mayor Smith Announces Plan" can't be told apart from a name
+        const people = Object.entries(this.entityDictionary.person || {});
+        const titleLength = item.title ? item.title.length : 0;
+        const surname = name => name.toLowerCase().replace(/\s+(?:iii|ii|jr\.)$/, '').split(/\s+/).pop();
+        each(patterns.official, match => {
+            const words = match[1].split(/\s+/);
+            const known = people.find(([person, aliases]) => words.length === 1
+                ? surname(person) === words[0].toLowerCase()
+                : [person].concat(aliases).some(alias => alias.toLowerCase() === words.join(' ').toLowerCase()));
+            if (known) add('person', known[0], match.index);
+            else if (words.length > 1 && match.index >= titleLength) add('person', words.join(' '), match.index);
+        });
+        
+        // A full street word before a period is the end of the sentence, not an abbreviation
+        each(patterns.address, match => add('address', match[0]
+            .replace(/\s+/g, ' ')
+            .replace(/\b(Street|Avenue|Boulevard|Road|Drive|Parkway|Highway|Place|Court|Lane|Expressway|Way)\.$/, '$1'), match.index));
+        
+        each(patterns.money, match => {
+            const multipliers = { thousand: 1e3, k: 1e3, million: 1e6, m: 1e6, billion: 1e9, b: 1e9 };
+            const unit = (match[2] || match[3] || '').toLowerCase();
+            const amount = parseFloat(match[1].replace(/,/g, '')) * (multipliers[unit] || 1);
+            add('money', match[0].replace(/\s+/g, ' '), match.index, { amount });
+        });
+        
+        each(patterns.legislation, match => {
+            const kinds = { r: 'Resolution', m: 'Motion' };
+            const value = match[1]
+                ? `${match[1]} ${match[2] || match[3]}`
+                : `${kinds[match[4].toLowerCase()]} ${match[4]}-${match[5]}`;
+            add('legislation', value, match.index);
+        });
+        
+        return found
+            .sort((a, b) => a.index - b.index)
+            .map(({ index, ...entity }) => entity);
+    }
+
+    getEntityKey(entity) {
+        return `${entity.type}:${entity.value}`;
+    }
+
+    formatEntity(entity) {
+        const type = this.entityTypes[entity.type];
+        return `${type ? type.icon : ''} ${entity.value}`.trim();
+    }
+
+    setEntityFilter(key) {
+        // Clicking the active chip again clears the filter
+        this.setViewOption('entity', this.viewOptions.entity === key ? '' : key);
+        this.renderEntityFilter();
+    }
+
+    renderEntityFilter() {
+        if (this.headless) return;
+        
+        const container = document.getElementById('entityFilter');
+        if (!container) return;
+        const key = this.viewOptions.entity;
+        if (!key) {
+            container.innerHTML = '';
+            return;
+        }
+        const separator = key.indexOf(':');
+        const entity = { type: key.slice(0, separator), value: key.slice(separator + 1) };
+        container.innerHTML = `
+            Only items naming
+            <button class="entity-chip entity-${this.escapeHtml(entity.type)} active" data-entity="${this.escapeHtml(key)}" title="Clear this filter">
+                ${this.escapeHtml(this.formatEntity(entity))} ✕
+            </button>
+        `;
+    }
+
+    getDefaultScoringConfig() {
+        return {
+            baseScore: 1,
+            keywordWeight: 1.5,            // Per matched keyword rule...
+            keywordWeights: {},            // ...unless overridden here, keyed by rule query
+            sourceBoosts: { 'nola-gov': 0.5 },
+            entityWeights: {               // Once per entity type named in the item...
+                person: 0.5,
+                agency: 0,
+                place: 0,
+                address: 0.25,
+                money: 0.5,                // ...dollar figures only from moneyThreshold up
+                legislation: 0.5
+            },
+            entityBoosts: {},              // Extra points per entity, keyed by name, e.g. { "JP Morrell": 1 }
+            moneyThreshold: 1000000,
+            titleRules: [                  // Case-insensitive regular expressions; negative weights are penalties
+                { pattern: 'breaking|emergency', weight: 2, label: 'urgent wording' },
+                { pattern: 'budget|council', weight: 1, label: 'budget/council in title' }
+            ],
+            recency: [                     // First matching window wins
+                { hours: 6, weight: 1 },
+                { hours: 24, weight: 0.5 }
+            ],
+            levels: { high: 4, medium: 3 }
+        };
+    }
+
+    validateScoringConfig(config) {
+        const defaults = this.getDefaultScoringConfig();
+        const isNumber = value => typeof value === 'number' && isFinite(value);
+        const merged = { ...defaults, ...config };
+        
+        ['baseScore', 'keywordWeight', 'moneyThreshold'].forEach(key => {
+            if (!isNumber(merged[key])) throw new Error(`${key} must be a number`);
+        });
+        [['keywordWeights', 'keyword'], ['sourceBoosts', 'source'], ['entityWeights', 'entity type'], ['entityBoosts', 'entity']].forEach(([key, what]) => {
+            if (typeof merged[key] !== 'object' || merged[key] === null || Array.isArray(merged[key])) {
+                throw new Error(`${key} must be an object of ${what} -> weight`);
+            }
+            Object.entries(merged[key]).forEach(([name, weight]) => {
+                if (!isNumber(weight)) throw new Error(`${key}["${name}"] must be a number`);
+            });
+        });
+        const unknownTypes = Object.keys(merged.entityWeights).filter(type => !this.entityTypes[type]);
+        if (unknownTypes.length > 0) {
+            throw new Error(`entityWeights has unknown types ${unknownTypes.join(', ')} (use ${Object.keys(this.entityTypes).join(', ')})`);
+        }
+        if (!Array.isArray(merged.titleRules)) throw new Error('titleRules must be a list');
+        merged.titleRules.forEach((rule, index) => {
+            if (!rule || typeof rule.pattern !== 'string' || !isNumber(rule.weight)) {
+                throw new Error(`titleRules[${index}] needs a "pattern" string and a numeric "weight"`);
+            }
+            try {
+                new RegExp(rule.pattern, 'i');
+            } catch (error) {
+                throw new Error(`titleRules[${index}] pattern is not a valid regular expression: ${error.message}`);
+            }
+        });
+        if (!Array.isArray(merged.recency) || merged.recency.some(window => !isNumber(window.hours) || !isNumber(window.weight))) {
+            throw new Error('recency must be a list of { hours, weight }');
+        }
+        if (!merged.levels || !isNumber(merged.levels.high) || !isNumber(merged.levels.medium)) {
+            throw new Error('levels needs numeric "high" and "medium" thresholds');
+        }
+        
+        merged.recency = [...merged.recency].sort((a, b) => a.hours - b.hours);
+        return merged;
+    }
+
+    calculateNewsworthiness(item, keywords, entities = this.extractEntities(item)) {
+        const config = this.scoringConfig;
+        const breakdown = [];
+        const add = (points, label) => {
+            if (points !== 0) breakdown.push({ points, label });
+        };
+        
+        add(config.baseScore, 'base score');
+        
+        // Keyword relevance
+        keywords.forEach(keyword => {
+            const weight = keyword in config.keywordWeights ? config.keywordWeights[keyword] : config.keywordWeight;
+            add(weight, `keyword: ${keyword}`);
+        });
+        
+        // Who and what is named
+        const counted = entities.filter(entity => entity.type !== 'money' || entity.amount >= config.moneyThreshold);
+        Object.keys(this.entityTypes).forEach(type => {
+            const named = counted.filter(entity => entity.type === type);
+            if (named.length > 0 && config.entityWeights[type]) {
+                add(config.entityWeights[type], `${this.entityTypes[type].label.toLowerCase()}: ${named.map(entity => entity.value).join(', ')}`);
+            }
+        });
+        entities.forEach(entity => {
+            if (config.entityBoosts[entity.value]) add(config.entityBoosts[entity.value], `named: ${entity.value}`);
+        });
+        
+        // Source importance
+        const sourceId = this.getItemSourceId(item);
+        if (config.sourceBoosts[sourceId]) {
+            add(config.sourceBoosts[sourceId], `source: ${item.source}`);
         }
         
-        // Update status display
-        const status = document.getElementById('autoStatus');
-        if (this.autoCheckEnabled) {
-            status.textContent = `Auto-checking every ${this.checkIntervalMinutes} minutes`;
+        // Title indicators, including editor-defined penalties
+        config.titleRules.forEach(rule => {
+            if (new RegExp(rule.pattern, 'i').test(item.title)) {
+                add(rule.weight, rule.label || `title matches /${rule.pattern}/`);
+            }
+        });
+        
+        // Recency (newer = more newsworthy)
+        const hoursOld = (Date.now() - item.timestamp) / (1000 * 60 * 60);
+        const window = config.recency.find(candidate => hoursOld < candidate.hours);
+        if (window) {
+            add(window.weight, `recent < ${window.hours}h`);
         }
+        
+        const rawScore = breakdown.reduce((total, entry) => total + entry.points, 0);
+        const score = Math.min(5, Math.max(1, Math.round(rawScore)));
+        const level = score >= config.levels.high ? 'high' : score >= config.levels.medium ? 'medium' : 'low';
+        const newsworthiness = { score, level, rawScore, breakdown };
+        
+        if (this.plugins.length === 0) return newsworthiness;
+        return this.runHookSync('itemScored', { item, keywords, entities, newsworthiness }).newsworthiness;
     }
 
-    async fetchRealNewsData() {
-        console.log('=== FETCH REAL NEWS DATA START ===');
-        console.log('Timestamp:', new Date().toISOString());
+    formatScoreBreakdown(breakdown) {
+        return breakdown.map(entry => `${entry.points > 0 ? '+' : ''}${entry.points} ${entry.label}`);
+    }
+
+    renderScoringSettings() {
+        if (this.headless) return;
         
+        const input = document.getElementById('scoringConfig');
+        if (input) {
+            input.value = JSON.stringify(this.scoringConfig, null, 2);
+        }
+    }
+
+    saveScoringConfig() {
         try {
-            // Try multiple CORS proxies in order of preference
-            const proxies = [
-                'https://corsproxy.io/?',
-                'https://cors-anywhere.herokuapp.com/',
-                'https://api.codetabs.com/v1/proxy?quest='
-            ];
-            
-            const targetUrl = 'https://nola.gov/next/news/';
-            console.log('Target URL:', targetUrl);
-            console.log('Available proxies:', proxies.length);
-            
-            for (let i = 0; i < proxies.length; i++) {
-                try {
-                    const proxyUrl = proxies[i] + encodeURIComponent(targetUrl);
-                    console.log(`=== PROXY ATTEMPT ${i + 1}/${proxies.length} ===`);
-                    console.log('Proxy base:', proxies[i]);
-                    console.log('Full proxy URL:', proxyUrl);
-                    console.log('Making fetch request...');
-                    
-                    const response = await fetch(proxyUrl, {
-                        method: 'GET',
-                        headers: {
-                            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-                            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-                        }
-                    });
-                    
-                    console.log('Response status:', response.status);
-                    console.log('Response ok:', response.ok);
-                    console.log('Response headers:', Object.fromEntries(response.headers.entries()));
-                    
-                    if (!response.ok) {
-                        console.log(`Proxy ${i + 1} failed with HTTP ${response.status}`);
-                        throw new Error(`HTTP ${response.status}`);
-                    }
-                    
-                    console.log('Fetching response text...');
-                    const html = await response.text();
-                    console.log(`Successfully fetched from proxy ${i + 1}`);
-                    console.log('HTML length:', html.length);
-                    console.log('HTML preview:', html.substring(0, 200) + '...');
-                    
-                    const newsItems = this.parseNewsFromHTML(html);
-                    console.log('=== FETCH SUCCESS ===');
-                    return newsItems;
-                    
-                } catch (proxyError) {
-                    console.log(`=== PROXY ${i + 1} FAILED ===`);
-                    console.log('Error type:', proxyError.constructor.name);
-                    console.log('Error message:', proxyError.message);
-                    console.log('Error stack:', proxyError.stack);
-                    
-                    if (i === proxies.length - 1) {
-                        console.log('=== ALL PROXIES FAILED ===');
-                        throw proxyError;
-                    } else {
-                        console.log(`Trying next proxy (${i + 2}/${proxies.length})...`);
-                    }
-                }
-            }
+            const config = this.validateScoringConfig(JSON.parse(document.getElementById('scoringConfig').value));
+            this.scoringConfig = config;
+            this.saveSetting('scoring', config);
+            this.renderScoringSettings();
+            this.updateStatus('Scoring rules saved', true);
         } catch (error) {
-            console.log('=== FETCH REAL NEWS DATA FAILED ===');
-            console.error('Final error:', error);
-            console.error('Error type:', error.constructor.name);
-            console.error('Error message:', error.message);
-            console.error('Error stack:', error.stack);
-            console.log('=== FETCH END (FAILED) ===');
-            throw new Error('Unable to fetch news data. Please check your internet connection.');
+            this.updateStatus(`Scoring rules not saved: ${error.message}`, false);
+            return;
+        }
+        
+        if (this.currentNews.length > 0) {
+            this.displayNews(this.currentNews);
         }
     }
 
-    parseNewsFromHTML(html) {
-        // Create a temporary DOM parser
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(html, 'text/html');
+    resetScoringConfig() {
+        this.scoringConfig = this.getDefaultScoringConfig();
+        this.saveSetting('scoring', null);
+        this.renderScoringSettings();
+        this.updateStatus('Scoring rules reset to defaults', true);
         
-        const newsItems = [];
+        if (this.currentNews.length > 0) {
+            this.displayNews(this.currentNews);
+        }
+    }
+
+    isRelevant(item, keywords = this.findKeywords(item), entities = null) {
+        const { filterMode, search, entity } = this.viewOptions;
         
-        // Look for news article containers - based on the structure we observed
-        const articleElements = doc.querySelectorAll('h3 a[href*="/"], h3 a[href*="nopdnews.com"]');
+        if (filterMode === 'matches' && keywords.length === 0) return false;
+        if (filterMode === 'hide' && keywords.length > 0) return false;
+        if (entity && !(entities || this.extractEntities(item)).some(candidate => this.getEntityKey(candidate) === entity)) {
+            return false;
+        }
         
-        articleElements.forEach((linkElement, index) => {
-            const title = linkElement.textContent.trim();
-            let url = linkElement.getAttribute('href') || linkElement.href;
-            
-            // Debug logging
-            console.log('=== URL DEBUG ===');
-            console.log('Title:', title);
-            console.log('Raw href attribute:', linkElement.getAttribute('href'));
-            console.log('Element.href property:', linkElement.href);
-            console.log('Selected URL:', url);
-            console.log('URL includes localhost?', url && url.includes('localhost'));
-            
-            // More aggressive localhost replacement
-            if (url && url.includes('localhost')) {
-                console.log('BEFORE replacement:', url);
-                // Try multiple replacement patterns
-                url = url.replace(/https?:\/\/localhost(:\d+)?/g, 'https://nola.gov');
-                url = url.replace(/localhost(:\d+)?/g, 'nola.gov');
-                console.log('AFTER replacement:', url);
-            } else if (url && url.startsWith('/')) {
-                // Fix relative URLs to use nola.gov domain
-                url = 'https://nola.gov' + url;
-                console.log('Fixed relative URL to:', url);
-            } else if (url && !url.startsWith('http') && !url.includes('nopdnews.com')) {
-                // Handle other malformed URLs (but leave nopdnews.com alone)
-                url = 'https://nola.gov' + (url.startsWith('/') ? '' : '/') + url;
-                console.log('Fixed malformed URL to:', url);
-            }
-            
-            console.log('FINAL URL:', url);
-            console.log('=================');
-            
-            // Find the parent container to get additional info
-            let container = linkElement.closest('div') || linkElement.parentElement;
-            let excerpt = '';
-            let date = '';
-            let source = '';
-            
-            // Look for date and source info in the container
-            const textContent = container.textContent || '';
-            
-            // Extract date (look for patterns like "August 7, 2025")
-            const dateMatch = textContent.match(/([A-Z][a-z]+ \d{1,2}, \d{4})/);
-            if (dateMatch) {
-                date = dateMatch[1];
-            }
-            
-            // Extract source
-            if (textContent.includes('From NOPD News')) {
-                source = 'NOPD News';
-            } else if (textContent.includes('From City of New Orleans')) {
-                source = 'City of New Orleans';
-            } else {
-                source = 'City of New Orleans'; // Default
-            }
-            
-            // Get excerpt - look for text after the title but before date/source
-            const lines = textContent.split('\n').map(line => line.trim()).filter(line => line);
-            for (let i = 0; i < lines.length; i++) {
-                const line = lines[i];
-                if (line === title) {
-                    // Look for the next meaningful line that's not date/source
-                    for (let j = i + 1; j < lines.length; j++) {
-                        const nextLine = lines[j];
-                        if (nextLine && 
-                            !nextLine.includes('From ') && 
-                            !nextLine.match(/[A-Z][a-z]+ \d{1,2}, \d{4}/) &&
-                            nextLine.length > 20) {
-                            excerpt = nextLine;
-                            break;
-                        }
-                    }
-                    break;
-                }
-            }
-            
-            // Create unique ID from URL or title
-            const id = url ? url.split('/').pop() || `item-${index}` : `item-${index}`;
-            
-            // Estimate timestamp from date
-            let timestamp = Date.now();
-            if (date) {
-                try {
-                    timestamp = new Date(date).getTime();
-                } catch (e) {
-                    timestamp = Date.now() - (index * 3600000); // Fallback: space items by hours
+        const terms = search.toLowerCase().split(/\s+/).filter(Boolean);
+        if (terms.length === 0) return true;
+        const text = `${item.title} ${item.excerpt} ${item.source}`.toLowerCase();
+        return terms.every(term => text.includes(term));
+    }
+
+    setViewOption(name, value) {
+        this.viewOptions[name] = value;
+        this.saveSetting('view', this.viewOptions);
+        
+        if (this.currentNews.length > 0) {
+            this.displayNews(this.currentNews);
+        }
+    }
+
+    // Reads the triage store once; later updates go through updateTriage
+    loadTriage() {
+        if (!this.triageReady) {
+            this.triageReady = this.archive.getTriage()
+                .then(records => records.forEach(record => this.triage.set(record.key, record)))
+                .catch(error => console.error('Error loading triage state:', error));
+        }
+        return this.triageReady;
+    }
+
+    getTriageState(item) {
+        return { read: false, starred: false, dismissed: false, assignee: '', notes: '', ...this.triage.get(this.getItemKey(item)) };
+    }
+
+    // changes: any of { read, starred, dismissed, assignee, notes }, applied to every item given
+    async updateTriage(items, changes) {
+        const updatedAt = Date.now();
+        const records = items.map(item => ({ ...this.getTriageState(item), ...changes, key: this.getItemKey(item), updatedAt }));
+        records.forEach(record => this.triage.set(record.key, record));
+        await this.archive.putTriage(records);
+        return records;
+    }
+
+    // A card's controls act on every item in its story
+    async triageStory(key, changes) {
+        const items = this.displayedStories.get(key);
+        if (!items) return;
+        
+        try {
+            await this.updateTriage(items, changes);
+        } catch (error) {
+            console.error('Error saving triage state:', error);
+            this.updateStatus(`Triage change not saved: ${error.message}`, false);
+        }
+        this.displayNews(this.currentNews);
+    }
+
+    async markAllRead() {
+        const items = Array.from(this.displayedStories.values()).flat();
+        if (items.length === 0) return;
+        
+        try {
+            await this.updateTriage(items, { read: true });
+        } catch (error) {
+            this.updateStatus(`Triage change not saved: ${error.message}`, false);
+            return;
+        }
+        this.displayNews(this.currentNews);
+        this.updateStatus(`Marked ${items.length} items read`, true);
+    }
+
+    isUnread(item) {
+        const triage = this.getTriageState(item);
+        return !triage.read && !triage.dismissed;
+    }
+
+    // Dismissed items only appear in the Dismissed view
+    matchesTriageView(item, view = this.viewOptions.triage) {
+        const triage = this.getTriageState(item);
+        if (view === 'dismissed') return triage.dismissed;
+        if (triage.dismissed) return false;
+        if (view === 'unread') return !triage.read;
+        if (view === 'starred') return triage.starred;
+        if (view === 'queue') {
+            const reporter = this.viewOptions.reporter.toLowerCase();
+            return reporter !== '' && triage.assignee.toLowerCase() === reporter;
+        }
+        return true;
+    }
+
+    describeTriage(triage) {
+        return [
+            triage.starred ? '★ Starred' : '',
+            triage.dismissed ? '🚫 Dismissed' : '',
+            triage.assignee ? `Assigned to ${triage.assignee}` : '',
+            triage.notes ? `📝 ${triage.notes}` : ''
+        ].filter(Boolean).join(' · ');
+    }
+
+    renderTriageControls(items) {
+        if (this.headless) return;
+        
+        const unread = items.filter(item => this.enabledSources.has(this.getItemSourceId(item)) && this.isUnread(item)).length;
+        const badge = document.getElementById('unreadCount');
+        if (badge) {
+            badge.textContent = unread > 0 ? `${unread} unread` : '';
+        }
+        
+        // Suggest every name already used, so assignments stay consistent
+        const names = new Set([this.viewOptions.reporter]);
+        this.triage.forEach(record => names.add(record.assignee));
+        const datalist = document.getElementById('reporterNames');
+        if (datalist) {
+            datalist.innerHTML = Array.from(names).filter(Boolean).sort()
+                .map(name => `<option value="${this.escapeHtml(name)}"></option>`)
+                .join('');
+        }
+    }
+
+    async searchArchive() {
+        const value = id => (document.getElementById(id) || {}).value || '';
+        const from = value('archiveFrom');
+        const to = value('archiveTo');
+        const query = {
+            text: value('archiveQuery'),
+            sourceId: value('archiveSource'),
+            from: from ? new Date(`${from}T00:00:00`).getTime() : null,
+            to: to ? new Date(`${to}T23:59:59.999`).getTime() : null
+        };
+        console.log('Archive search:', query);
+        
+        try {
+            await this.loadTriage();
+            this.displayArchiveResults(await this.archive.search(query));
+        } catch (error) {
+            console.error('Archive search failed:', error);
+            document.getElementById('archiveResults').innerHTML =
+                `<p class="placeholder">Archive unavailable: ${this.escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    displayArchiveResults(records) {
+        const container = document.getElementById('archiveResults');
+        const formatTime = time => new Date(time).toLocaleString();
+        
+        if (records.length === 0) {
+            container.innerHTML = '<p class="placeholder">No archived items match this search</p>';
+            return;
+        }
+
+        container.innerHTML = records.map(record => `
+            <div class="archive-item ${record.removedAt ? 'removed' : ''}">
+                <div class="news-title">
+                    ${this.renderLink(record.url, record.title)}
+                </div>
+                <div class="news-meta">${this.escapeHtml(record.date)} | From ${this.escapeHtml(record.source)}</div>
+                <div class="archive-timeline">
+                    First seen ${formatTime(record.firstSeen)} · Last seen ${formatTime(record.lastSeen)}
+                    ${record.removedAt ? ` · <strong>Removed ${formatTime(record.removedAt)}</strong>` : ''}
+                </div>
+                ${this.triage.has(record.key) ? `<div class="archive-triage">${this.escapeHtml(this.describeTriage(this.triage.get(record.key)))}</div>` : ''}
+                <details class="archive-versions">
+                    <summary>${record.versions.length} version${record.versions.length === 1 ? '' : 's'}</summary>
+                    <ol>
+                        ${record.versions.map(version => `
+                            <li><span class="history-timestamp">${formatTime(version.recordedAt)}</span> — ${this.escapeHtml(version.title)}</li>
+                        `).join('')}
+                    </ol>
+                </details>
+            </div>
+        `).join('');
+    }
+
+    // Every detected change is kept for a while so digests can roll them up later
+    recordChangeLog(changes, detectedAt) {
+        const cutoff = detectedAt - this.changeLogRetentionDays * 24 * 60 * 60 * 1000;
+        const log = this.getChangeLog()
+            .filter(entry => entry.detectedAt >= cutoff)
+            .concat(changes.map(change => ({ ...this.describeChange(change), detectedAt })));
+        
+        this.storage.setItem('nola_monitor_change_log', JSON.stringify(log));
+    }
+
+    getChangeLog() {
+        try {
+            return JSON.parse(this.storage.getItem('nola_monitor_change_log') || '[]');
+        } catch {
+            return [];
+        }
+    }
+
+    getDigestWindow(period, now = Date.now()) {
+        const day = 24 * 60 * 60 * 1000;
+        switch (period) {
+            case 'daily': return { from: now - day, to: now };
+            case 'weekly': return { from: now - 7 * day, to: now };
+            case 'since-last': return { from: this.digestSettings.lastSentAt || now - 7 * day, to: now };
+            default: throw new Error(`Unknown digest period "${period}" (use daily, weekly or since-last)`);
+        }
+    }
+
+    // Changes in the window, grouped by source and then by the first matching keyword
+    buildDigest(period, now = Date.now()) {
+        const { from, to } = this.getDigestWindow(period, now);
+        const entries = this.getChangeLog()
+            .filter(entry => entry.detectedAt > from && entry.detectedAt <= to)
+            .sort((a, b) => b.score - a.score || b.detectedAt - a.detectedAt);
+        
+        const sources = this.groupBySource(entries).filter(group => group.entries.length > 0).map(({ source, entries: sourceEntries }) => {
+            const groups = [];
+            sourceEntries.forEach(entry => {
+                const keyword = entry.keywords[0] || null;
+                let group = groups.find(candidate => candidate.keyword === keyword);
+                if (!group) {
+                    group = { keyword, entries: [] };
+                    groups.push(group);
                 }
-            }
-            
-            if (title && title.length > 3) { // Filter out empty or very short titles
-                newsItems.push({
-                    id,
-                    title,
-                    url: url || '#',
-                    date: date || 'Recent',
-                    source,
-                    excerpt: excerpt || 'No description available',
-                    timestamp
-                });
-            }
+                group.entries.push(entry);
+            });
+            // Keyword groups first, unmatched items last
+            groups.sort((a, b) => (a.keyword === null) - (b.keyword === null));
+            return { id: source.id, label: source.label, count: sourceEntries.length, groups };
         });
         
-        return newsItems;
+        return { period, from, to, total: entries.length, sources };
     }
 
-    detectChanges() {
-        const changes = [];
+    getDigestSubject(digest) {
+        const names = { daily: 'Daily', weekly: 'Weekly', 'since-last': 'Latest' };
+        const high = digest.sources
+            .flatMap(source => source.groups.flatMap(group => group.entries))
+            .filter(entry => entry.level === 'high').length;
+        return `${names[digest.period]} NOLA City Hall digest: ${digest.total} change${digest.total === 1 ? '' : 's'}` +
+            (high > 0 ? ` (${high} high)` : '');
+    }
+
+    renderDigestText(digest) {
+        const lines = [
+            this.getDigestSubject(digest),
+            `${new Date(digest.from).toLocaleString()} - ${new Date(digest.to).toLocaleString()}`,
+            ''
+        ];
         
-        // Find new items
-        this.currentNews.forEach(current => {
-            const existsInPrevious = this.previousNews.some(prev => prev.id === current.id);
-            if (!existsInPrevious) {
-                changes.push({
-                    type: 'NEW',
-                    item: current,
-                    description: `New article: "${current.title}"`
+        if (digest.total === 0) {
+            lines.push('No changes were detected in this period.');
+        }
+        digest.sources.forEach(source => {
+            lines.push(`== ${source.label} (${source.count}) ==`, '');
+            source.groups.forEach(group => {
+                lines.push(`-- ${group.keyword || 'Other updates'} --`);
+                group.entries.forEach(entry => {
+                    lines.push(`[${entry.score}/5] ${this.getChangeTypeLabel(entry.type).toUpperCase()}: ${entry.title}`);
+                    lines.push(`    ${entry.url}`);
                 });
-            }
+                lines.push('');
+            });
         });
+        
+        return lines.join('\n');
+    }
 
-        // Find removed items
-        this.previousNews.forEach(previous => {
-            const existsInCurrent = this.currentNews.some(curr => curr.id === previous.id);
-            if (!existsInCurrent) {
-                changes.push({
-                    type: 'REMOVED',
-                    item: previous,
-                    description: `Removed article: "${previous.title}"`
-                });
+    renderDigestHtml(digest) {
+        // Inline styles only - most mail clients ignore <style> blocks
+        const levelColors = { high: '#e74c3c', medium: '#f39c12', low: '#95a5a6' };
+        const escape = value => this.escapeHtml(value);
+        
+        const body = digest.total === 0
+            ? '<p>No changes were detected in this period.</p>'
+            : digest.sources.map(source => `
+                <h2 style="color:#2c3e50;border-bottom:2px solid #ecf0f1;padding-bottom:4px;">${escape(source.label)} (${source.count})</h2>
+                ${source.groups.map(group => `
+                    <h3 style="color:#7f8c8d;margin-bottom:4px;">${escape(group.keyword || 'Other updates')}</h3>
+                    <ul style="padding-left:18px;margin-top:0;">
+                        ${group.entries.map(entry => `
+                            <li style="margin-bottom:6px;">
+                                <span style="background:${levelColors[entry.level]};color:white;border-radius:4px;padding:1px 6px;font-size:12px;">${entry.score}/5</span>
+                                ${escape(this.getChangeTypeLabel(entry.type, true))}: ${this.getSafeUrl(entry.url) ? `<a href="${escape(this.getSafeUrl(entry.url))}">${escape(entry.title)}</a>` : escape(entry.title)}
+                            </li>
+                        `).join('')}
+                    </ul>
+                `).join('')}
+            `).join('');
+        
+        return `<!DOCTYPE html>
+<html>
+<body style="font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;color:#333;max-width:640px;">
+    <h1 style="font-size:20px;color:#2c3e50;">🏛️ ${escape(this.getDigestSubject(digest))}</h1>
+    <p style="color:#7f8c8d;">${new Date(digest.from).toLocaleString()} – ${new Date(digest.to).toLocaleString()}</p>
+    ${body}
+</body>
+</html>`;
+    }
+
+    escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    getLinkAllowlist() {
+        const hosts = this.sources.map(source => {
+            try {
+                return new URL(source.url).hostname;
+            } catch {
+                return null;
             }
         });
-
-        return changes;
+        return Array.from(new Set(hosts.concat(this.extraLinkHosts)
+            .filter(Boolean)
+            .map(host => host.toLowerCase().replace(/^www\./, ''))));
     }
 
-    displayNews(newsItems) {
-        const container = document.getElementById('newsResults');
+    // The URL to link to, or null when it isn't http(s) on the allowlist
+    getSafeUrl(url) {
+        let parsed;
+        try {
+            parsed = new URL(String(url));
+        } catch {
+            return null;
+        }
+        if (!/^https?:$/.test(parsed.protocol) || parsed.username || parsed.password) return null;
         
-        if (newsItems.length === 0) {
-            container.innerHTML = '<p class="placeholder">No news items found</p>';
+        const host = parsed.hostname.toLowerCase();
+        return this.getLinkAllowlist().some(allowed => host === allowed || host.endsWith(`.${allowed}`))
+            ? parsed.href
+            : null;
+    }
+
+    // Every link to scraped content goes through here: escaped label, checked URL, no opener or referrer
+    renderLink(url, label) {
+        const href = this.getSafeUrl(url);
+        if (!href) {
+            return `<span class="blocked-link" title="Link not shown - not an http(s) address on an allowed host">${this.escapeHtml(label)}</span>`;
+        }
+        return `<a href="${this.escapeHtml(href)}" target="_blank" rel="noopener noreferrer">${this.escapeHtml(label)}</a>`;
+    }
+
+    // Called once the digest has actually been handed to the mail server
+    recordDigestSent(digest, recipients) {
+        this.digestSettings.lastSentAt = digest.to;
+        this.saveDigestSettings();
+        this.addToHistory(null, digest.total, {
+            type: 'digest',
+            period: digest.period,
+            recipients
+        });
+    }
+
+    saveDigestSettings() {
+        this.saveSetting('digest', this.digestSettings);
+    }
+
+    updateDigestSettings() {
+        const recipients = document.getElementById('digestRecipients').value
+            .split(',')
+            .map(address => address.trim())
+            .filter(Boolean);
+        const invalid = recipients.filter(address => !/^[^@\s]+@[^@\s]+$/.test(address));
+        if (invalid.length > 0) {
+            this.updateStatus(`Not an email address: ${invalid.join(', ')}`, false);
             return;
         }
+        
+        this.digestSettings.period = document.getElementById('digestPeriod').value;
+        this.digestSettings.recipients = recipients;
+        this.saveDigestSettings();
+        this.updateStatus('Digest settings saved', true);
+    }
 
-        const filteredItems = newsItems.filter(item => this.isRelevant(item));
+    renderDigestSettings() {
+        if (this.headless) return;
         
-        container.innerHTML = filteredItems.map(item => {
-            const keywords = this.findKeywords(item);
-            const newsworthiness = this.calculateNewsworthiness(item, keywords);
-            
-            return `
-                <div class="news-item ${item.isNew ? 'new' : ''} ${keywords.length > 0 ? 'highlighted' : ''}">
-                    <div class="news-title">
-                        <a href="${item.url}" target="_blank">${item.title}</a>
-                        ${item.isNew ? '<span style="color: #27ae60; font-weight: bold;"> [NEW]</span>' : ''}
-                    </div>
-                    <div class="news-meta">
-                        ${item.date} | From ${item.source}
-                    </div>
-                    <div class="news-excerpt">
-                        ${item.excerpt}
-                    </div>
-                    ${keywords.length > 0 ? `
-                        <div class="news-keywords">
-                            ${keywords.map(kw => `<span class="keyword-highlight">${kw}</span>`).join('')}
-                        </div>
-                    ` : ''}
-                    <div class="newsworthiness ${newsworthiness.level}">
-                        Newsworthiness: ${newsworthiness.score}/5 (${newsworthiness.level})
-                    </div>
-                </div>
-            `;
-        }).join('');
+        const period = document.getElementById('digestPeriod');
+        const recipients = document.getElementById('digestRecipients');
+        if (!period || !recipients) return;
+        
+        Array.from(period.options).forEach(option => {
+            option.selected = option.value === this.digestSettings.period;
+        });
+        recipients.value = this.digestSettings.recipients.join(', ');
     }
 
-    displayChanges(changes) {
-        const container = document.getElementById('changesResults');
+    previewDigest() {
+        const digest = this.buildDigest(document.getElementById('digestPeriod').value);
+        const preview = document.getElementById('digestPreview');
         
-        if (changes.length === 0) {
-            container.innerHTML = '<p class="placeholder">No changes detected</p>';
-            return;
+        // Render the email in a sandboxed frame so its styles don't leak into the page
+        preview.innerHTML = '<iframe class="digest-frame" sandbox title="Digest preview"></iframe>';
+        preview.querySelector('iframe').srcdoc = this.renderDigestHtml(digest);
+        this.updateStatus(`Digest preview: ${digest.total} changes`, true);
+    }
+
+    // Rows for one export dataset: 'items' | 'changes' | 'history' | 'archive' | 'meetings'. With
+    // applyFilters, the results toolbar's keyword filter and search apply as well.
+    async collectExport(dataset, { from = null, to = null, applyFilters = true } = {}) {
+        const inRange = time => (from === null || time >= from) && (to === null || time <= to);
+        const passesFilters = record => {
+            if (!applyFilters) return true;
+            const item = { title: record.title, excerpt: record.excerpt || '', source: record.source, meeting: record.meeting };
+            return this.enabledSources.has(this.getItemSourceId(record)) && this.isRelevant(item);
+        };
+        const scored = record => {
+            const item = { ...record, excerpt: record.excerpt || '' };
+            const keywords = this.findKeywords(item);
+            const entities = this.extractEntities(item);
+            const newsworthiness = this.calculateNewsworthiness(item, keywords, entities);
+            return {
+                keywords,
+                entities: entities.map(entity => this.getEntityKey(entity)),
+                score: newsworthiness.score,
+                level: newsworthiness.level
+            };
+        };
+        
+        switch (dataset) {
+            case 'items':
+                return this.currentNews
+                    .filter(item => inRange(item.timestamp) && passesFilters(item))
+                    .map(item => ({
+                        sourceId: this.getItemSourceId(item),
+                        source: item.source,
+                        title: item.title,
+                        url: item.url,
+                        date: item.date,
+                        excerpt: item.excerpt,
+                        ...scored(item)
+                    }));
+            case 'changes':
+                // Keywords are re-matched so exports follow the current watchlist
+                return this.getChangeLog()
+                    .filter(entry => inRange(entry.detectedAt) && passesFilters(entry))
+                    .map(entry => ({
+                        ...entry,
+                        keywords: this.findKeywords({ excerpt: '', ...entry }),
+                        entities: this.extractEntities(entry).map(entity => this.getEntityKey(entity))
+                    }))
+                    .sort((a, b) => b.detectedAt - a.detectedAt);
+            case 'history':
+                return this.getHistory().filter(entry => inRange(entry.timestamp));
+            case 'archive':
+                return (await this.archive.search({ from, to, limit: Infinity }))
+                    .filter(passesFilters)
+                    .map(record => ({
+                        sourceId: record.sourceId,
+                        source: record.source,
+                        title: record.title,
+                        url: record.url,
+                        date: record.date,
+                        excerpt: record.excerpt,
+                        firstSeen: record.firstSeen,
+                        lastSeen: record.lastSeen,
+                        removedAt: record.removedAt,
+                        versions: record.versions.length,
+                        ...scored(record)
+                    }));
+            case 'meetings': {
+                // Upcoming by default: meetings that haven't ended yet, soonest first
+                const since = from === null ? Date.now() : from;
+                return this.currentNews
+                    .filter(item => item.meeting)
+                    .filter(item => (item.meeting.end || item.meeting.start) >= since &&
+                        (to === null || item.meeting.start <= to) && passesFilters(item))
+                    .sort((a, b) => a.meeting.start - b.meeting.start)
+                    .map(item => ({
+                        key: this.getItemKey(item),
+                        sourceId: this.getItemSourceId(item),
+                        source: item.source,
+                        title: item.title,
+                        url: item.url,
+                        excerpt: item.excerpt,
+                        ...this.summarizeMeeting(item),
+                        ...scored(item)
+                    }));
+            }
+            default:
+                throw new Error(`Unknown export dataset "${dataset}" (use items, changes, history, archive or meetings)`);
         }
+    }
 
-        container.innerHTML = changes.map(change => `
-            <div class="change-item">
-                <div class="change-type">${change.type}</div>
-                <div>${change.description}</div>
-                <div class="news-meta">${change.item.date} | From ${change.item.source}</div>
-            </div>
-        `).join('');
+    async buildExport(dataset, format, options = {}) {
+        const rows = await this.collectExport(dataset, options);
+        const stamp = new Date().toISOString().slice(0, 10);
+        const filename = `nola-monitor-${dataset}-${stamp}`;
+        
+        switch (format) {
+            case 'csv':
+                return { filename: `${filename}.csv`, mimeType: 'text/csv', content: this.toCsv(rows, this.exportColumns[dataset]) };
+            case 'json':
+                return {
+                    filename: `${filename}.json`,
+                    mimeType: 'application/json',
+                    content: JSON.stringify({
+                        exportedAt: new Date().toISOString(),
+                        dataset,
+                        filters: {
+                            from: options.from ? new Date(options.from).toISOString() : null,
+                            to: options.to ? new Date(options.to).toISOString() : null,
+                            ...(options.applyFilters !== false ? { filterMode: this.viewOptions.filterMode, search: this.viewOptions.search, entity: this.viewOptions.entity } : {})
+                        },
+                        count: rows.length,
+                        records: rows
+                    }, null, 2)
+                };
+            case 'rss':
+            case 'atom':
+                if (dataset !== 'changes') {
+                    throw new Error('RSS and Atom feeds are only available for detected changes');
+                }
+                return {
+                    filename: `${filename}.${format === 'rss' ? 'rss' : 'atom'}`,
+                    mimeType: format === 'rss' ? 'application/rss+xml' : 'application/atom+xml',
+                    content: this.renderChangesFeed(rows, format)
+                };
+            case 'ics':
+                if (dataset !== 'meetings') {
+                    throw new Error('iCalendar files are only available for meetings');
+                }
+                return {
+                    filename: `${filename}.ics`,
+                    mimeType: 'text/calendar',
+                    content: this.renderMeetingCalendar(rows)
+                };
+            default:
+                throw new Error(`Unknown export format "${format}" (use csv, json, rss, atom or ics)`);
+        }
     }
 
-    findKeywords(item) {
-        const text = `${item.title} ${item.excerpt}`.toLowerCase();
-        return Array.from(this.activeKeywords).filter(keyword => 
-            text.includes(keyword.toLowerCase())
-        );
+    toCsv(rows, columns) {
+        const cell = value => {
+            if (value === null || value === undefined) return '';
+            let text = Array.isArray(value) ? value.join('; ') : String(value);
+            // Keep spreadsheets from evaluating scraped titles as formulas
+            if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const format = (column, row) => column.endsWith('At') || column === 'firstSeen' || column === 'lastSeen' || column === 'timestamp'
+            ? (row[column] ? new Date(row[column]).toISOString() : '')
+            : row[column];
+        
+        return [columns.join(',')]
+            .concat(rows.map(row => columns.map(column => cell(format(column, row))).join(',')))
+            .join('\r\n') + '\r\n';
     }
 
-    calculateNewsworthiness(item, keywords) {
-        let score = 1; // Base score
+    renderChangesFeed(entries, format) {
+        const escape = value => this.escapeHtml(value);
+        const title = 'NOLA City Hall Monitor: detected changes';
+        const link = this.sources[0].url;
+        const updated = entries.length > 0 ? entries[0].detectedAt : Date.now();
+        const summary = entry => `${entry.source} · ${entry.score}/5 ${entry.level}` +
+            (entry.keywords.length > 0 ? ` · ${entry.keywords.join(', ')}` : '') +
+            (entry.changedFields && entry.changedFields.length > 0 ? ` · changed: ${entry.changedFields.join(', ')}` : '') +
+            (entry.attachmentChanges && entry.attachmentChanges.length > 0 ? ` · 📎 ${this.summarizeAttachmentChanges(entry.attachmentChanges)}` : '');
+        // Scraped links get the same check as on the page; anything else points at the source listing
+        const itemLink = entry => this.getSafeUrl(entry.url) || (this.getSource(entry.sourceId) || this.sources[0]).url;
+        // One id per detection, so an edit shows up as its own entry in feed readers
+        const entryId = entry => `${itemLink(entry)}#${entry.type.toLowerCase()}-${entry.detectedAt}`;
         
-        // Keyword relevance
-        score += keywords.length * 1.5;
-        
-        // Source importance
-        if (item.source.includes('Mayor')) score += 1;
-        if (item.source.includes('City of New Orleans')) score += 0.5;
-        
-        // Title indicators
-        const title = item.title.toLowerCase();
-        if (title.includes('breaking') || title.includes('emergency')) score += 2;
-        if (title.includes('budget') || title.includes('council')) score += 1;
-        
-        // Recency (newer = more newsworthy)
-        const hoursOld = (Date.now() - item.timestamp) / (1000 * 60 * 60);
-        if (hoursOld < 6) score += 1;
-        else if (hoursOld < 24) score += 0.5;
-        
-        score = Math.min(5, Math.max(1, Math.round(score)));
+        if (format === 'atom') {
+            return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+    <title>${escape(title)}</title>
+    <id>urn:nola-monitor:changes</id>
+    <link href="${escape(link)}"/>
+    <updated>${new Date(updated).toISOString()}</updated>
+    <generator>NOLA City Hall Monitor</generator>
+${entries.map(entry => `    <entry>
+        <title>${escape(`${this.getChangeTypeLabel(entry.type)}: ${entry.title}`)}</title>
+        <id>${escape(entryId(entry))}</id>
+        <link href="${escape(itemLink(entry))}"/>
+        <updated>${new Date(entry.detectedAt).toISOString()}</updated>
+        <author><name>${escape(entry.source)}</name></author>
+        <summary>${escape(summary(entry))}</summary>${entry.keywords.map(keyword => `
+        <category term="${escape(keyword)}"/>`).join('')}
+    </entry>`).join('\n')}
+</feed>
+`;
+        }
         
-        const level = score >= 4 ? 'high' : score >= 3 ? 'medium' : 'low';
+        return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0">
+    <channel>
+        <title>${escape(title)}</title>
+        <link>${escape(link)}</link>
+        <description>New, edited and removed items on New Orleans city government news pages</description>
+        <lastBuildDate>${new Date(updated).toUTCString()}</lastBuildDate>
+        <generator>NOLA City Hall Monitor</generator>
+${entries.map(entry => `        <item>
+            <title>${escape(`${this.getChangeTypeLabel(entry.type)}: ${entry.title}`)}</title>
+            <link>${escape(itemLink(entry))}</link>
+            <guid isPermaLink="false">${escape(entryId(entry))}</guid>
+            <pubDate>${new Date(entry.detectedAt).toUTCString()}</pubDate>
+            <description>${escape(summary(entry))}</description>${entry.keywords.map(keyword => `
+            <category>${escape(keyword)}</category>`).join('')}
+        </item>`).join('\n')}
+    </channel>
+</rss>
+`;
+    }
+
+    // An iCalendar feed calendar apps can subscribe to. Cancelled meetings stay in with
+    // STATUS:CANCELLED so subscribers see the cancellation instead of a silent removal.
+    renderMeetingCalendar(rows) {
+        const stamp = this.formatICalDate(Date.now());
+        const events = rows.map(row => {
+            const end = row.endsAt || (row.allDay ? row.startsAt + 24 * 60 * 60 * 1000 : row.startsAt + 60 * 60 * 1000);
+            const description = [
+                row.excerpt !== 'No description available' ? row.excerpt : '',
+                `${row.source} · ${row.score}/5 ${row.level}` + (row.keywords.length > 0 ? ` · ${row.keywords.join(', ')}` : ''),
+                ...row.agendaItems.map(title => `- ${title}`),
+                this.getSafeUrl(row.agendaUrl) ? `Agenda: ${this.getSafeUrl(row.agendaUrl)}` : '',
+                this.getSafeUrl(row.url)
+            ].filter(Boolean).join('\n');
+            return [
+                'BEGIN:VEVENT',
+                `UID:${this.escapeICalText(row.key)}@nola-monitor`,
+                `DTSTAMP:${stamp}`,
+                row.allDay ? `DTSTART;VALUE=DATE:${this.formatICalDate(row.startsAt, true)}` : `DTSTART:${this.formatICalDate(row.startsAt)}`,
+                row.allDay ? `DTEND;VALUE=DATE:${this.formatICalDate(end, true)}` : `DTEND:${this.formatICalDate(end)}`,
+                `SUMMARY:${this.escapeICalText(row.title)}`,
+                row.location ? `LOCATION:${this.escapeICalText(row.location)}` : null,
+                `DESCRIPTION:${this.escapeICalText(description)}`,
+                this.getSafeUrl(row.url) ? `URL:${this.getSafeUrl(row.url)}` : null,
+                `STATUS:${row.status === 'cancelled' ? 'CANCELLED' : row.status === 'postponed' ? 'TENTATIVE' : 'CONFIRMED'}`,
+                row.keywords.length > 0 ? `CATEGORIES:${row.keywords.map(keyword => this.escapeICalText(keyword)).join(',')}` : null,
+                'END:VEVENT'
+            ].filter(Boolean);
+        });
         
-        return { score, level };
+        return [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//NOLA City Hall Monitor//Meetings//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            'X-WR-CALNAME:NOLA City Hall meetings',
+            ...events.flat(),
+            'END:VCALENDAR'
+        ].map(line => this.foldICalLine(line)).join('\r\n') + '\r\n';
     }
 
-    isRelevant(item) {
-        // Show all items, but highlight those with keywords
-        return true;
+    escapeICalText(value) {
+        return String(value ?? '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+    }
+
+    // UTC date-time (20251023T150000Z), or a local DATE for all-day events
+    formatICalDate(time, dateOnly = false) {
+        const date = new Date(time);
+        const pad = value => String(value).padStart(2, '0');
+        return dateOnly
+            ? `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`
+            : date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    // Lines longer than 75 octets continue on the next line after a space (RFC 5545 3.1)
+    foldICalLine(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+        for (const char of line) {
+            const limit = parts.length === 0 ? 75 : 74;
+            if (encoder.encode(current + char).length > limit) {
+                parts.push(current);
+                current = '';
+            }
+            current += char;
+        }
+        parts.push(current);
+        return parts.join('\r\n ');
+    }
+
+    async downloadExport() {
+        const value = id => (document.getElementById(id) || {}).value || '';
+        const from = value('exportFrom');
+        const to = value('exportTo');
+        
+        try {
+            const file = await this.buildExport(value('exportDataset'), value('exportFormat'), {
+                from: from ? new Date(`${from}T00:00:00`).getTime() : null,
+                to: to ? new Date(`${to}T23:59:59.999`).getTime() : null,
+                applyFilters: document.getElementById('exportApplyFilters').checked
+            });
+            
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(new Blob([file.content], { type: file.mimeType }));
+            link.download = file.filename;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+            this.updateStatus(`Exported ${file.filename}`, true);
+        } catch (error) {
+            console.error('Export failed:', error);
+            this.updateStatus(`Export failed: ${error.message}`, false);
+        }
     }
 
     updateLastCheckedDisplay() {
@@ -627,21 +4976,20 @@ class NolaNewsMonitor {
         }
     }
 
-    addToHistory(newsCount, changesCount) {
+    // `details` marks non-check entries, e.g. { type: 'digest', period, recipients }
+    addToHistory(newsCount, changesCount, details = {}) {
         const history = this.getHistory();
         history.unshift({
             timestamp: Date.now(),
             newsCount,
-            changesCount
+            changesCount,
+            ...details
         });
         
-        // Keep only last 10 checks
-        if (history.length > 10) {
-            history.splice(10);
-        }
+        const cutoff = Date.now() - this.historyRetentionDays * 24 * 60 * 60 * 1000;
+        const kept = history.filter(entry => entry.timestamp >= cutoff).slice(0, this.getHistoryCapacity());
         
-        localStorage.setItem('nola_monitor_history', JSON.stringify(history));
-        this.displayHistory();
+        this.storage.setItem('nola_monitor_history', JSON.stringify(kept));
     }
 
     displayHistory() {
@@ -653,26 +5001,333 @@ class NolaNewsMonitor {
             return;
         }
 
-        container.innerHTML = history.map(entry => `
+        container.innerHTML = history.slice(0, this.historyDisplayLimit).map(entry => `
             <div class="history-item">
                 <div class="history-timestamp">
                     ${new Date(entry.timestamp).toLocaleString()}
                 </div>
                 <div class="history-summary">
-                    Found ${entry.newsCount} news items, ${entry.changesCount} changes detected
+                    ${entry.type === 'digest'
+                        ? `📬 ${this.escapeHtml(entry.period)} digest with ${entry.changesCount} changes sent to ${this.escapeHtml(entry.recipients.join(', '))}`
+                        : `Found ${entry.newsCount} news items, ${entry.changesCount} changes detected`}
                 </div>
             </div>
-        `).join('');
+        `).join('') + (history.length > this.historyDisplayLimit
+            ? `<p class="placeholder">Latest ${this.historyDisplayLimit} of ${history.length} entries kept for trends</p>`
+            : '');
+        this.renderTrends();
+    }
+
+    // The count cap only guards storage: it's sized so every scheduled check in the retention window fits
+    getHistoryCapacity() {
+        const scheduled = Math.ceil(this.historyRetentionDays * 24 * 60 / this.checkIntervalMinutes);
+        return scheduled + this.extraHistoryEntries;
     }
 
     getHistory() {
         try {
-            return JSON.parse(localStorage.getItem('nola_monitor_history') || '[]');
+            return JSON.parse(this.storage.getItem('nola_monitor_history') || '[]');
         } catch {
             return [];
         }
     }
 
+    // Time series for the 📈 Trends panel from archive records and check history.
+    // Pure so it can be tested; renderTrends() does the loading and drawing.
+    buildTrends(records, history, { days = 30, bucket = 'day', now = Date.now() } = {}) {
+        const DAY = 24 * 60 * 60 * 1000;
+        const bucketStart = time => {
+            const date = new Date(time);
+            date.setHours(0, 0, 0, 0);
+            if (bucket === 'week') date.setDate(date.getDate() - (date.getDay() + 6) % 7); // Weeks start Monday
+            return date.getTime();
+        };
+        const buckets = [];
+        for (let time = bucketStart(now - (days - 1) * DAY); time <= now; time = bucketStart(time + (bucket === 'week' ? 8 : 1.5) * DAY)) {
+            buckets.push(time);
+        }
+        const bucketIndex = time => {
+            const start = bucketStart(time);
+            return buckets.indexOf(start);
+        };
+        const series = () => buckets.map(() => 0);
+        
+        // Items without a parsed date ("Recent") only have the time a check first saw them
+        const dayOf = record => record.date && record.date !== 'Recent' ? record.timestamp : record.firstSeen;
+        const inRange = records.filter(record => bucketIndex(dayOf(record)) !== -1);
+        
+        const checks = history.filter(entry => entry.type !== 'digest').map(entry => entry.timestamp).sort((a, b) => a - b);
+        const postedAt = record => this.getPostingTime(record, checks);
+        
+        const sources = this.sources.map(source => ({ id: source.id, label: source.label, counts: series(), levels: { high: 0, medium: 0, low: 0 } }));
+        const keywordCounts = new Map();
+        const heatmap = Array.from({ length: 7 }, () => Array(24).fill(0));
+        let timed = 0;
+        
+        inRange.forEach(record => {
+            const item = { ...record, excerpt: record.excerpt || '' };
+            const index = bucketIndex(dayOf(record));
+            const source = sources.find(candidate => candidate.id === this.getItemSourceId(record));
+            const keywords = this.findKeywords(item);
+            if (source) {
+                source.counts[index]++;
+                source.levels[this.calculateNewsworthiness(item, keywords).level]++;
+            }
+            keywords.forEach(keyword => {
+                if (!keywordCounts.has(keyword)) keywordCounts.set(keyword, series());
+                keywordCounts.get(keyword)[index]++;
+            });
+            
+            const posted = postedAt(record);
+            if (posted !== null) {
+                const date = new Date(posted);
+                heatmap[date.getDay()][date.getHours()]++;
+                timed++;
+            }
+        });
+        
+        const activity = { checks: series(), changes: series() };
+        history.filter(entry => entry.type !== 'digest').forEach(entry => {
+            const index = bucketIndex(entry.timestamp);
+            if (index === -1) return;
+            activity.checks[index]++;
+            activity.changes[index] += entry.changesCount || 0;
+        });
+        
+        let peak = null;
+        heatmap.forEach((hours, day) => hours.forEach((count, hour) => {
+            if (count > 0 && (!peak || count > peak.count)) peak = { day, hour, count };
+        }));
+        
+        return {
+            bucket,
+            buckets,
+            total: inRange.length,
+            timed,
+            sources: sources.filter(source => source.counts.some(Boolean)),
+            keywords: Array.from(keywordCounts.entries())
+                .map(([keyword, counts]) => ({ keyword, counts, total: counts.reduce((sum, count) => sum + count, 0) }))
+                .sort((a, b) => b.total - a.total)
+                .slice(0, 5),
+            heatmap,
+            peak,
+            activity
+        };
+    }
+
+    // When an item went up, or null when we can't tell: a published time of day wins; otherwise
+    // the check that first saw it counts if another check ran shortly before (not a baseline or a gap)
+    getPostingTime(record, checkTimes) {
+        const dated = record.date && record.date !== 'Recent';
+        const published = new Date(record.timestamp);
+        if (dated && (published.getHours() !== 0 || published.getMinutes() !== 0)) return record.timestamp;
+        if (!record.firstSeen) return null;
+        
+        const earlier = checkTimes.filter(time => time < record.firstSeen);
+        if (earlier.length === 0) return null;
+        const gap = record.firstSeen - earlier[earlier.length - 1];
+        if (gap > this.trendOptions.maxDetectionGapHours * 60 * 60 * 1000) return null;
+        // A dated item first seen days later is an old post turning up, not a new one
+        if (dated && record.firstSeen - record.timestamp > 36 * 60 * 60 * 1000) return null;
+        return record.firstSeen;
+    }
+
+    async renderTrends() {
+        if (this.headless) return;
+        
+        const container = document.getElementById('trendsResults');
+        if (!container) return;
+        
+        let records = [];
+        try {
+            records = await this.archive.getAll();
+        } catch (error) {
+            console.error('Error reading archive for trends:', error);
+        }
+        const trends = this.buildTrends(records, this.getHistory(), this.trendOptions);
+        console.log('Trends:', { total: trends.total, timed: trends.timed, peak: trends.peak });
+        
+        if (trends.total === 0 && trends.activity.checks.every(count => count === 0)) {
+            container.innerHTML = '<p class="placeholder">Trends appear once the monitor has a few checks behind it</p>';
+            return;
+        }
+        
+        const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+        const hourLabel = hour => `${hour % 12 || 12}${hour < 12 ? 'am' : 'pm'}`;
+        const labels = trends.buckets.map(time => {
+            const label = new Date(time).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+            return trends.bucket === 'week' ? `Week of ${label}` : label;
+        });
+        
+        container.innerHTML = `
+            <div class="trend-chart">
+                <h3>Items published per ${trends.bucket}, by source</h3>
+                ${this.renderBarChart(labels, trends.sources.map((source, index) => ({
+                    name: source.label,
+                    color: this.chartColors[index % this.chartColors.length],
+                    values: source.counts
+                })))}
+            </div>
+            <div class="trend-chart">
+                <h3>Top keywords per ${trends.bucket}</h3>
+                ${trends.keywords.length > 0
+                    ? this.renderLineChart(labels, trends.keywords.map((entry, index) => ({
+                        name: `${entry.keyword} (${entry.total})`,
+                        color: this.chartColors[index % this.chartColors.length],
+                        values: entry.counts
+                    })))
+                    : '<p class="placeholder">No keyword matches in this range</p>'}
+            </div>
+            <div class="trend-chart">
+                <h3>Newsworthiness by source</h3>
+                ${this.renderLevelBars(trends.sources)}
+            </div>
+            <div class="trend-chart">
+                <h3>When items go up</h3>
+                ${trends.peak ? `
+                    <p class="trend-callout">
+                        Busiest: <strong>${dayNames[trends.peak.day]} ${hourLabel(trends.peak.hour)}</strong>
+                        (${trends.peak.count} of ${trends.timed} items with a known posting time)
+                    </p>
+                    ${this.renderHeatmap(trends.heatmap, dayNames.map(day => day.slice(0, 3)), hourLabel)}
+                ` : '<p class="placeholder">No posting times yet - they come from published times or from items caught by back-to-back checks</p>'}
+            </div>
+            <div class="trend-chart">
+                <h3>Checks and detected changes per ${trends.bucket}</h3>
+                ${this.renderBarChart(labels, [
+                    { name: 'Checks', color: '#bdc3c7', values: trends.activity.checks },
+                    { name: 'Changes', color: '#e67e22', values: trends.activity.changes }
+                ], { stacked: false })}
+            </div>
+        `;
+    }
+
+    renderChartLegend(series) {
+        return `
+            <div class="chart-legend">
+                ${series.map(entry => `
+                    <span><span class="legend-swatch" style="background:${entry.color}"></span>${this.escapeHtml(entry.name)}</span>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // Inline SVG, stacked by default; side by side with { stacked: false }
+    renderBarChart(labels, series, { stacked = true, width = 640, height = 180 } = {}) {
+        const padding = { top: 10, right: 10, bottom: 24, left: 32 };
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+        const totals = labels.map((label, index) => stacked
+            ? series.reduce((sum, entry) => sum + entry.values[index], 0)
+            : Math.max(0, ...series.map(entry => entry.values[index])));
+        const max = Math.max(1, ...totals);
+        const slot = plotWidth / labels.length;
+        const barWidth = Math.max(1, slot * 0.8 / (stacked ? 1 : series.length));
+        const y = value => padding.top + plotHeight - value / max * plotHeight;
+        const labelEvery = Math.ceil(labels.length / 8);
+        
+        const bars = labels.map((label, index) => {
+            let base = 0;
+            return series.map((entry, seriesIndex) => {
+                const value = entry.values[index];
+                if (!value) return '';
+                const x = padding.left + index * slot + slot * 0.1 + (stacked ? 0 : seriesIndex * barWidth);
+                const top = y(stacked ? base + value : value);
+                const bottom = y(stacked ? base : 0);
+                if (stacked) base += value;
+                return `<rect x="${x.toFixed(1)}" y="${top.toFixed(1)}" width="${barWidth.toFixed(1)}" height="${(bottom - top).toFixed(1)}" fill="${entry.color}"><title>${this.escapeHtml(`${label} · ${entry.name}: ${value}`)}</title></rect>`;
+            }).join('');
+        }).join('');
+        
+        return `
+            <svg class="chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Bar chart">
+                <line x1="${padding.left}" y1="${y(0)}" x2="${width - padding.right}" y2="${y(0)}" class="chart-axis"/>
+                <text x="${padding.left - 4}" y="${y(max) + 4}" text-anchor="end" class="chart-label">${max}</text>
+                <text x="${padding.left - 4}" y="${y(0)}" text-anchor="end" class="chart-label">0</text>
+                ${bars}
+                ${labels.map((label, index) => index % labelEvery === 0 ? `
+                    <text x="${(padding.left + (index + 0.5) * slot).toFixed(1)}" y="${height - 6}" text-anchor="middle" class="chart-label">${this.escapeHtml(label.replace('Week of ', ''))}</text>
+                ` : '').join('')}
+            </svg>
+            ${this.renderChartLegend(series)}
+        `;
+    }
+
+    renderLineChart(labels, series, { width = 640, height = 180 } = {}) {
+        const padding = { top: 10, right: 10, bottom: 24, left: 32 };
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+        const max = Math.max(1, ...series.flatMap(entry => entry.values));
+        const x = index => padding.left + (labels.length === 1 ? plotWidth / 2 : index / (labels.length - 1) * plotWidth);
+        const y = value => padding.top + plotHeight - value / max * plotHeight;
+        const labelEvery = Math.ceil(labels.length / 8);
+        
+        return `
+            <svg class="chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Line chart">
+                <line x1="${padding.left}" y1="${y(0)}" x2="${width - padding.right}" y2="${y(0)}" class="chart-axis"/>
+                <text x="${padding.left - 4}" y="${y(max) + 4}" text-anchor="end" class="chart-label">${max}</text>
+                <text x="${padding.left - 4}" y="${y(0)}" text-anchor="end" class="chart-label">0</text>
+                ${series.map(entry => `
+                    <polyline fill="none" stroke="${entry.color}" stroke-width="2"
+                        points="${entry.values.map((value, index) => `${x(index).toFixed(1)},${y(value).toFixed(1)}`).join(' ')}">
+                        <title>${this.escapeHtml(entry.name)}</title>
+                    </polyline>
+                `).join('')}
+                ${labels.map((label, index) => index % labelEvery === 0 ? `
+                    <text x="${x(index).toFixed(1)}" y="${height - 6}" text-anchor="middle" class="chart-label">${this.escapeHtml(label.replace('Week of ', ''))}</text>
+                ` : '').join('')}
+            </svg>
+            ${this.renderChartLegend(series)}
+        `;
+    }
+
+    renderLevelBars(sources) {
+        const colors = { high: '#e74c3c', medium: '#f39c12', low: '#95a5a6' };
+        return `
+            ${sources.map(source => {
+                const total = source.levels.high + source.levels.medium + source.levels.low;
+                return `
+                    <div class="level-row">
+                        <span class="level-source">${this.escapeHtml(source.label)}</span>
+                        <svg class="level-bar" viewBox="0 0 100 10" preserveAspectRatio="none" role="img" aria-label="Newsworthiness levels">
+                            ${['high', 'medium', 'low'].reduce((parts, level) => {
+                                const width = total ? source.levels[level] / total * 100 : 0;
+                                parts.html += width > 0 ? `<rect x="${parts.x.toFixed(2)}" y="0" width="${width.toFixed(2)}" height="10" fill="${colors[level]}"><title>${level}: ${source.levels[level]}</title></rect>` : '';
+                                parts.x += width;
+                                return parts;
+                            }, { html: '', x: 0 }).html}
+                        </svg>
+                        <span class="level-counts">${source.levels.high} high · ${source.levels.medium} medium · ${source.levels.low} low</span>
+                    </div>
+                `;
+            }).join('')}
+        `;
+    }
+
+    renderHeatmap(matrix, dayLabels, hourLabel) {
+        const cell = 22;
+        const left = 36;
+        const top = 16;
+        const max = Math.max(1, ...matrix.flat());
+        
+        return `
+            <svg class="chart heatmap" viewBox="0 0 ${left + 24 * cell} ${top + 7 * cell}" role="img" aria-label="Posting times by weekday and hour">
+                ${[0, 3, 6, 9, 12, 15, 18, 21].map(hour => `
+                    <text x="${left + hour * cell + cell / 2}" y="11" text-anchor="middle" class="chart-label">${hourLabel(hour)}</text>
+                `).join('')}
+                ${matrix.map((hours, day) => `
+                    <text x="${left - 4}" y="${top + day * cell + cell * 0.65}" text-anchor="end" class="chart-label">${dayLabels[day]}</text>
+                    ${hours.map((count, hour) => `
+                        <rect x="${left + hour * cell}" y="${top + day * cell}" width="${cell - 2}" height="${cell - 2}" rx="3"
+                            fill="#2980b9" fill-opacity="${count ? (0.15 + 0.85 * count / max).toFixed(2) : 0.04}">
+                            <title>${dayLabels[day]} ${hourLabel(hour)}: ${count}</title>
+                        </rect>
+                    `).join('')}
+                `).join('')}
+            </svg>
+        `;
+    }
+
     clearHistory() {
         if (confirm('Are you sure you want to clear all history and data?')) {
             console.log('Clearing all data...');
@@ -683,20 +5338,29 @@ class NolaNewsMonitor {
             }
             
             // Clear all localStorage items
-            localStorage.removeItem('nola_monitor_history');
-            localStorage.removeItem('nola_monitor_data');
-            localStorage.removeItem('nola_monitor_autocheck');
+            this.storage.removeItem('nola_monitor_history');
+            this.storage.removeItem('nola_monitor_data');
+            this.storage.removeItem('nola_monitor_change_log');
+            this.saveSetting('autocheck', null);
+            this.archive.clear().catch(error => console.error('Error clearing archive:', error));
             
             // Reset all instance variables
             this.previousNews = [];
             this.currentNews = [];
+            this.triage = new Map();
+            this.displayedStories = new Map();
+            this.sourceStatus = {};
+            this.discoveredFeeds = {};
             this.lastCheck = null;
             this.autoCheckEnabled = false;
             
             // Clear all UI elements
             document.getElementById('historyResults').innerHTML = '<p class="placeholder">No history available</p>';
+            document.getElementById('trendsResults').innerHTML = '<p class="placeholder">Trends appear once the monitor has a few checks behind it</p>';
             document.getElementById('newsResults').innerHTML = '<p class="placeholder">Click "Check for Updates" to start monitoring</p>';
+            this.renderTriageControls([]);
             document.getElementById('changesResults').innerHTML = '<p class="placeholder">No changes detected yet</p>';
+            document.getElementById('archiveResults').innerHTML = '<p class="placeholder">Search the archive of every item the monitor has seen</p>';
             this.updateLastCheckedDisplay();
             
             // Reset auto-check UI
@@ -716,63 +5380,599 @@ class NolaNewsMonitor {
         }
     }
 
-    saveToStorage() {
+    // Only a completed check moves lastCheck forward; other saves pass the current value
+    saveToStorage(checkedAt = Date.now()) {
         const data = {
-            lastCheck: Date.now(),
+            lastCheck: checkedAt,
             currentNews: this.currentNews,
-            previousNews: this.previousNews
+            previousNews: this.previousNews,
+            sourceStatus: this.sourceStatus,
+            discoveredFeeds: this.discoveredFeeds
         };
         
-        localStorage.setItem('nola_monitor_data', JSON.stringify(data));
+        this.storage.setItem('nola_monitor_data', JSON.stringify(data));
         this.lastCheck = data.lastCheck;
     }
 
     loadFromStorage() {
-        try {
-            const data = JSON.parse(localStorage.getItem('nola_monitor_data') || '{}');
-            this.lastCheck = data.lastCheck || null;
-            this.currentNews = data.currentNews || [];
-            this.previousNews = data.previousNews || [];
-            
-            // Load auto-check settings
-            const autoCheckData = JSON.parse(localStorage.getItem('nola_monitor_autocheck') || '{}');
-            if (autoCheckData.enabled) {
-                this.checkIntervalMinutes = autoCheckData.interval || 15;
-                document.getElementById('intervalSelect').value = this.checkIntervalMinutes;
-                this.startAutoCheck();
-                
-                // Update UI
-                const btn = document.getElementById('autoCheckBtn');
-                const status = document.getElementById('autoStatus');
-                btn.textContent = '⏸️ Stop Auto Check';
-                btn.className = 'secondary-btn';
-                status.textContent = `Auto-checking every ${this.checkIntervalMinutes} minutes`;
-                status.className = 'auto-status active';
-            }
+        this.storageProblems = [];
+        
+        const data = this.readStoredJson('nola_monitor_data', {});
+        this.lastCheck = data.lastCheck || null;
+        this.currentNews = data.currentNews || [];
+        this.previousNews = data.previousNews || [];
+        // Ids used to come from the raw URL ("item-3" for a trailing slash); re-derive them
+        // from the canonical URL so the next check matches saved items to fresh ones
+        this.currentNews.concat(this.previousNews).forEach(item => {
+            if (!item.url) return;
+            item.canonicalUrl = this.canonicalizeUrl(item.url);
+            item.id = this.upgradeItemId(item);
+        });
+        this.sourceStatus = data.sourceStatus || {};
+        this.discoveredFeeds = data.discoveredFeeds || {};
+        
+        this.applySettings(this.loadSettings());
+        this.webhookLog = this.readStoredJson('nola_monitor_webhook_log', []);
+        
+        if (!this.headless) {
+            this.restoreSettingsControls();
+            // Triage state comes from IndexedDB; redraw the cards if saved results went up first
+            this.loadTriage().then(() => {
+                if (document.querySelector('#newsResults .news-item')) this.displayNews(this.currentNews);
+            });
             
             // Don't auto-display cached news on startup - require manual check
-            // This ensures "Check for Updates" always fetches fresh data
-            console.log('Loaded cached data but not displaying - click "Check for Updates" for fresh data');
+            // This ensures "Check for Updates" always fetches fresh data. Offline is the exception.
+            if (navigator.onLine === false && this.showSavedResults()) {
+                console.log('Offline - showing cached data');
+            } else {
+                console.log('Loaded cached data but not displaying - click "Check for Updates" for fresh data');
+            }
+        }
+        
+        if (this.storageProblems.length > 0) {
+            console.error('Problems reading saved data:', this.storageProblems);
+            if (!this.headless) {
+                this.updateStatus(`Some saved settings could not be read and were reset: ${this.storageProblems.join('; ')}`, false);
+            }
+        }
+    }
+
+    // Parse one stored key. A corrupt value is reported and kept under `<key>_corrupt`
+    // instead of being silently replaced on the next save.
+    readStoredJson(key, fallback) {
+        const raw = this.storage.getItem(key);
+        if (raw === null) return fallback;
+        
+        try {
+            return JSON.parse(raw);
+        } catch (error) {
+            this.storageProblems.push(`${key} is not valid JSON (${error.message})`);
+            this.storage.setItem(`${key}_corrupt`, raw);
+            return fallback;
+        }
+    }
+
+    // Version 1 kept each feature under its own localStorage key
+    getLegacySettingsKeys() {
+        return {
+            sources: 'nola_monitor_sources',
+            watchlists: 'nola_monitor_watchlists',
+            scoring: 'nola_monitor_scoring',
+            proxies: 'nola_monitor_proxies',
+            webhooks: 'nola_monitor_webhooks',
+            digest: 'nola_monitor_digest',
+            options: 'nola_monitor_options',
+            view: 'nola_monitor_view',
+            autocheck: 'nola_monitor_autocheck'
+        };
+    }
+
+    // Each migration upgrades a settings document from `version - 1` to `version`.
+    // Add one here (and bump settingsVersion) whenever the stored shape changes.
+    getSettingsMigrations() {
+        return [
+            {
+                version: 2,
+                description: 'Merged per-feature localStorage keys into one settings document',
+                migrate: settings => {
+                    const keys = settings.keys || {};
+                    const migrated = {};
+                    Object.entries(this.getLegacySettingsKeys()).forEach(([section, key]) => {
+                        migrated[section] = key in keys ? keys[key] : null;
+                    });
+                    return migrated;
+                }
+            }
+        ];
+    }
+
+    migrateSettings(settings) {
+        if (!settings || typeof settings !== 'object' || !Number.isInteger(settings.version) || settings.version < 1) {
+            throw new Error('Settings have no schema version');
+        }
+        if (settings.version > this.settingsVersion) {
+            throw new Error(`Settings were saved by a newer version of the monitor (schema ${settings.version}; this copy understands up to ${this.settingsVersion})`);
+        }
+        
+        const applied = [];
+        let current = settings;
+        this.getSettingsMigrations()
+            .filter(migration => migration.version > current.version)
+            .sort((a, b) => a.version - b.version)
+            .forEach(migration => {
+                current = { ...migration.migrate(current), version: migration.version };
+                applied.push(`v${migration.version}: ${migration.description}`);
+            });
+        
+        return { settings: current, applied };
+    }
+
+    loadSettings() {
+        const stored = this.readStoredJson('nola_monitor_settings', null);
+        const legacyKeys = Object.values(this.getLegacySettingsKeys());
+        let settings = stored;
+        
+        if (!settings) {
+            const keys = {};
+            legacyKeys.forEach(key => {
+                const value = this.readStoredJson(key, undefined);
+                if (value !== undefined) keys[key] = value;
+            });
+            if (Object.keys(keys).length === 0) return {};
+            settings = { version: 1, keys };
+        }
+        
+        try {
+            const { settings: migrated, applied } = this.migrateSettings(settings);
+            if (applied.length > 0) {
+                console.log('Settings migrated:', applied);
+                this.storage.setItem('nola_monitor_settings', JSON.stringify(migrated));
+                legacyKeys.forEach(key => this.storage.removeItem(key));
+            }
+            return migrated;
+        } catch (error) {
+            this.storageProblems.push(error.message);
+            return {};
+        }
+    }
+
+    readStoredSettings() {
+        try {
+            return JSON.parse(this.storage.getItem('nola_monitor_settings') || 'null') || { version: this.settingsVersion };
+        } catch {
+            return { version: this.settingsVersion };
+        }
+    }
+
+    // Writes one section of the settings document. Sections are saved one at a time
+    // so run-only overrides (like the CLI's --sources) never leak into storage.
+    saveSetting(section, value) {
+        const settings = this.readStoredSettings();
+        settings.version = this.settingsVersion;
+        settings[section] = value;
+        this.storage.setItem('nola_monitor_settings', JSON.stringify(settings));
+    }
+
+    // Returns the cleaned value of one settings section, or throws with a readable reason.
+    // Recoverable oddities (e.g. unknown source ids) go to `warnings`.
+    validateSettingsSection(section, value, warnings = []) {
+        const isObject = candidate => candidate && typeof candidate === 'object' && !Array.isArray(candidate);
+        const isStringList = candidate => Array.isArray(candidate) && candidate.every(entry => typeof entry === 'string');
+        
+        switch (section) {
+            case 'sources': {
+                if (!isStringList(value)) throw new Error('must be a list of source ids');
+                const unknown = value.filter(id => !this.getSource(id));
+                if (unknown.length > 0) warnings.push(`sources: ignored unknown source ids ${unknown.join(', ')}`);
+                const known = value.filter(id => this.getSource(id));
+                if (known.length === 0) throw new Error('no registered source is enabled');
+                return known;
+            }
+            case 'watchlists': {
+                if (!isObject(value) || !Array.isArray(value.lists) || value.lists.length === 0) {
+                    throw new Error('must be { active, lists: [...], aliases }');
+                }
+                value.lists.forEach((list, index) => {
+                    if (!isObject(list) || typeof list.name !== 'string' || !Array.isArray(list.rules) ||
+                        !list.rules.every(rule => isObject(rule) && typeof rule.query === 'string')) {
+                        throw new Error(`list ${index + 1} needs a name and rules like { "query": "budget", "enabled": true }`);
+                    }
+                });
+                const aliases = value.aliases || {};
+                if (!isObject(aliases) || !Object.values(aliases).every(isStringList)) {
+                    throw new Error('aliases must map each term to a list of synonyms');
+                }
+                let active = value.active;
+                if (!value.lists.some(list => list.name === active)) {
+                    active = value.lists[0].name;
+                    warnings.push(`watchlists: active watchlist "${value.active}" not found, using "${active}"`);
+                }
+                return {
+                    active,
+                    lists: value.lists.map(list => ({
+                        name: list.name,
+                        rules: list.rules.map(rule => ({ query: rule.query, enabled: rule.enabled !== false }))
+                    })),
+                    aliases
+                };
+            }
+            case 'scoring':
+                return this.validateScoringConfig(value);
+            case 'proxies':
+                if (!isStringList(value) || value.length === 0) throw new Error('must be a non-empty list of URL prefixes');
+                value.forEach(prefix => {
+                    if (prefix && !/^(https?:\/\/|\/|proxy\?)/.test(prefix)) throw new Error(`invalid proxy prefix "${prefix}"`);
+                });
+                return value;
+            case 'webhooks':
+                if (!Array.isArray(value)) throw new Error('must be a list');
+                return value.map((hook, index) => {
+                    if (!isObject(hook) || typeof hook.url !== 'string' || !/^https?:\/\//.test(hook.url)) {
+                        throw new Error(`webhook ${index + 1} needs an http(s) "url"`);
+                    }
+                    if (!['slack', 'teams', 'json'].includes(hook.format)) {
+                        throw new Error(`webhook ${index + 1} format must be slack, teams or json`);
+                    }
+                    return {
+                        id: hook.id || `hook-${index}-${Date.now().toString(36)}`,
+                        name: hook.name || `${hook.format} webhook`,
+                        url: hook.url,
+                        format: hook.format,
+                        minScore: Number(hook.minScore) || this.defaultWebhookMinScore,
+                        watchlist: hook.watchlist || null,
+                        changeTypes: isStringList(hook.changeTypes) ? hook.changeTypes : ['NEW', 'MODIFIED'],
+                        enabled: hook.enabled !== false
+                    };
+                });
+            case 'digest':
+                if (!isObject(value)) throw new Error('must be an object');
+                if (value.period && !['daily', 'weekly', 'since-last'].includes(value.period)) {
+                    throw new Error('period must be daily, weekly or since-last');
+                }
+                if (value.recipients !== undefined && !isStringList(value.recipients)) {
+                    throw new Error('recipients must be a list of email addresses');
+                }
+                return {
+                    period: value.period || 'daily',
+                    recipients: value.recipients || [],
+                    lastSentAt: typeof value.lastSentAt === 'number' ? value.lastSentAt : null
+                };
+            case 'options':
+                if (!isObject(value)) throw new Error('must be an object');
+                return { trackArticleBodies: !!value.trackArticleBodies };
+            case 'view':
+                if (!isObject(value)) throw new Error('must be an object');
+                if (value.filterMode && !['all', 'matches', 'hide'].includes(value.filterMode)) {
+                    throw new Error('filterMode must be all, matches or hide');
+                }
+                if (value.sortBy && !['source', 'score', 'date'].includes(value.sortBy)) {
+                    throw new Error('sortBy must be source, score or date');
+                }
+                if (value.entity && (typeof value.entity !== 'string' || !this.entityTypes[value.entity.split(':')[0]])) {
+                    throw new Error('entity must be "type:value", e.g. "person:JP Morrell"');
+                }
+                if (value.triage && !this.triageViews.includes(value.triage)) {
+                    throw new Error(`triage must be ${this.triageViews.join(', ')}`);
+                }
+                return {
+                    filterMode: value.filterMode || 'all',
+                    sortBy: value.sortBy || 'source',
+                    search: typeof value.search === 'string' ? value.search : '',
+                    entity: value.entity || '',
+                    triage: value.triage || 'all',
+                    reporter: typeof value.reporter === 'string' ? value.reporter.trim() : ''
+                };
+            case 'autocheck':
+                if (!isObject(value)) throw new Error('must be an object');
+                if (value.interval !== undefined && !(Number(value.interval) > 0)) {
+                    throw new Error('interval must be a positive number of minutes');
+                }
+                if (value.quietHours) {
+                    if (!isObject(value.quietHours)) throw new Error('quietHours must be { start, end } or null');
+                    this.parseClockTime(value.quietHours.start);
+                    this.parseClockTime(value.quietHours.end);
+                }
+                return {
+                    enabled: !!value.enabled,
+                    interval: Number(value.interval) || 15,
+                    quietHours: value.quietHours ? { start: value.quietHours.start, end: value.quietHours.end } : null,
+                    businessHoursOnly: !!value.businessHoursOnly
+                };
+            default:
+                throw new Error('is not a known settings section');
+        }
+    }
+
+    // Validates every section of a (migrated) settings document.
+    // Sections left null mean "use the defaults".
+    validateSettings(settings) {
+        const errors = [];
+        const warnings = [];
+        const cleaned = { version: this.settingsVersion };
+        const sections = Object.keys(this.getLegacySettingsKeys());
+        
+        Object.keys(settings)
+            .filter(section => section !== 'version' && !sections.includes(section))
+            .forEach(section => warnings.push(`${section}: unknown section ignored`));
+        
+        sections.forEach(section => {
+            if (settings[section] === null || settings[section] === undefined) {
+                cleaned[section] = null;
+                return;
+            }
+            try {
+                cleaned[section] = this.validateSettingsSection(section, settings[section], warnings);
+            } catch (error) {
+                errors.push(`${section}: ${error.message}`);
+            }
+        });
+        
+        return { settings: cleaned, errors, warnings };
+    }
+
+    // Copies a stored settings document onto the monitor. Invalid sections are
+    // reported in storageProblems and fall back to the defaults.
+    applySettings(stored) {
+        const { settings, errors } = this.validateSettings(stored);
+        errors.forEach(error => this.storageProblems.push(error));
+        
+        // A null section means the user never changed it - use the defaults
+        this.enabledSources = new Set(settings.sources || this.sources.map(source => source.id));
+        this.renderSourceToggles();
+        
+        this.trackArticleBodies = !!(settings.options && settings.options.trackArticleBodies);
+        
+        const watchlists = settings.watchlists || this.getDefaultWatchlists();
+        this.watchlists = watchlists.lists;
+        this.activeWatchlist = watchlists.active;
+        this.keywordAliases = watchlists.aliases;
+        this.compiledQueries.clear();
+        this.renderKeywordTags();
+        
+        this.scoringConfig = settings.scoring || this.getDefaultScoringConfig();
+        this.renderScoringSettings();
+        
+        this.webhooks = settings.webhooks || [];
+        this.renderWebhooks();
+        
+        this.digestSettings = { ...this.defaultDigestSettings, ...(settings.digest || {}) };
+        this.renderDigestSettings();
+        
+        if (!this.proxyOverride) {
+            this.customProxies = !!settings.proxies;
+            this.proxies = settings.proxies || (this.localProxyAvailable ? [this.localProxyPrefix] : [...this.defaultProxies]);
+        }
+        
+        this.viewOptions = { ...this.defaultViewOptions, ...(settings.view || {}) };
+        
+        this.savedAutoCheck = settings.autocheck || { enabled: false, interval: 15 };
+        this.checkIntervalMinutes = this.savedAutoCheck.interval;
+        this.quietHours = this.savedAutoCheck.quietHours || null;
+        this.businessHoursOnly = !!this.savedAutoCheck.businessHoursOnly;
+    }
+
+    // Puts the page controls in line with the loaded settings
+    restoreSettingsControls() {
+        const bodiesToggle = document.getElementById('trackBodiesToggle');
+        if (bodiesToggle) bodiesToggle.checked = this.trackArticleBodies;
+        
+        Object.entries({ filterMode: 'filterMode', sortBy: 'sortBy', triageFilter: 'triage' }).forEach(([id, name]) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            Array.from(select.options).forEach(option => {
+                option.selected = option.value === this.viewOptions[name];
+            });
+        });
+        const newsSearch = document.getElementById('newsSearch');
+        if (newsSearch) newsSearch.value = this.viewOptions.search;
+        const reporterName = document.getElementById('reporterName');
+        if (reporterName) reporterName.value = this.viewOptions.reporter;
+        this.renderEntityFilter();
+        this.renderTrends();
+        
+        this.displayWebhookLog();
+        this.renderProxySettings();
+        
+        // Auto-check settings; an overdue check runs right away
+        Array.from(document.getElementById('intervalSelect').options).forEach(option => {
+            option.selected = Number(option.value) === this.checkIntervalMinutes;
+        });
+        document.getElementById('quietStart').value = this.quietHours ? this.quietHours.start : '';
+        document.getElementById('quietEnd').value = this.quietHours ? this.quietHours.end : '';
+        document.getElementById('businessHoursToggle').checked = this.businessHoursOnly;
+        if (this.savedAutoCheck.enabled) {
+            this.startAutoCheck();
+        } else {
+            this.updateAutoStatus();
+        }
+    }
+
+    // A portable copy of the saved settings (what is stored, not run-only overrides),
+    // optionally with history, change log and latest snapshot
+    createBackup({ includeState = false } = {}) {
+        const { version, ...settings } = this.readStoredSettings();
+        const backup = {
+            format: 'nola-monitor-backup',
+            version: this.settingsVersion,
+            exportedAt: new Date().toISOString(),
+            settings
+        };
+        
+        if (includeState) {
+            backup.state = {
+                data: this.readStoredJson('nola_monitor_data', {}),
+                history: this.getHistory(),
+                changeLog: this.getChangeLog()
+            };
+        }
+        return backup;
+    }
+
+    // Validates and stores a backup file's contents. Nothing is written unless the
+    // whole file is valid; returns { errors, warnings, migrations, sections }.
+    importBackup(backup) {
+        const report = { errors: [], warnings: [], migrations: [], sections: [] };
+        
+        if (!backup || typeof backup !== 'object' || Array.isArray(backup)) {
+            report.errors.push('The file does not contain a JSON object');
+            return report;
+        }
+        
+        // A raw dump of localStorage (every nola_monitor_* key as a string) is a version 1 backup
+        const legacyDump = !backup.format && Object.keys(backup).some(key => key.startsWith('nola_monitor_'));
+        if (legacyDump) {
+            backup = this.convertLegacyDump(backup, report);
+        } else if (backup.format !== 'nola-monitor-backup') {
+            report.errors.push('Not a NOLA City Hall Monitor backup (missing "format": "nola-monitor-backup")');
+            return report;
+        }
+        
+        let migrated;
+        try {
+            const source = backup.version === 1 ? { version: 1, keys: backup.keys || {} } : { ...(backup.settings || {}), version: backup.version };
+            ({ settings: migrated, applied: report.migrations } = this.migrateSettings(source));
+        } catch (error) {
+            report.errors.push(error.message);
+            return report;
+        }
+        
+        const { settings, errors, warnings } = this.validateSettings(migrated);
+        report.errors.push(...errors);
+        report.warnings.push(...warnings);
+        
+        const state = backup.state;
+        if (state !== undefined) {
+            if (!state || typeof state !== 'object') {
+                report.errors.push('state: must be an object');
+            } else {
+                if (state.data !== undefined && (!state.data || !Array.isArray(state.data.currentNews || []))) {
+                    report.errors.push('state.data: currentNews must be a list of items');
+                }
+                ['history', 'changeLog'].forEach(key => {
+                    if (state[key] !== undefined && !Array.isArray(state[key])) {
+                        report.errors.push(`state.${key}: must be a list`);
+                    }
+                });
+            }
+        }
+        
+        if (report.errors.length > 0) return report;
+        
+        this.storage.setItem('nola_monitor_settings', JSON.stringify(settings));
+        report.sections = Object.keys(settings).filter(section => section !== 'version' && settings[section] !== null);
+        
+        if (state) {
+            if (state.data) this.storage.setItem('nola_monitor_data', JSON.stringify(state.data));
+            if (state.history) this.storage.setItem('nola_monitor_history', JSON.stringify(state.history));
+            if (state.changeLog) this.storage.setItem('nola_monitor_change_log', JSON.stringify(state.changeLog));
+            report.sections.push('state');
+        }
+        return report;
+    }
+
+    convertLegacyDump(dump, report) {
+        const parse = key => {
+            try {
+                return typeof dump[key] === 'string' ? JSON.parse(dump[key]) : dump[key];
+            } catch (error) {
+                report.errors.push(`${key}: not valid JSON (${error.message})`);
+                return undefined;
+            }
+        };
+        
+        const keys = {};
+        Object.values(this.getLegacySettingsKeys())
+            .filter(key => key in dump)
+            .forEach(key => {
+                keys[key] = parse(key);
+            });
+        
+        const state = {};
+        if ('nola_monitor_data' in dump) state.data = parse('nola_monitor_data');
+        if ('nola_monitor_history' in dump) state.history = parse('nola_monitor_history');
+        if ('nola_monitor_change_log' in dump) state.changeLog = parse('nola_monitor_change_log');
+        
+        return { format: 'nola-monitor-backup', version: 1, keys, ...(Object.keys(state).length > 0 ? { state } : {}) };
+    }
+
+    downloadBackup() {
+        const includeState = document.getElementById('backupIncludeState').checked;
+        const backup = this.createBackup({ includeState });
+        const link = document.createElement('a');
+        
+        link.href = URL.createObjectURL(new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' }));
+        link.download = `nola-monitor-backup-${new Date().toISOString().slice(0, 10)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        this.updateStatus('Backup downloaded', true);
+    }
+
+    async restoreBackupFile(file) {
+        const reportContainer = document.getElementById('backupReport');
+        let report;
+        
+        try {
+            report = this.importBackup(JSON.parse(await file.text()));
         } catch (error) {
-            console.error('Error loading from storage:', error);
+            report = { errors: [`${file.name} is not valid JSON (${error.message})`], warnings: [], migrations: [], sections: [] };
+        }
+        
+        const list = (title, entries, className) => entries.length === 0 ? '' : `
+            <div class="backup-report-group ${className}">
+                <strong>${title}</strong>
+                <ul>${entries.map(entry => `<li>${this.escapeHtml(entry)}</li>`).join('')}</ul>
+            </div>
+        `;
+        reportContainer.innerHTML =
+            list('Not imported - fix these problems and try again:', report.errors, 'failed') +
+            list('Upgraded from an older format:', report.migrations, '') +
+            list('Warnings:', report.warnings, '');
+        
+        if (report.errors.length > 0) {
+            this.updateStatus(`Backup not imported: ${report.errors.length} problem(s)`, false);
+            return;
         }
+        
+        // Re-read everything through the normal load path
+        if (this.autoCheckTimer) {
+            clearInterval(this.autoCheckTimer);
+            this.autoCheckTimer = null;
+            this.autoCheckEnabled = false;
+        }
+        this.loadFromStorage();
+        this.displayHistory();
+        this.updateLastCheckedDisplay();
+        if (this.currentNews.length > 0) this.displayNews(this.currentNews);
+        this.updateStatus(`Imported ${report.sections.join(', ')} from ${file.name}`, true);
     }
 
     updateStatus(message, success) {
+        if (this.headless) return;
+        
         const status = document.getElementById('status');
         status.textContent = message;
         status.className = success ? 'status success' : 'status error';
     }
 }
 
-// Initialize the monitor when the page loads
-document.addEventListener('DOMContentLoaded', () => {
-    console.log('DOM loaded, initializing NOLA News Monitor...');
-    try {
-        const monitor = new NolaNewsMonitor();
-        console.log('NOLA News Monitor initialized successfully');
-        window.monitor = monitor; // Make it globally accessible for debugging
-    } catch (error) {
-        console.error('Error initializing NOLA News Monitor:', error);
-    }
-});
+// Initialize the monitor when the page loads (cli.js loads this file under Node instead)
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        console.log('DOM loaded, initializing NOLA News Monitor...');
+        try {
+            // Plugin scripts loaded before this point queue themselves on window.nolaMonitorPlugins
+            const monitor = new NolaNewsMonitor({ plugins: window.nolaMonitorPlugins || [] });
+            console.log('NOLA News Monitor initialized successfully');
+            window.monitor = monitor; // Make it globally accessible for debugging
+        } catch (error) {
+            console.error('Error initializing NOLA News Monitor:', error);
+        }
+    });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NolaNewsMonitor, ItemArchive };
+}
@@ -0,0 +1,276 @@
+// Local fetch proxy and static file server, started with `nola-monitor serve`.
+// Replaces the public CORS proxies: only allowlisted hosts are fetched,
+// successful responses are cached briefly, and failures come back as JSON
+// the page can show.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const STATIC_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.ico': 'image/x-icon',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.webmanifest': 'application/manifest+json'
+};
+
+function isAllowedHost(hostname, allowlist) {
+    const host = hostname.toLowerCase();
+    return allowlist.some(allowed => host === allowed || host.endsWith(`.${allowed}`));
+}
+
+function createProxyServer(options = {}) {
+    const allowlist = (options.allowlist || []).map(host => host.toLowerCase().replace(/^www\./, ''));
+    const cacheTtlMs = (options.cacheTtlSeconds ?? 60) * 1000;
+    const maxCacheEntries = options.maxCacheEntries || 200;
+    const timeoutMs = options.timeoutMs || 15000;
+    const maxBodyBytes = options.maxBodyBytes || 5 * 1024 * 1024;
+    const maxRedirects = options.maxRedirects ?? 5;
+    const staticRoot = options.staticRoot ? path.resolve(options.staticRoot) : null;
+    const fetchImpl = options.fetch || fetch;
+    const log = options.log || (() => {});
+    // pathname -> async (searchParams) => { contentType, body }, e.g. the feeds from cli.js
+    const routes = options.routes || {};
+    const cache = new Map();
+
+    const sendJson = (res, status, body) => {
+        res.writeHead(status, {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Access-Control-Allow-Origin': '*',
+            'Cache-Control': 'no-store'
+        });
+        res.end(JSON.stringify(body));
+    };
+
+    const sendError = (res, status, error, details = {}) => {
+        log(`${status} ${error}`);
+        sendJson(res, status, { error, status, ...details });
+    };
+
+    // Follows redirects by hand: each Location is checked (http(s), allowlisted host) before
+    // it is requested, so an allowlisted site can't bounce the proxy to localhost or a
+    // metadata address. Refusals are thrown with the status to answer with.
+    async function fetchAllowed(targetUrl, init) {
+        const refuse = (status, message) => Object.assign(new Error(message), { status });
+        let url = targetUrl;
+        for (let hop = 0; ; hop++) {
+            const response = await fetchImpl(url.href, { ...init, redirect: 'manual' });
+            const location = response.headers.get('location');
+            if (response.status < 300 || response.status > 399 || !location) return response;
+            if (response.body) response.body.cancel().catch(() => {});
+
+            if (hop >= maxRedirects) {
+                throw refuse(502, `Upstream redirected more than ${maxRedirects} times`);
+            }
+            try {
+                url = new URL(location, url);
+            } catch {
+                throw refuse(502, 'Upstream redirected to an invalid URL');
+            }
+            if (!['http:', 'https:'].includes(url.protocol)) {
+                throw refuse(403, `Redirected to a ${url.protocol} URL, only http and https can be proxied`);
+            }
+            if (!isAllowedHost(url.hostname, allowlist)) {
+                throw refuse(403, `Redirected to ${url.hostname}, which is not on the allowlist`);
+            }
+        }
+    }
+
+    // The body, or null as soon as it passes maxBodyBytes, so an oversized (or lying
+    // content-length) response is never buffered whole
+    async function readLimitedBody(upstream) {
+        if (!upstream.body) {
+            const body = Buffer.from(await upstream.arrayBuffer());
+            return body.length > maxBodyBytes ? null : body;
+        }
+        const chunks = [];
+        let total = 0;
+        for await (const chunk of upstream.body) {
+            total += chunk.length;
+            if (total > maxBodyBytes) return null;
+            chunks.push(Buffer.from(chunk));
+        }
+        return Buffer.concat(chunks, total);
+    }
+
+    async function handleProxy(req, res, requestUrl) {
+        const target = requestUrl.searchParams.get('url');
+        if (!target) {
+            return sendError(res, 400, 'Missing ?url= parameter');
+        }
+
+        let targetUrl;
+        try {
+            targetUrl = new URL(target);
+        } catch {
+            return sendError(res, 400, 'Not a valid URL', { url: target });
+        }
+        if (!['http:', 'https:'].includes(targetUrl.protocol)) {
+            return sendError(res, 400, 'Only http and https URLs can be proxied', { url: target });
+        }
+        if (!isAllowedHost(targetUrl.hostname, allowlist)) {
+            return sendError(res, 403, `Host ${targetUrl.hostname} is not on the allowlist`, { url: target, allowlist });
+        }
+
+        // HEAD is how the page reads attachment sizes; pass the validators through, no body, no cache
+        if (req.method === 'HEAD') {
+            return handleHead(res, targetUrl);
+        }
+
+        const cached = cache.get(targetUrl.href);
+        if (cached && Date.now() - cached.fetchedAt < cacheTtlMs) {
+            res.writeHead(200, {
+                'Content-Type': cached.contentType,
+                'Access-Control-Allow-Origin': '*',
+                'X-Cache': 'HIT'
+            });
+            return res.end(cached.body);
+        }
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+        try {
+            const upstream = await fetchAllowed(targetUrl, {
+                headers: {
+                    'Accept': req.headers.accept || '*/*',
+                    'User-Agent': 'NOLA City Hall Monitor (local proxy)'
+                },
+                signal: controller.signal
+            });
+
+            const body = Number(upstream.headers.get('content-length')) > maxBodyBytes
+                ? null
+                : await readLimitedBody(upstream);
+            if (!body) {
+                controller.abort();
+                return sendError(res, 502, `Upstream response is larger than ${maxBodyBytes} bytes`, { url: target });
+            }
+            if (!upstream.ok) {
+                return sendError(res, 502, `Upstream returned HTTP ${upstream.status}`, {
+                    url: target,
+                    upstreamStatus: upstream.status
+                });
+            }
+
+            const contentType = upstream.headers.get('content-type') || 'application/octet-stream';
+            cache.set(targetUrl.href, { body, contentType, fetchedAt: Date.now() });
+            if (cache.size > maxCacheEntries) {
+                cache.delete(cache.keys().next().value); // Oldest entry first
+            }
+
+            log(`200 ${targetUrl.href} (${body.length} bytes)`);
+            res.writeHead(200, {
+                'Content-Type': contentType,
+                'Access-Control-Allow-Origin': '*',
+                'X-Cache': 'MISS'
+            });
+            res.end(body);
+        } catch (error) {
+            if (error.status) {
+                return sendError(res, error.status, error.message, { url: target });
+            }
+            if (error.name === 'AbortError') {
+                return sendError(res, 504, `Upstream timed out after ${timeoutMs}ms`, { url: target });
+            }
+            return sendError(res, 502, `Upstream request failed: ${error.message}`, { url: target });
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    async function handleHead(res, targetUrl) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+        try {
+            const upstream = await fetchAllowed(targetUrl, {
+                method: 'HEAD',
+                headers: { 'User-Agent': 'NOLA City Hall Monitor (local proxy)' },
+                signal: controller.signal
+            });
+
+            const headers = { 'Access-Control-Allow-Origin': '*', 'Cache-Control': 'no-store' };
+            ['content-type', 'content-length', 'last-modified', 'etag'].forEach(name => {
+                const value = upstream.headers.get(name);
+                if (value) headers[name] = value;
+            });
+            log(`${upstream.ok ? 200 : 502} HEAD ${targetUrl.href}`);
+            res.writeHead(upstream.ok ? 200 : 502, headers);
+            res.end();
+        } catch (error) {
+            const status = error.status || (error.name === 'AbortError' ? 504 : 502);
+            log(`${status} HEAD ${targetUrl.href}: ${error.message}`);
+            res.writeHead(status, { 'Access-Control-Allow-Origin': '*' });
+            res.end();
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    function handleStatic(req, res, requestUrl) {
+        if (!staticRoot) {
+            return sendError(res, 404, 'Not found');
+        }
+
+        let relative;
+        try {
+            relative = decodeURIComponent(requestUrl.pathname === '/' ? '/index.html' : requestUrl.pathname);
+        } catch {
+            return sendError(res, 400, 'Malformed path');
+        }
+        const filePath = path.resolve(staticRoot, `.${relative}`);
+        const type = STATIC_TYPES[path.extname(filePath).toLowerCase()];
+
+        // Only serve known asset types from inside the app directory
+        if (!type || !filePath.startsWith(staticRoot + path.sep) || !fs.existsSync(filePath)) {
+            return sendError(res, 404, 'Not found');
+        }
+
+        res.writeHead(200, { 'Content-Type': type, 'Cache-Control': 'no-cache' });
+        fs.createReadStream(filePath).pipe(res);
+    }
+
+    const server = http.createServer((req, res) => {
+        const requestUrl = new URL(req.url, 'http://localhost');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, {
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Allow-Methods': 'GET, HEAD, OPTIONS',
+                'Access-Control-Allow-Headers': 'Accept'
+            });
+            return res.end();
+        }
+        const isHeadProxy = req.method === 'HEAD' && requestUrl.pathname === '/proxy';
+        if (req.method !== 'GET' && !isHeadProxy) {
+            return sendError(res, 405, 'Only GET is supported (and HEAD on /proxy)');
+        }
+
+        if (requestUrl.pathname === '/proxy/health') {
+            return sendJson(res, 200, { ok: true, service: 'nola-monitor-proxy', allowlist, cachedEntries: cache.size });
+        }
+        if (requestUrl.pathname === '/proxy') {
+            handleProxy(req, res, requestUrl).catch(error => sendError(res, 500, error.message));
+            return;
+        }
+        if (routes[requestUrl.pathname]) {
+            Promise.resolve(routes[requestUrl.pathname](requestUrl.searchParams))
+                .then(({ contentType, body }) => {
+                    res.writeHead(200, { 'Content-Type': contentType, 'Cache-Control': 'no-cache' });
+                    res.end(body);
+                })
+                .catch(error => sendError(res, 400, error.message));
+            return;
+        }
+        handleStatic(req, res, requestUrl);
+    });
+
+    server.clearCache = () => cache.clear();
+    return server;
+}
+
+module.exports = { createProxyServer, isAllowedHost };
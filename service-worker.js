@@ -0,0 +1,193 @@
+// Service worker: keeps the app shell available offline and, where the browser
+// supports Periodic Background Sync, looks for new headlines while the tab is closed.
+// A worker has no DOMParser, so the background check only compares the headline
+// links on each source page with the last ones seen; the full parse and diff run
+// in the page (monitor.js) the next time it is opened.
+// Results are never cached here: offline, the page shows the ones it saved in its
+// own storage (showSavedResults in monitor.js) once the shell below has loaded.
+
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `nola-monitor-shell-${CACHE_VERSION}`;
+const DATA_CACHE = 'nola-monitor-data'; // Survives shell upgrades
+const SHELL_FILES = ['./', 'index.html', 'style.css', 'monitor.js', 'manifest.webmanifest', 'icon.svg'];
+const CONFIG_KEY = 'sw/config.json';
+const LINKS_KEY = 'sw/links.json';
+const PERIODIC_SYNC_TAG = 'nola-monitor-check';
+
+// Headline-looking links: long enough text, same host as the page or an item the page already knows
+function extractLinks(html, pageUrl) {
+    const links = new Map();
+    const anchor = /<a\b[^>]*?\bhref\s*=\s*(["'])(.*?)\1[^>]*>([\s\S]*?)<\/a>/gi;
+    let match;
+
+    while ((match = anchor.exec(html)) !== null) {
+        const text = match[3].replace(/<[^>]+>/g, ' ').replace(/&nbsp;/g, ' ').replace(/\s+/g, ' ').trim();
+        if (text.length < 15) continue;
+
+        let url;
+        try {
+            url = new URL(match[2].replace(/&amp;/g, '&'), pageUrl);
+        } catch {
+            continue;
+        }
+        if (!/^https?:$/.test(url.protocol)) continue;
+        url.hash = '';
+        if (!links.has(url.href)) links.set(url.href, text);
+    }
+    return links;
+}
+
+// Links on the page now that weren't there last time and aren't items the page already has
+function findNewLinks(current, previous, knownUrls) {
+    const known = new Set(knownUrls);
+    return Array.from(current.entries())
+        .filter(([url]) => !previous.includes(url) && !known.has(url))
+        .map(([url, title]) => ({ url, title }));
+}
+
+async function readJson(key, fallback) {
+    const cache = await caches.open(DATA_CACHE);
+    const response = await cache.match(key);
+    if (!response) return fallback;
+    try {
+        return await response.json();
+    } catch {
+        return fallback;
+    }
+}
+
+async function writeJson(key, value) {
+    const cache = await caches.open(DATA_CACHE);
+    await cache.put(key, new Response(JSON.stringify(value), { headers: { 'Content-Type': 'application/json' } }));
+}
+
+// Same proxy order as the page: '' means fetch directly, a relative prefix is the local proxy
+async function fetchSource(url, proxies) {
+    let lastError = new Error('No proxies configured');
+    for (const proxy of proxies.length > 0 ? proxies : ['']) {
+        try {
+            const target = proxy ? new URL(proxy + encodeURIComponent(url), self.registration.scope).href : url;
+            const response = await fetch(target, { headers: { 'Accept': 'text/html,application/xhtml+xml' } });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return await response.text();
+        } catch (error) {
+            lastError = error;
+        }
+    }
+    throw lastError;
+}
+
+async function backgroundCheck() {
+    // With the app open, its own scheduler does the real check
+    const windows = await self.clients.matchAll({ type: 'window' });
+    if (windows.length > 0) {
+        console.log('Background check skipped - the monitor is open');
+        return;
+    }
+
+    const config = await readJson(CONFIG_KEY, null);
+    if (!config) return;
+    const seen = await readJson(LINKS_KEY, {});
+    const found = [];
+
+    for (const source of config.sources) {
+        try {
+            const links = extractLinks(await fetchSource(source.url, config.proxies), source.url);
+            // The first look at a source only records a baseline
+            if (seen[source.id]) {
+                findNewLinks(links, seen[source.id], config.knownUrls[source.id] || [])
+                    .forEach(link => found.push({ ...link, source: source.label }));
+            }
+            seen[source.id] = Array.from(links.keys());
+        } catch (error) {
+            console.log(`Background check of ${source.id} failed:`, error.message);
+        }
+    }
+
+    await writeJson(LINKS_KEY, seen);
+    console.log('Background check found', found.length, 'new links');
+
+    if (found.length > 0 && config.notify) {
+        await self.registration.showNotification(
+            found.length === 1 ? '🏛️ New NOLA News Item' : '🏛️ Multiple New NOLA News Items',
+            {
+                body: found.length === 1
+                    ? `${found[0].title}\nFrom: ${found[0].source}`
+                    : `${found.length} new headlines. Open the monitor for details.`,
+                icon: 'icon.svg',
+                tag: 'nola-news-background',
+                data: { url: found.length === 1 ? found[0].url : null }
+            }
+        );
+    }
+}
+
+// Network first so a deploy shows up on the next load; the cache is the offline fallback
+async function serveShell(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        if (request.mode === 'navigate') {
+            const shell = await cache.match('index.html');
+            if (shell) return shell;
+        }
+        throw error;
+    }
+}
+
+if (typeof self !== 'undefined' && typeof self.skipWaiting === 'function') {
+    self.addEventListener('install', (event) => {
+        event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_FILES)).then(() => self.skipWaiting()));
+    });
+
+    self.addEventListener('activate', (event) => {
+        event.waitUntil(caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('nola-monitor-shell-') && key !== SHELL_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim()));
+    });
+
+    self.addEventListener('fetch', (event) => {
+        const url = new URL(event.request.url);
+        // Only the app's own files; proxy and feed requests always go to the network
+        if (event.request.method !== 'GET' || url.origin !== self.location.origin ||
+            url.pathname.startsWith(new URL('proxy', self.registration.scope).pathname) ||
+            url.pathname.includes('/feeds/')) {
+            return;
+        }
+        event.respondWith(serveShell(event.request));
+    });
+
+    // The page sends its sources, proxies and latest item URLs after every check
+    self.addEventListener('message', (event) => {
+        if (event.data && event.data.type === 'config') {
+            event.waitUntil(writeJson(CONFIG_KEY, event.data.config));
+        }
+    });
+
+    self.addEventListener('periodicsync', (event) => {
+        if (event.tag === PERIODIC_SYNC_TAG) {
+            event.waitUntil(backgroundCheck());
+        }
+    });
+
+    self.addEventListener('notificationclick', (event) => {
+        event.notification.close();
+        const itemUrl = event.notification.data && event.notification.data.url;
+        event.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+            if (itemUrl) return self.clients.openWindow(itemUrl);
+            if (windows.length > 0) return windows[0].focus();
+            return self.clients.openWindow(self.registration.scope);
+        }));
+    });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { extractLinks, findNewLinks, serveShell, PERIODIC_SYNC_TAG };
+}
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMonitor, readFixture, serveFixtures } = require('./helpers.js');
+
+const ARTICLE_URL = 'https://nola.gov/next/news/mayor-announces-2026-budget-hearings/';
+
+test('extractArticle', async (t) => {
+    const monitor = createMonitor();
+    const article = monitor.extractArticle(readFixture('nola-gov-article.html'), ARTICLE_URL);
+
+    await t.test('keeps the article text without navigation', () => {
+        assert.match(article.text, /^Mayor Announces 2026 Budget Hearings The City Council will hold public hearings/);
+        assert.doesNotMatch(article.text, /style guide|Privacy/);
+    });
+
+    await t.test('collects each linked document once', () => {
+        assert.deepEqual(article.attachments, [
+            {
+                url: 'https://nola.gov/next/documents/2026-proposed-budget.pdf',
+                name: '2026 Proposed Operating Budget',
+                type: 'pdf',
+                size: Math.round(2.4 * 1024 * 1024)
+            },
+            { url: 'https://council.nola.gov/files/hearing-schedule.xlsx', name: 'hearing schedule', type: 'xlsx', size: null },
+            { url: 'https://nola.gov/next/documents/presentations.docx', name: 'presentations.docx', type: 'docx', size: null }
+        ]);
+    });
+});
+
+test('diffAttachments', async (t) => {
+    const monitor = createMonitor();
+    const budget = { url: 'https://nola.gov/budget.pdf', name: 'Budget', type: 'pdf', size: 1000, etag: '"a"' };
+    const agenda = { url: 'https://nola.gov/agenda.pdf', name: 'Agenda', type: 'pdf', size: 500 };
+
+    await t.test('reports added and removed documents', () => {
+        const minutes = { url: 'https://nola.gov/minutes.pdf', name: 'Minutes', type: 'pdf', size: null };
+        assert.deepEqual(monitor.diffAttachments([budget, agenda], [budget, minutes]), [
+            { type: 'added', attachment: minutes },
+            { type: 'removed', attachment: agenda }
+        ]);
+    });
+
+    await t.test('reports a new file under the same URL as replaced', () => {
+        const revised = { ...budget, size: 1200, etag: '"b"' };
+        assert.deepEqual(monitor.diffAttachments([budget], [revised]), [{ type: 'replaced', attachment: revised, previous: budget }]);
+    });
+
+    await t.test('reports a renamed link with the same name as replaced', () => {
+        const revised = { url: 'https://nola.gov/agenda-revised.pdf', name: 'agenda', type: 'pdf', size: 700 };
+        assert.deepEqual(monitor.diffAttachments([agenda], [revised]), [{ type: 'replaced', attachment: revised, previous: agenda }]);
+    });
+
+    await t.test('needs a validator on both sides to call a file changed', () => {
+        assert.deepEqual(monitor.diffAttachments([{ ...agenda, size: null }], [agenda]), []);
+    });
+});
+
+test('runCheck flags attachment changes on an already-seen item', async () => {
+    const monitor = createMonitor();
+    monitor.enabledSources = new Set(['nola-gov']);
+    monitor.trackArticleBodies = true;
+    serveFixtures(monitor, { 'nola-gov': readFixture('nola-gov-news.html') });
+
+    let article = readFixture('nola-gov-article.html');
+    let budgetEtag = '"v1"';
+    monitor.fetchThroughProxies = async url => {
+        if (url !== ARTICLE_URL) throw new Error('HTTP 404');
+        return article;
+    };
+    monitor.fetchHeadersThroughProxies = async url => new Headers(url.endsWith('2026-proposed-budget.pdf')
+        ? { 'content-length': '2600000', etag: budgetEtag }
+        : {});
+
+    await monitor.runCheck();
+    const item = monitor.currentNews.find(entry => entry.url === ARTICLE_URL);
+    assert.equal(item.attachments.length, 3);
+    assert.equal(item.attachments[0].size, 2600000);
+
+    budgetEtag = '"v2"';
+    article = article.replace(/<p>Department presentations:.*<\/p>/, '');
+    const result = await monitor.runCheck();
+
+    assert.equal(result.changes.length, 1);
+    assert.deepEqual(result.changes[0].diffs.map(diff => diff.field), ['body', 'attachments']);
+    assert.deepEqual(monitor.describeChange(result.changes[0]).attachmentChanges.map(entry => [entry.type, entry.name]), [
+        ['replaced', '2026 Proposed Operating Budget'],
+        ['removed', 'presentations.docx']
+    ]);
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMonitor, readFixture, serveFixtures } = require('./helpers.js');
+
+function parseFixture(monitor) {
+    return monitor.parseSourceContent(readFixture('nola-gov-news.html'), monitor.getSource('nola-gov'));
+}
+
+test('detectChanges', async (t) => {
+    await t.test('reports nothing when the listing is unchanged', () => {
+        const monitor = createMonitor();
+        monitor.previousNews = parseFixture(monitor);
+        monitor.currentNews = parseFixture(monitor);
+        assert.deepEqual(monitor.detectChanges(), []);
+    });
+
+    await t.test('reports new and removed items', () => {
+        const monitor = createMonitor();
+        const items = parseFixture(monitor);
+        monitor.previousNews = items.slice(1);
+        monitor.currentNews = items.slice(0, -1);
+
+        const changes = monitor.detectChanges();
+        assert.deepEqual(changes.map(change => [change.type, change.item.title]), [
+            ['NEW', 'Mayor Announces 2026 Budget Hearings'],
+            ['REMOVED', 'Housing Authority Board Meeting Rescheduled']
+        ]);
+    });
+
+    await t.test('reports an edited headline as modified with a word diff', () => {
+        const monitor = createMonitor();
+        const items = parseFixture(monitor);
+        monitor.previousNews = items;
+        monitor.currentNews = monitor.parseSourceContent(
+            readFixture('nola-gov-news.html').replace('Street Closures for Bayou Boogaloo', 'Street Closures Extended for Bayou Boogaloo'),
+            monitor.getSource('nola-gov')
+        );
+
+        const changes = monitor.detectChanges();
+        assert.equal(changes.length, 1);
+        assert.equal(changes[0].type, 'MODIFIED');
+        assert.deepEqual(changes[0].diffs.map(diff => diff.field), ['title']);
+        assert.ok(changes[0].diffs[0].ops.some(op => op.type === 'insert' && op.text === 'Extended'));
+    });
+
+    await t.test('ignores sources that were not checked', () => {
+        const monitor = createMonitor();
+        monitor.previousNews = parseFixture(monitor);
+        monitor.currentNews = [];
+        monitor.enabledSources = new Set(['nopd-news']);
+        assert.deepEqual(monitor.detectChanges(), []);
+    });
+});
+
+test('runCheck', async (t) => {
+    await t.test('records a baseline, then only what changed', async () => {
+        const monitor = createMonitor();
+        monitor.enabledSources = new Set(['nola-gov']);
+        serveFixtures(monitor, { 'nola-gov': readFixture('nola-gov-news.html') });
+
+        const first = await monitor.runCheck();
+        assert.equal(first.items.length, 4);
+        assert.ok(first.changes.every(change => change.type === 'NEW'));
+
+        const second = await monitor.runCheck();
+        assert.deepEqual(second.changes, []);
+        assert.equal(monitor.getHistory().length, 2);
+    });
+
+    await t.test('carries items forward when a source fails', async () => {
+        const monitor = createMonitor();
+        monitor.enabledSources = new Set(['nola-gov', 'nopd-news']);
+        serveFixtures(monitor, { 'nola-gov': readFixture('nola-gov-news.html'), 'nopd-news': readFixture('nopd-news.html') });
+        await monitor.runCheck();
+
+        serveFixtures(monitor, { 'nopd-news': readFixture('nopd-news.html') });
+        const result = await monitor.runCheck();
+        assert.deepEqual(result.changes, []);
+        assert.deepEqual(result.failedSources.map(source => source.id), ['nola-gov']);
+        assert.equal(monitor.sourceStatus['nola-gov'].ok, false);
+        assert.equal(monitor.sourceStatus['nola-gov'].count, 4);
+    });
+
+    await t.test('fails when every source fails', async () => {
+        const monitor = createMonitor();
+        serveFixtures(monitor, {});
+        await assert.rejects(monitor.runCheck(), /Unable to fetch news data from any source/);
+    });
+
+    await t.test('holds the old items when a redesign breaks the parser', async () => {
+        const monitor = createMonitor();
+        monitor.enabledSources = new Set(['nola-gov']);
+        serveFixtures(monitor, { 'nola-gov': readFixture('nola-gov-news.html') });
+        await monitor.runCheck();
+
+        serveFixtures(monitor, { 'nola-gov': readFixture('nola-gov-redesign.html') });
+        const result = await monitor.runCheck();
+        assert.deepEqual(result.changes, []);
+        assert.equal(monitor.currentNews.length, 4);
+        assert.equal(monitor.sourceStatus['nola-gov'].suspect, true);
+        assert.match(monitor.sourceStatus['nola-gov'].error, /found 0 items, previously 4/);
+
+        // Once accepted, the next check takes the drop as real
+        const lastCheck = monitor.lastCheck;
+        monitor.acceptSourceDrop('nola-gov');
+        assert.equal(monitor.lastCheck, lastCheck);
+        const accepted = await monitor.runCheck();
+        assert.equal(accepted.changes.filter(change => change.type === 'REMOVED').length, 4);
+        assert.equal(monitor.sourceStatus['nola-gov'].suspect, undefined);
+        assert.match(monitor.sourceStatus['nola-gov'].warning, /No items found/);
+    });
+});
@@ -0,0 +1,223 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryStorage, createMonitor, readFixture, serveFixtures } = require('./helpers.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function makeItem(overrides = {}) {
+    return {
+        id: 'item',
+        title: 'Untitled',
+        excerpt: 'No description available',
+        url: 'https://nola.gov/next/news/item/',
+        source: 'City of New Orleans',
+        sourceId: 'nola-gov',
+        timestamp: Date.now(),
+        ...overrides
+    };
+}
+
+test('canonicalizeUrl', async (t) => {
+    const monitor = createMonitor();
+
+    await t.test('collapses scheme, www, trailing slash, fragments and tracking parameters', () => {
+        [
+            'https://nola.gov/next/news/budget-hearings/',
+            'http://www.nola.gov/next/news/budget-hearings',
+            'https://NOLA.gov/next//news/budget-hearings/#top',
+            'https://nola.gov/next/news/budget-hearings/?utm_source=twitter&fbclid=abc',
+            'https://nola.gov/next/news/budget-hearings/index.html'
+        ].forEach(url => assert.equal(monitor.canonicalizeUrl(url), 'https://nola.gov/next/news/budget-hearings'));
+    });
+
+    await t.test('keeps and sorts parameters that identify the page', () => {
+        assert.equal(monitor.canonicalizeUrl('https://www.swbno.org/Press/Details?page=2&id=104&utm_medium=email'), 'https://swbno.org/Press/Details?id=104&page=2');
+    });
+
+    await t.test('leaves anything that is not an http(s) URL alone', () => {
+        assert.equal(monitor.canonicalizeUrl('#'), '#');
+        assert.equal(monitor.canonicalizeUrl('mailto:press@nola.gov'), 'mailto:press@nola.gov');
+    });
+});
+
+test('deriveItemId', async (t) => {
+    const monitor = createMonitor();
+
+    await t.test('uses the canonical URL whatever the trailing slash or tracking', () => {
+        assert.equal(monitor.deriveItemId('https://nopdnews.com/post/missing-juvenile-located/', 'item-0'), 'nopdnews.com/post/missing-juvenile-located');
+        assert.equal(monitor.deriveItemId('http://www.nopdnews.com/post/missing-juvenile-located?utm_source=x', 'item-0'), 'nopdnews.com/post/missing-juvenile-located');
+        assert.equal(monitor.deriveItemId('https://swbno.org/Press/Details?id=104', 'item-0'), 'swbno.org/Press/Details?id=104');
+        assert.equal(monitor.deriveItemId('#', 'item-4'), 'item-4');
+    });
+
+    await t.test('keeps different paths with the same last segment apart', () => {
+        const dated = makeItem({ id: monitor.deriveItemId('https://nola.gov/news/2024/budget/'), url: 'https://nola.gov/news/2024/budget/', title: 'Budget adopted' });
+        const press = makeItem({ id: monitor.deriveItemId('https://nola.gov/press/budget'), url: 'https://nola.gov/press/budget', title: 'Budget press conference' });
+        assert.notEqual(dated.id, press.id);
+
+        monitor.previousNews = [dated];
+        monitor.currentNews = [dated, press];
+        assert.deepEqual(monitor.detectChanges().map(change => [change.type, change.item.title]), [['NEW', 'Budget press conference']]);
+    });
+
+    await t.test('gives parsed items stable ids that do not depend on their position', () => {
+        const items = monitor.parseSourceContent(readFixture('nopd-news.html'), monitor.getSource('nopd-news'));
+        assert.ok(items.every(item => !/^item-\d+$/.test(item.id)));
+        assert.ok(items.some(item => item.id === 'nopdnews.com/post/missing-juvenile-located'));
+    });
+
+    await t.test('re-derives saved ids so the next check matches them', async () => {
+        const source = createMonitor();
+        const items = source.parseSourceContent(readFixture('nola-gov-news.html'), source.getSource('nola-gov'))
+            .map((item, index) => ({ ...item, id: `item-${index}`, canonicalUrl: undefined }));
+        const lastCheck = Date.now() - DAY;
+        const storage = new MemoryStorage({
+            nola_monitor_data: JSON.stringify({ lastCheck, currentNews: items, previousNews: items })
+        });
+        const monitor = createMonitor(storage);
+        monitor.loadFromStorage();
+        monitor.enabledSources = new Set(['nola-gov']);
+        serveFixtures(monitor, { 'nola-gov': readFixture('nola-gov-news.html') });
+
+        const result = await monitor.runCheck();
+        assert.deepEqual(result.changes, []);
+        // Saved before first-seen times were kept, so they date from the last check
+        assert.ok(monitor.currentNews.every(item => item.firstSeen === lastCheck));
+    });
+
+    await t.test('moves archived records and triage to the re-derived keys', async () => {
+        const source = createMonitor();
+        const items = source.parseSourceContent(readFixture('nola-gov-news.html'), source.getSource('nola-gov'))
+            .map((item, index) => ({ ...item, id: `item-${index}`, canonicalUrl: undefined }));
+        const lastCheck = Date.now() - DAY;
+        const archived = (item, firstSeen, key = `nola-gov:${item.id}`) => ({
+            key, id: item.id, sourceId: 'nola-gov', source: item.source, title: item.title, url: item.url,
+            date: item.date, excerpt: item.excerpt, timestamp: item.timestamp,
+            firstSeen, lastSeen: lastCheck, removedAt: null,
+            versions: [{ recordedAt: firstSeen, title: `${item.title} (draft)`, fingerprint: 'draft' }]
+        });
+        const currentKey = `nola-gov:${source.deriveItemId(items[0].url)}`;
+        const meeting = {
+            ...archived({ ...items[0], id: 'meeting-1030@council.nola.gov', url: 'https://council.nola.gov/meetings/' }, lastCheck),
+            key: 'council-meetings:meeting-1030@council.nola.gov',
+            sourceId: 'council-meetings'
+        };
+        const storage = new MemoryStorage({
+            nola_monitor_data: JSON.stringify({ lastCheck, currentNews: items, previousNews: items }),
+            nola_monitor_archive: JSON.stringify(items.map(item => archived(item, lastCheck - 10 * DAY)).concat([
+                // A check between the id change and this upgrade already filed the first item anew
+                { ...archived({ ...items[0], id: source.deriveItemId(items[0].url) }, lastCheck, currentKey), versions: [] },
+                meeting
+            ])),
+            nola_monitor_archive_triage: JSON.stringify([
+                { key: 'nola-gov:item-0', starred: true, notes: 'Follow up', updatedAt: lastCheck },
+                { key: 'nola-gov:item-1', read: true, updatedAt: lastCheck }
+            ])
+        });
+        const monitor = createMonitor(storage);
+        monitor.loadFromStorage();
+        monitor.enabledSources = new Set(['nola-gov']);
+        serveFixtures(monitor, { 'nola-gov': readFixture('nola-gov-news.html') });
+
+        const result = await monitor.runCheck();
+        assert.deepEqual(result.changes, []);
+        const records = await monitor.archive.search({ sourceId: 'nola-gov' });
+        assert.equal(records.length, items.length);
+        assert.deepEqual(records.map(record => record.key).sort(), monitor.currentNews.map(item => monitor.getItemKey(item)).sort());
+        const first = records.find(record => record.key === currentKey);
+        assert.equal(first.firstSeen, lastCheck - 10 * DAY);
+        assert.equal(first.versions[0].fingerprint, 'draft');
+        assert.ok(records.every(record => record.versions.length === 2));
+        assert.equal(storage.getItem('nola_monitor_archive_version'), '4');
+
+        // Triage follows its item; calendar UIDs were never URL-derived and keep their key
+        await monitor.loadTriage();
+        assert.equal(monitor.getTriageState(monitor.currentNews.find(item => monitor.getItemKey(item) === currentKey)).notes, 'Follow up');
+        assert.equal((await monitor.archive.getTriage()).filter(entry => entry.key.includes(':item-')).length, 0);
+        assert.deepEqual((await monitor.archive.search({ sourceId: 'council-meetings' })).map(record => record.key), [meeting.key]);
+    });
+
+    await t.test('moves last-segment ids to full canonical URLs', async () => {
+        const source = createMonitor();
+        const segmentId = item => item.url.replace(/\/$/, '').split('/').pop();
+        const parsed = source.parseSourceContent(readFixture('nola-gov-news.html'), source.getSource('nola-gov'));
+        const items = parsed.map(item => ({ ...item, id: segmentId(item) }));
+        const lastCheck = Date.now() - DAY;
+        const storage = new MemoryStorage({
+            nola_monitor_data: JSON.stringify({ lastCheck, currentNews: items, previousNews: items }),
+            nola_monitor_archive: JSON.stringify(items.map(item => ({
+                key: `nola-gov:${item.id}`, id: item.id, sourceId: 'nola-gov', title: item.title, url: item.url,
+                firstSeen: lastCheck - DAY, lastSeen: lastCheck, removedAt: null,
+                versions: [{ recordedAt: lastCheck - DAY, title: item.title, fingerprint: item.fingerprint }]
+            }))),
+            nola_monitor_archive_version: '3',
+            nola_monitor_archive_triage: JSON.stringify([{ key: `nola-gov:${items[0].id}`, starred: true, updatedAt: lastCheck }])
+        });
+        const monitor = createMonitor(storage);
+        monitor.loadFromStorage();
+        assert.deepEqual(monitor.currentNews.map(item => item.id), parsed.map(item => item.id));
+        monitor.enabledSources = new Set(['nola-gov']);
+        serveFixtures(monitor, { 'nola-gov': readFixture('nola-gov-news.html') });
+
+        assert.deepEqual((await monitor.runCheck()).changes, []);
+        const records = await monitor.archive.search({ sourceId: 'nola-gov' });
+        assert.deepEqual(records.map(record => record.key).sort(), parsed.map(item => `nola-gov:${item.id}`).sort());
+        assert.ok(records.every(record => record.firstSeen === lastCheck - DAY));
+        assert.deepEqual((await monitor.archive.getTriage()).map(entry => entry.key), [`nola-gov:${parsed[0].id}`]);
+    });
+});
+
+test('clusterItems', async (t) => {
+    const monitor = createMonitor();
+    const titles = entries => monitor.clusterItems(entries).map(story => story.members.map(item => `${item.sourceId}: ${item.title}`));
+
+    await t.test('puts a cross-post under one story with every appearance, earliest first', () => {
+        const nola = makeItem({
+            title: 'Arrest Made in Seventh Ward Shooting',
+            url: 'https://nola.gov/next/news/arrest-made-in-seventh-ward-shooting/',
+            firstSeen: 2000
+        });
+        const nopd = makeItem({
+            title: 'Arrest made in Seventh Ward shooting',
+            excerpt: 'Detectives arrested a 19-year-old man in connection with the shooting.',
+            url: 'https://nopdnews.com/post/arrest-made-in-seventh-ward-shooting/',
+            source: 'NOPD News',
+            sourceId: 'nopd-news',
+            firstSeen: 1000
+        });
+        const stories = monitor.clusterItems([nola, makeItem({ title: 'Library Hours Change' }), nopd]);
+        assert.equal(stories.length, 2);
+        assert.equal(stories[0].lead, nola);
+        assert.deepEqual(stories[0].members, [nopd, nola]);
+    });
+
+    await t.test('matches the same canonical URL listed twice', () => {
+        assert.equal(monitor.clusterItems([
+            makeItem({ title: 'Budget hearings set', url: 'https://nola.gov/next/news/budget/' }),
+            makeItem({ title: 'Hearings on the 2026 budget', url: 'http://www.nola.gov/next/news/budget?utm_source=feed', sourceId: 'city-council' })
+        ]).length, 1);
+    });
+
+    await t.test('keeps templated headlines about different incidents apart', () => {
+        assert.deepEqual(titles([
+            makeItem({ title: 'NOPD Investigating Shooting in Fifth District', url: 'https://nopdnews.com/post/a/' }),
+            makeItem({ title: 'NOPD Investigating Shooting in Seventh District', url: 'https://nopdnews.com/post/b/' })
+        ]).length, 2);
+    });
+
+    await t.test('compares excerpts when both sides have one, by overlap with the shorter', () => {
+        const excerpt = 'The City Council will hold public hearings on the proposed 2026 operating budget starting October 20 in council chambers.';
+        const full = makeItem({ title: 'Council Sets 2026 Budget Hearings', excerpt, url: 'https://council.nola.gov/news/hearings/' });
+        const cut = makeItem({ title: 'Council sets budget hearings for 2026', excerpt: excerpt.slice(0, 70), url: 'https://nola.gov/next/news/hearings-2026/' });
+        const other = makeItem({ title: 'Council Sets 2026 Budget Hearings', excerpt: 'Residents can sign up to speak online or call 311 for help with the form.', url: 'https://nola.gov/x/' });
+        assert.equal(monitor.clusterItems([full, cut]).length, 1);
+        assert.equal(monitor.clusterItems([full, other]).length, 2);
+    });
+
+    await t.test('does not join similar headlines published far apart', () => {
+        assert.equal(monitor.clusterItems([
+            makeItem({ title: 'Street Closures for Bayou Boogaloo', url: 'https://nola.gov/a/' }),
+            makeItem({ title: 'Street Closures for Bayou Boogaloo', url: 'https://nola.gov/b/', timestamp: Date.now() - 300 * DAY })
+        ]).length, 2);
+    });
+});
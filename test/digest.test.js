@@ -0,0 +1,256 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { parseSmtpUrl, buildMessage, sendMail } = require('../smtp-client.js');
+const { FileStorage, main } = require('../cli.js');
+const { createMonitor } = require('./helpers.js');
+
+// A local SMTP sink: answers each command from `replies` (or with a plain success)
+// and records the conversation plus the raw DATA payload, dot-stuffing included
+function startSink({ extensions = ['AUTH PLAIN LOGIN', 'SIZE 10485760'], replies = {} } = {}) {
+    const sink = { commands: [], messages: [] };
+    const server = net.createServer(socket => {
+        let buffer = '';
+        let data = null;
+        socket.write('220 sink.test ESMTP ready\r\n');
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            let index;
+            while ((index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+
+                if (data !== null) {
+                    if (line === '.') {
+                        sink.messages.push(data.join('\r\n'));
+                        data = null;
+                        socket.write('250 2.0.0 queued as 1234\r\n');
+                    } else {
+                        data.push(line);
+                    }
+                    continue;
+                }
+
+                sink.commands.push(line);
+                const verb = line.split(/[ :]/)[0].toUpperCase();
+                if (replies[verb]) {
+                    socket.write(`${replies[verb]}\r\n`);
+                } else if (verb === 'EHLO') {
+                    const lines = ['sink.test', ...extensions];
+                    socket.write(lines.map((text, i) => `250${i === lines.length - 1 ? ' ' : '-'}${text}`).join('\r\n') + '\r\n');
+                } else if (verb === 'AUTH') {
+                    socket.write(line === 'AUTH LOGIN' ? '334 VXNlcm5hbWU6\r\n' : '235 2.7.0 accepted\r\n');
+                } else if (verb === 'DATA') {
+                    data = [];
+                    socket.write('354 end with <CRLF>.<CRLF>\r\n');
+                } else if (verb === 'QUIT') {
+                    socket.end('221 2.0.0 bye\r\n');
+                } else if (sink.commands.at(-2) === 'AUTH LOGIN') {
+                    socket.write('334 UGFzc3dvcmQ6\r\n');
+                } else if (sink.commands.at(-3) === 'AUTH LOGIN') {
+                    socket.write('235 2.7.0 accepted\r\n');
+                } else {
+                    socket.write('250 2.1.0 ok\r\n');
+                }
+            }
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+        sink.url = (credentials = '') => `smtp://${credentials}127.0.0.1:${server.address().port}`;
+        sink.close = () => new Promise(done => server.close(done));
+        resolve(sink);
+    }));
+}
+
+// Runs cli.js main() and collects what it prints; the test runner's own (binary) output passes through
+async function runCli(argv) {
+    const output = [];
+    const write = process.stdout.write;
+    process.stdout.write = function (chunk, ...rest) {
+        if (typeof chunk !== 'string') return write.call(this, chunk, ...rest);
+        output.push(chunk);
+        return true;
+    };
+    try {
+        return { code: await main(argv), output: output.join('') };
+    } finally {
+        process.stdout.write = write;
+    }
+}
+
+const decodeWord = header => {
+    const match = header.match(/^=\?UTF-8\?B\?(.+)\?=$/);
+    return match ? Buffer.from(match[1], 'base64').toString('utf8') : header;
+};
+const header = (message, name) => message.match(new RegExp(`^${name}: (.*)$`, 'm'))[1];
+
+test('buildMessage', async (t) => {
+    const message = buildMessage({
+        from: 'Monitor <monitor@example.com>',
+        to: ['editors@example.com', 'desk@example.com'],
+        subject: 'Daily NOLA City Hall digest — 3 changes in Tremé',
+        text: 'Plain body',
+        html: '<p>HTML body</p>',
+        date: new Date(Date.UTC(2026, 9, 19, 12))
+    });
+
+    await t.test('encodes non-ASCII subjects as an RFC 2047 word', () => {
+        assert.match(header(message, 'Subject'), /^=\?UTF-8\?B\?[A-Za-z0-9+/=]+\?=$/);
+        assert.equal(decodeWord(header(message, 'Subject')), 'Daily NOLA City Hall digest — 3 changes in Tremé');
+        const ascii = buildMessage({ from: 'a@b', to: ['c@d'], subject: 'Weekly digest: 2 changes', text: '', html: '' });
+        assert.equal(header(ascii, 'Subject'), 'Weekly digest: 2 changes');
+    });
+
+    await t.test('has both alternatives, base64 encoded, and CRLF line ends', () => {
+        assert.equal(header(message, 'To'), 'editors@example.com, desk@example.com');
+        assert.equal(header(message, 'Date'), 'Mon, 19 Oct 2026 12:00:00 GMT');
+        const boundary = header(message, 'Content-Type').match(/boundary="([^"]+)"/)[1];
+        const parts = message.split(`--${boundary}`).slice(1, -1);
+        assert.deepEqual(parts.map(part => part.match(/Content-Type: ([^;]+)/)[1]), ['text/plain', 'text/html']);
+        assert.deepEqual(parts.map(part => Buffer.from(part.split('\r\n\r\n')[1], 'base64').toString('utf8')), ['Plain body', '<p>HTML body</p>']);
+        assert.ok(!/[^\r]\n/.test(message));
+    });
+});
+
+test('sendMail', async (t) => {
+    const message = 'Subject: test\r\n\r\n.leading dot\r\n..two dots\r\nlast line';
+
+    await t.test('EHLO, AUTH PLAIN, envelope and DATA with dot-stuffing', async () => {
+        const sink = await startSink();
+        t.after(() => sink.close());
+        const config = { ...parseSmtpUrl(sink.url('desk%40example.com:p%40ss@')), clientName: 'monitor.test' };
+        const result = await sendMail(config, {
+            from: 'NOLA Monitor <monitor@example.com>',
+            to: ['editors@example.com', 'Night Desk <desk@example.com>'],
+            message
+        });
+
+        assert.deepEqual(result, { accepted: ['editors@example.com', 'Night Desk <desk@example.com>'], response: '2.0.0 queued as 1234' });
+        assert.deepEqual(sink.commands.map(line => line.replace(/^AUTH PLAIN .*/, 'AUTH PLAIN <token>')), [
+            'EHLO monitor.test',
+            'AUTH PLAIN <token>',
+            'MAIL FROM:<monitor@example.com>',
+            'RCPT TO:<editors@example.com>',
+            'RCPT TO:<desk@example.com>',
+            'DATA',
+            'QUIT'
+        ]);
+        const token = sink.commands[1].split(' ')[2];
+        assert.equal(Buffer.from(token, 'base64').toString('utf8'), '\0desk@example.com\0p@ss');
+
+        // Lines starting with "." go over the wire doubled, so the sink never sees an early end
+        assert.equal(sink.messages[0], 'Subject: test\r\n\r\n..leading dot\r\n...two dots\r\nlast line');
+    });
+
+    await t.test('AUTH LOGIN when that is all the server offers', async () => {
+        const sink = await startSink({ extensions: ['AUTH LOGIN'] });
+        t.after(() => sink.close());
+        await sendMail(parseSmtpUrl(sink.url('desk:secret@')), { from: 'monitor@example.com', to: ['editors@example.com'], message });
+        assert.deepEqual(sink.commands.slice(1, 4), ['AUTH LOGIN', Buffer.from('desk').toString('base64'), Buffer.from('secret').toString('base64')]);
+    });
+
+    await t.test('STARTTLS is used when offered, and its refusal fails the send', async () => {
+        const sink = await startSink({ extensions: ['STARTTLS'], replies: { STARTTLS: '454 4.7.0 TLS not available' } });
+        t.after(() => sink.close());
+        await assert.rejects(
+            () => sendMail(parseSmtpUrl(sink.url()), { from: 'monitor@example.com', to: ['editors@example.com'], message }),
+            /SMTP STARTTLS failed: 454 4\.7\.0 TLS not available/);
+        assert.deepEqual(sink.commands, [`EHLO ${os.hostname()}`, 'STARTTLS']);
+    });
+
+    await t.test('credentials never go to a remote host without TLS', async () => {
+        const sink = await startSink();
+        t.after(() => sink.close());
+        const config = { ...parseSmtpUrl(sink.url('desk:secret@')), host: 'mail.example.com' };
+        // Connect to the sink, but let the client believe it is talking to a remote relay
+        const connect = net.connect;
+        net.connect = options => connect({ ...options, host: '127.0.0.1' });
+        try {
+            await assert.rejects(
+                () => sendMail(config, { from: 'monitor@example.com', to: ['editors@example.com'], message }),
+                /Refusing to send SMTP credentials to mail\.example\.com without TLS/);
+        } finally {
+            net.connect = connect;
+        }
+        assert.ok(!sink.commands.some(line => line.startsWith('AUTH')));
+    });
+
+    await t.test('a rejected recipient names the address, not the credentials', async () => {
+        const sink = await startSink({ replies: { RCPT: '550 5.1.1 no such user' } });
+        t.after(() => sink.close());
+        await assert.rejects(
+            () => sendMail(parseSmtpUrl(sink.url('desk:secret@')), { from: 'monitor@example.com', to: ['nobody@example.com'], message }),
+            error => /SMTP RCPT nobody@example\.com failed: 550 5\.1\.1 no such user/.test(error.message) && !error.message.includes('secret'));
+        assert.equal(sink.messages.length, 0);
+    });
+});
+
+test('nola-monitor digest sends through SMTP and records it in the history', async (t) => {
+    const sink = await startSink();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nola-digest-'));
+    t.after(async () => {
+        await sink.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    const state = path.join(dir, 'state.json');
+
+    // Yesterday's check found two changes
+    const seed = createMonitor(new FileStorage(state));
+    seed.recordChangeLog([
+        { type: 'NEW', item: { sourceId: 'nola-gov', source: 'City of New Orleans', title: 'Mayor proposes 2027 budget', excerpt: 'No description available', url: 'https://nola.gov/next/news/budget/', timestamp: Date.now() } },
+        { type: 'NEW', item: { sourceId: 'nopd-news', source: 'NOPD News', title: 'Arrest made in Tremé burglary', excerpt: 'No description available', url: 'https://nopdnews.com/post/treme/', timestamp: Date.now() } }
+    ], Date.now() - 60 * 60 * 1000);
+
+    const { code, output } = await runCli(['digest', '--period', 'daily', '--to', 'editors@example.com', '--from', 'monitor@example.com',
+        '--smtp', sink.url(), '--state', state]);
+
+    assert.equal(code, 0);
+    assert.match(output, /^Sent daily digest \(2 changes\) to editors@example\.com: 2\.0\.0 queued as 1234/);
+    assert.deepEqual(sink.commands.slice(1, 4), ['MAIL FROM:<monitor@example.com>', 'RCPT TO:<editors@example.com>', 'DATA']);
+
+    const sent = sink.messages[0];
+    assert.match(decodeWord(header(sent, 'Subject')), /^Daily NOLA City Hall digest: 2 changes/);
+    const plain = sent.split('Content-Type: text/plain; charset=utf-8\r\nContent-Transfer-Encoding: base64\r\n\r\n')[1].split('\r\n--')[0];
+    const text = Buffer.from(plain.replace(/\r\n/g, ''), 'base64').toString('utf8');
+    assert.match(text, /Mayor proposes 2027 budget/);
+    assert.match(text, /Arrest made in Tremé burglary/);
+
+    const monitor = createMonitor(new FileStorage(state));
+    const [entry] = monitor.getHistory();
+    assert.equal(entry.type, 'digest');
+    assert.equal(entry.period, 'daily');
+    assert.equal(entry.changesCount, 2);
+    assert.deepEqual(entry.recipients, ['editors@example.com']);
+    assert.ok(monitor.digestSettings.lastSentAt > Date.now() - 60 * 1000);
+});
+
+test('an empty digest is neither sent nor recorded', async (t) => {
+    const sink = await startSink();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nola-digest-'));
+    t.after(async () => {
+        await sink.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    const state = path.join(dir, 'state.json');
+
+    const { code, output } = await runCli(['digest', '--period', 'daily', '--to', 'editors@example.com', '--smtp', sink.url(), '--state', state]);
+    assert.equal(code, 0);
+    assert.match(output, /^No changes since .* - digest not sent/);
+    assert.deepEqual(sink.commands, []);
+    assert.deepEqual(createMonitor(new FileStorage(state)).getHistory(), []);
+});
+
+test('the CLI puts console back when it returns', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nola-digest-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const { log, error } = console;
+
+    for (const argv of [['sources'], ['sources', '--verbose'], ['sources', '--sources', 'nope']]) {
+        await runCli([...argv, '--state', path.join(dir, 'state.json')]);
+        assert.equal(console.log, log, argv.join(' '));
+        assert.equal(console.error, error, argv.join(' '));
+    }
+});
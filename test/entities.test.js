@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMonitor } = require('./helpers.js');
+
+function entities(monitor, title, excerpt = '', bodyText) {
+    return monitor.extractEntities({ title, excerpt, bodyText }).map(entity => monitor.getEntityKey(entity));
+}
+
+test('extractEntities', async (t) => {
+    const monitor = createMonitor();
+
+    await t.test('finds dictionary people, agencies and neighborhoods by any alias', () => {
+        assert.deepEqual(
+            entities(monitor, 'Jean-Paul Morrell tours Lower 9th Ward with SWBNO', 'The Sewerage and Water Board and NOPD were there.'),
+            [
+                'person:JP Morrell',
+                'place:Lower Ninth Ward',
+                'agency:Sewerage & Water Board',
+                'agency:New Orleans Police Department'
+            ]
+        );
+    });
+
+    await t.test('resolves titled surnames and keeps unknown officials named in full', () => {
+        assert.deepEqual(
+            entities(monitor, 'Budget update', 'Councilmember Green said Director Jane Smith-Jones would present. Judge Thomas Smith agreed.'),
+            ['person:Eugene Green', 'person:Jane Smith-Jones', 'person:Thomas Smith']
+        );
+    });
+
+    await t.test('does not read title-case headline words as names', () => {
+        assert.deepEqual(entities(monitor, 'Mayor Cantrell Announces New Budget Plan'), ['person:LaToya Cantrell']);
+        assert.deepEqual(entities(monitor, 'Director Announces Road Closures'), []);
+    });
+
+    await t.test('finds street addresses', () => {
+        assert.deepEqual(
+            entities(monitor, 'Water main break', 'Crews are at the 2400 block of St. Claude Avenue and 4000 S. Claiborne Ave. near 1300 Perdido Street.'),
+            ['address:2400 block of St. Claude Avenue', 'address:4000 S. Claiborne Ave.', 'address:1300 Perdido Street']
+        );
+    });
+
+    await t.test('finds dollar figures with their amounts', () => {
+        const found = monitor.extractEntities({ title: 'Council approves $1.2 million grant', excerpt: 'Another $450,000 and $3M follow.' });
+        assert.deepEqual(found.map(entity => [entity.value, entity.amount]), [
+            ['$1.2 million', 1200000],
+            ['$450,000', 450000],
+            ['$3M', 3000000]
+        ]);
+    });
+
+    await t.test('finds ordinance, resolution and motion numbers but not bare years', () => {
+        assert.deepEqual(
+            entities(monitor, 'Council adopts Ordinance No. 29,123 M.C.S.', 'Resolution R-24-123 and M-25-12 passed; Calendar No. 34,567 was deferred. The Calendar 2026 release and motion 5 are not.'),
+            ['legislation:Ordinance 29,123', 'legislation:Resolution R-24-123', 'legislation:Motion M-25-12', 'legislation:Calendar 34,567']
+        );
+    });
+
+    await t.test('reads the fetched article text too', () => {
+        assert.deepEqual(entities(monitor, 'Statement', '', 'Residents of Tremé met with HANO.'), [
+            'place:Tremé',
+            'agency:Housing Authority of New Orleans'
+        ]);
+    });
+
+    await t.test('matches all-caps aliases case-sensitively', () => {
+        assert.deepEqual(entities(monitor, 'Rta and cbd mentions in lowercase'), []);
+    });
+});
+
+test('entities in scoring and filters', async (t) => {
+    const item = {
+        title: 'JP Morrell files Ordinance No. 29,123',
+        excerpt: 'A $250,000 study of the Bywater.',
+        url: 'https://nola.gov/a',
+        source: 'City of New Orleans',
+        sourceId: 'nopd-news',
+        timestamp: Date.now() - 72 * 60 * 60 * 1000
+    };
+
+    await t.test('adds entity weights once per type, with dollar figures from the threshold up', () => {
+        const monitor = createMonitor();
+        const result = monitor.calculateNewsworthiness(item, []);
+        assert.deepEqual(monitor.formatScoreBreakdown(result.breakdown), [
+            '+1 base score',
+            '+0.5 person: JP Morrell',
+            '+0.5 legislation: Ordinance 29,123'
+        ]);
+    });
+
+    await t.test('applies configured weights and per-entity boosts', () => {
+        const monitor = createMonitor();
+        monitor.scoringConfig = monitor.validateScoringConfig({
+            entityWeights: { place: 1 },
+            entityBoosts: { Bywater: 2 },
+            moneyThreshold: 100000
+        });
+        const result = monitor.calculateNewsworthiness(item, []);
+        assert.deepEqual(monitor.formatScoreBreakdown(result.breakdown), [
+            '+1 base score',
+            '+1 neighborhood: Bywater',
+            '+2 named: Bywater'
+        ]);
+    });
+
+    await t.test('rejects unknown entity types in the scoring config', () => {
+        const monitor = createMonitor();
+        assert.throws(() => monitor.validateScoringConfig({ entityWeights: { company: 1 } }), /unknown types company/);
+    });
+
+    await t.test('filters by a chosen entity', () => {
+        const monitor = createMonitor();
+        monitor.viewOptions.entity = 'place:Bywater';
+        assert.equal(monitor.isRelevant(item), true);
+        monitor.viewOptions.entity = 'place:Tremé';
+        assert.equal(monitor.isRelevant(item), false);
+    });
+
+    await t.test('validates the saved entity filter', () => {
+        const monitor = createMonitor();
+        assert.equal(monitor.validateSettingsSection('view', { entity: 'person:JP Morrell' }).entity, 'person:JP Morrell');
+        assert.throws(() => monitor.validateSettingsSection('view', { entity: 'JP Morrell' }), /type:value/);
+    });
+});
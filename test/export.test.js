@@ -0,0 +1,249 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DOMParser } = require('linkedom');
+const { createMonitor } = require('./helpers.js');
+
+const day = 24 * 60 * 60 * 1000;
+const base = Date.UTC(2026, 9, 1, 12);
+
+const item = (id, title, daysIn, extra = {}) => ({
+    id,
+    sourceId: 'nola-gov',
+    source: 'City of New Orleans',
+    title,
+    url: `https://nola.gov/next/news/${id}/`,
+    date: new Date(base + daysIn * day).toDateString(),
+    timestamp: base + daysIn * day,
+    excerpt: 'No description available',
+    ...extra
+});
+
+const items = [
+    item('budget-vote', 'Council "budget" vote, part 2', 0, { excerpt: 'First line\nsecond line' }),
+    item('formula', '=HYPERLINK("https://evil.example","Click")', 1),
+    item('freeze', '-5 degrees: freeze warning for Algiers', 2),
+    item('at-mayor', '@Mayor answers questions on housing', 3),
+    item('sweeping', 'Street sweeping schedule', 4),
+    item('nopd', 'NOPD budget hearing set', 5, { sourceId: 'nopd-news', source: 'NOPD News', url: 'https://nopdnews.com/post/budget-hearing/' })
+];
+
+function createExportMonitor() {
+    const monitor = createMonitor();
+    monitor.enabledSources = new Set(['nola-gov', 'nopd-news']);
+    monitor.currentNews = items;
+    monitor.recordChangeLog([
+        { type: 'NEW', item: items[0] },
+        { type: 'MODIFIED', item: items[3], diffs: [{ field: 'title' }, { field: 'excerpt' }] }
+    ], base + day);
+    monitor.recordChangeLog([
+        { type: 'REMOVED', item: { ...items[4], title: 'Budget & finance <update>' } }
+    ], base + 3 * day);
+    monitor.storage.setItem('nola_monitor_history', JSON.stringify([
+        { timestamp: base + 3 * day, newsCount: 6, changesCount: 1 },
+        { timestamp: base + 2 * day, type: 'digest', period: 'daily', changesCount: 2, recipients: ['a@example.com', 'b@example.com'] },
+        { timestamp: base, newsCount: 5, changesCount: 0 }
+    ]));
+    return monitor;
+}
+
+// Enough of RFC 4180 for these rows: quoted cells with "", commas and line breaks
+function parseCsv(content) {
+    const rows = [[]];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (quoted && char === '"' && content[i + 1] === '"') {
+            cell += '"';
+            i++;
+        } else if (char === '"') {
+            quoted = !quoted;
+        } else if (!quoted && char === ',') {
+            rows.at(-1).push(cell);
+            cell = '';
+        } else if (!quoted && char === '\r' && content[i + 1] === '\n') {
+            rows.at(-1).push(cell);
+            rows.push([]);
+            cell = '';
+            i++;
+        } else {
+            cell += char;
+        }
+    }
+    return rows.slice(0, -1);
+}
+
+test('CSV export', async (t) => {
+    const monitor = createExportMonitor();
+
+    await t.test('quotes commas, quotes and line breaks and ends rows with CRLF', async () => {
+        const { content, mimeType, filename } = await monitor.buildExport('items', 'csv', { applyFilters: false });
+        assert.equal(mimeType, 'text/csv');
+        assert.match(filename, /^nola-monitor-items-\d{4}-\d{2}-\d{2}\.csv$/);
+        assert.ok(content.endsWith('\r\n'));
+        assert.match(content, /,"Council ""budget"" vote, part 2",/);
+        assert.match(content, /,"First line\nsecond line",/);
+
+        const rows = parseCsv(content);
+        assert.deepEqual(rows[0], monitor.exportColumns.items);
+        assert.equal(rows.length, items.length + 1);
+        assert.ok(rows.every(row => row.length === monitor.exportColumns.items.length));
+        assert.equal(rows[1][2], 'Council "budget" vote, part 2');
+        assert.equal(rows[1][6], 'budget; council');
+    });
+
+    await t.test('cells a spreadsheet would evaluate start with a quote', async () => {
+        const rows = parseCsv((await monitor.buildExport('items', 'csv', { applyFilters: false })).content);
+        const titles = rows.slice(1).map(row => row[2]);
+        assert.ok(titles.includes(`'=HYPERLINK("https://evil.example","Click")`));
+        assert.ok(titles.includes("'-5 degrees: freeze warning for Algiers"));
+        assert.ok(titles.includes("'@Mayor answers questions on housing"));
+        assert.ok(titles.includes('Street sweeping schedule'));
+        // Only text is prefixed; numbers stay numbers
+        assert.equal(monitor.toCsv([{ title: '+1 555 0100', score: -1 }], ['title', 'score']), "title,score\r\n'+1 555 0100,-1\r\n");
+    });
+
+    await t.test('changes and history use ISO times and join lists', async () => {
+        const changes = parseCsv((await monitor.buildExport('changes', 'csv', { applyFilters: false })).content);
+        assert.deepEqual(changes[0], monitor.exportColumns.changes);
+        const changedFields = monitor.exportColumns.changes.indexOf('changedFields');
+        assert.deepEqual(changes.slice(1).map(row => [row[0], row[1], row[changedFields]]), [
+            [new Date(base + 3 * day).toISOString(), 'REMOVED', ''],
+            [new Date(base + day).toISOString(), 'NEW', ''],
+            [new Date(base + day).toISOString(), 'MODIFIED', 'title; excerpt']
+        ]);
+
+        const history = parseCsv((await monitor.buildExport('history', 'csv')).content);
+        assert.deepEqual(history[0], monitor.exportColumns.history);
+        assert.deepEqual(history[2], [new Date(base + 2 * day).toISOString(), 'digest', '', '2', 'daily', 'a@example.com; b@example.com']);
+    });
+});
+
+test('JSON export', async () => {
+    const monitor = createExportMonitor();
+    monitor.viewOptions = { ...monitor.viewOptions, filterMode: 'matches', search: '', entity: '' };
+    const from = base + day;
+    const to = base + 4 * day;
+    const file = await monitor.buildExport('items', 'json', { from, to });
+    assert.equal(file.mimeType, 'application/json');
+
+    const json = JSON.parse(file.content);
+    assert.deepEqual(Object.keys(json), ['exportedAt', 'dataset', 'filters', 'count', 'records']);
+    assert.equal(json.dataset, 'items');
+    assert.deepEqual(json.filters, {
+        from: new Date(from).toISOString(),
+        to: new Date(to).toISOString(),
+        filterMode: 'matches',
+        search: '',
+        entity: ''
+    });
+    assert.equal(json.count, json.records.length);
+    assert.deepEqual(json.records.map(record => record.title), ['@Mayor answers questions on housing']);
+    assert.deepEqual(Object.keys(json.records[0]), monitor.exportColumns.items);
+
+    const unfiltered = JSON.parse((await monitor.buildExport('changes', 'json', { applyFilters: false })).content);
+    assert.deepEqual(unfiltered.filters, { from: null, to: null });
+    assert.equal(unfiltered.count, 3);
+});
+
+test('RSS and Atom feeds are well-formed', async (t) => {
+    const monitor = createExportMonitor();
+    const parse = content => new DOMParser().parseFromString(content, 'text/xml');
+    // Every & must start an entity, and no raw < may appear inside text
+    const assertEscaped = content => {
+        assert.doesNotMatch(content, /&(?!(amp|lt|gt|quot|#39|#x27);)/);
+        assert.doesNotMatch(content, /<(?![/?]?[a-zA-Z])/);
+    };
+
+    await t.test('RSS 2.0', async () => {
+        const file = await monitor.buildExport('changes', 'rss', { applyFilters: false });
+        assert.equal(file.mimeType, 'application/rss+xml');
+        assert.match(file.content, /^<\?xml version="1\.0" encoding="utf-8"\?>\n<rss version="2\.0">/);
+        assertEscaped(file.content);
+
+        const doc = parse(file.content);
+        const entries = Array.from(doc.querySelectorAll('item'));
+        assert.equal(entries.length, 3);
+        assert.deepEqual(entries.map(entry => entry.querySelector('title').textContent), [
+            'Removed: Budget & finance <update>',
+            'New: Council "budget" vote, part 2',
+            'Edited: @Mayor answers questions on housing'
+        ]);
+        assert.equal(entries[0].querySelector('pubDate').textContent, new Date(base + 3 * day).toUTCString());
+        assert.equal(entries[1].querySelector('link').textContent, 'https://nola.gov/next/news/budget-vote/');
+        // Each detection is its own entry, even for the same item
+        const guids = entries.map(entry => entry.querySelector('guid').textContent);
+        assert.equal(new Set(guids).size, guids.length);
+        assert.match(entries[2].querySelector('description').textContent, /changed: title, excerpt/);
+    });
+
+    await t.test('Atom', async () => {
+        const file = await monitor.buildExport('changes', 'atom', { applyFilters: false });
+        assert.equal(file.mimeType, 'application/atom+xml');
+        assertEscaped(file.content);
+
+        const doc = parse(file.content);
+        assert.equal(doc.querySelector('feed').getAttribute('xmlns'), 'http://www.w3.org/2005/Atom');
+        assert.equal(doc.querySelector('feed > updated').textContent, new Date(base + 3 * day).toISOString());
+        const entries = Array.from(doc.querySelectorAll('entry'));
+        assert.equal(entries.length, 3);
+        assert.ok(entries.every(entry => entry.querySelector('id') && entry.querySelector('updated') && entry.querySelector('link').getAttribute('href')));
+        assert.deepEqual(Array.from(entries[1].querySelectorAll('category')).map(category => category.getAttribute('term')), ['budget', 'council']);
+    });
+
+    await t.test('only changes can be a feed', async () => {
+        await assert.rejects(() => monitor.buildExport('items', 'rss'), /only available for detected changes/);
+        await assert.rejects(() => monitor.buildExport('items', 'xml'), /Unknown export format "xml"/);
+        await assert.rejects(() => monitor.buildExport('stories', 'csv'), /Unknown export dataset "stories"/);
+    });
+});
+
+test('exports follow the active filters and date range', async (t) => {
+    const monitor = createExportMonitor();
+    const titles = async (dataset, options) => (await monitor.collectExport(dataset, options)).map(row => row.title);
+    const setView = view => { monitor.viewOptions = { ...monitor.viewOptions, filterMode: 'all', search: '', entity: '', ...view }; };
+
+    await t.test('keyword filter modes', async () => {
+        setView({ filterMode: 'matches' });
+        assert.deepEqual(await titles('items'), [
+            'Council "budget" vote, part 2',
+            '@Mayor answers questions on housing',
+            'NOPD budget hearing set'
+        ]);
+        setView({ filterMode: 'hide' });
+        assert.deepEqual(await titles('items'), [
+            '=HYPERLINK("https://evil.example","Click")',
+            '-5 degrees: freeze warning for Algiers',
+            'Street sweeping schedule'
+        ]);
+        // Change keywords are re-matched against the current watchlist
+        setView({ filterMode: 'matches' });
+        assert.deepEqual(await titles('changes'), ['Budget & finance <update>', 'Council "budget" vote, part 2', '@Mayor answers questions on housing']);
+    });
+
+    await t.test('search, entity and enabled sources', async () => {
+        setView({ search: 'budget' });
+        assert.deepEqual(await titles('items'), ['Council "budget" vote, part 2', 'NOPD budget hearing set']);
+        setView({ entity: 'place:Algiers' });
+        assert.deepEqual(await titles('items'), ['-5 degrees: freeze warning for Algiers']);
+        setView({});
+        monitor.enabledSources = new Set(['nola-gov']);
+        assert.ok(!(await titles('items')).includes('NOPD budget hearing set'));
+        monitor.enabledSources = new Set(['nola-gov', 'nopd-news']);
+    });
+
+    await t.test('from and to are inclusive', async () => {
+        setView({ filterMode: 'matches' });
+        assert.deepEqual(await titles('items', { from: base + 3 * day, to: base + 5 * day }),
+            ['@Mayor answers questions on housing', 'NOPD budget hearing set']);
+        assert.deepEqual(await titles('changes', { from: base, to: base + day }),
+            ['Council "budget" vote, part 2', '@Mayor answers questions on housing']);
+        assert.deepEqual((await monitor.collectExport('history', { from: base + day, to: base + 2 * day })).map(entry => entry.type), ['digest']);
+    });
+
+    await t.test('applyFilters: false exports everything in range', async () => {
+        setView({ filterMode: 'matches', search: 'nothing matches this' });
+        assert.equal((await titles('items', { applyFilters: false })).length, items.length);
+        assert.equal((await titles('items', { from: base + 4 * day, applyFilters: false })).length, 2);
+    });
+});
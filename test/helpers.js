@@ -0,0 +1,51 @@
+// Shared setup for the node:test suites: a headless monitor over in-memory
+// storage, with linkedom standing in for the browser's DOMParser.
+
+const fs = require('fs');
+const path = require('path');
+const { DOMParser } = require('linkedom');
+
+global.DOMParser = DOMParser;
+const { NolaNewsMonitor } = require('../monitor.js');
+
+// monitor.js logs every step; set NOLA_TEST_VERBOSE=1 to see it
+if (!process.env.NOLA_TEST_VERBOSE) {
+    console.log = () => {};
+    console.error = () => {};
+}
+
+class MemoryStorage {
+    constructor(data = {}) {
+        this.data = { ...data };
+    }
+
+    getItem(key) {
+        return Object.prototype.hasOwnProperty.call(this.data, key) ? this.data[key] : null;
+    }
+
+    setItem(key, value) {
+        this.data[key] = String(value);
+    }
+
+    removeItem(key) {
+        delete this.data[key];
+    }
+}
+
+function createMonitor(storage = new MemoryStorage()) {
+    return new NolaNewsMonitor({ headless: true, storage, proxies: [''] });
+}
+
+function readFixture(name) {
+    return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+// Serves fixture HTML per source id instead of fetching, so runCheck() runs offline
+function serveFixtures(monitor, pages) {
+    monitor.fetchRealNewsData = async source => {
+        if (!(source.id in pages)) throw new Error(`HTTP 404 for ${source.url}`);
+        return monitor.parseSourceContent(pages[source.id], source);
+    };
+}
+
+module.exports = { MemoryStorage, createMonitor, readFixture, serveFixtures };
@@ -0,0 +1,242 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMonitor, readFixture, serveFixtures } = require('./helpers.js');
+
+const calendarSource = monitor => ({
+    ...monitor.getSource('council-meetings'),
+    parser: 'ics',
+    url: 'https://council.nola.gov/meetings/calendar.ics'
+});
+
+const parseCalendar = (monitor, ics = readFixture('council-calendar.ics')) =>
+    monitor.parseSourceContent(ics, calendarSource(monitor));
+
+const parseListing = (monitor, html = readFixture('council-meetings.html')) =>
+    monitor.parseSourceContent(html, monitor.getSource('council-meetings'));
+
+const byTitle = (items, title) => items.find(item => item.title === title);
+
+test('parseICalendar', async (t) => {
+    const monitor = createMonitor();
+    const items = parseCalendar(monitor);
+
+    await t.test('reads every VEVENT and ignores nested alarms', () => {
+        assert.deepEqual(items.map(item => item.title), [
+            'Regular City Council Meeting',
+            'Budget Committee',
+            'Transportation Committee',
+            'Thanksgiving - City Hall closed',
+            'Quality of Life Committee'
+        ]);
+        assert.equal(byTitle(items, 'Regular City Council Meeting').excerpt, 'Regular meeting of the New Orleans City Council.');
+    });
+
+    await t.test('converts zoned times to UTC across daylight saving', () => {
+        const regular = byTitle(items, 'Regular City Council Meeting').meeting;
+        assert.equal(regular.start, Date.UTC(2026, 10, 5, 16, 0));
+        assert.equal(regular.end, Date.UTC(2026, 10, 5, 19, 0));
+        // October is still daylight time in New Orleans
+        assert.equal(byTitle(items, 'Transportation Committee').meeting.start, Date.UTC(2026, 9, 29, 19, 0));
+        // Windows zone names map to IANA ones
+        assert.equal(byTitle(items, 'Budget Committee').meeting.start, Date.UTC(2026, 10, 10, 19, 30));
+        assert.equal(byTitle(items, 'Quality of Life Committee').meeting.start, Date.UTC(2026, 10, 13, 15, 0));
+    });
+
+    await t.test('all-day events start at local midnight', () => {
+        const holiday = byTitle(items, 'Thanksgiving - City Hall closed').meeting;
+        assert.equal(holiday.allDay, true);
+        assert.equal(holiday.start, new Date(2026, 10, 26).getTime());
+    });
+
+    await t.test('unfolds and unescapes text and splits agenda lines out of the description', () => {
+        const regular = byTitle(items, 'Regular City Council Meeting');
+        assert.equal(regular.meeting.location, 'City Council Chamber, 1300 Perdido Street');
+        assert.deepEqual(regular.meeting.agenda.map(entry => `${entry.number}. ${entry.title}`), [
+            '1. Roll call',
+            '2. Ordinance Calendar No. 34,567 - short-term rental permits in Bywater',
+            '3. Resolution R-26-412 on the 2027 operating budget'
+        ]);
+        assert.equal(byTitle(items, 'Budget Committee').excerpt,
+            'Sewerage & Water Board budget hearing; public comment is taken before each presentation.');
+    });
+
+    await t.test('reads STATUS and keeps ids stable', () => {
+        assert.equal(byTitle(items, 'Transportation Committee').meeting.status, 'cancelled');
+        assert.equal(byTitle(items, 'Budget Committee').meeting.status, 'scheduled');
+        // A meeting with its own page is keyed like the listing; the rest by UID
+        assert.equal(byTitle(items, 'Regular City Council Meeting').id, 'council.nola.gov/meetings/regular-council-meeting-2026-11-05');
+        assert.equal(byTitle(items, 'Budget Committee').id, 'meeting-1030@council.nola.gov');
+    });
+
+    await t.test('drops non-web URLs', () => {
+        const qol = byTitle(items, 'Quality of Life Committee');
+        assert.equal(qol.url, 'https://council.nola.gov/meetings/calendar.ics');
+        assert.equal(qol.id, 'meeting-1032@council.nola.gov');
+    });
+
+    await t.test('rejects documents that are not calendars', () => {
+        assert.throws(() => parseCalendar(monitor, readFixture('nola-gov-news.html')), /iCalendar/);
+    });
+});
+
+test('parseAgendaListing', async (t) => {
+    const monitor = createMonitor();
+    const items = parseListing(monitor);
+
+    await t.test('reads each meeting block', () => {
+        assert.deepEqual(items.map(item => item.title), ['Regular City Council Meeting', 'Budget Committee', 'Transportation Committee']);
+        assert.equal(monitor.parseDiagnostics['council-meetings'], 'meetings: .meeting-listing .meeting');
+
+        const regular = items[0];
+        assert.equal(regular.id, 'council.nola.gov/meetings/regular-council-meeting-2026-11-05');
+        assert.equal(regular.meeting.start, new Date(2026, 10, 5, 10, 0).getTime());
+        assert.equal(regular.meeting.location, 'City Council Chamber, 1300 Perdido Street');
+        assert.equal(regular.meeting.agendaUrl, 'https://council.nola.gov/media/agendas/2026-11-05-regular.pdf');
+        assert.equal(regular.meeting.agenda.length, 3);
+        assert.equal(regular.meeting.agenda[2].url, 'https://council.nola.gov/legislation/r-26-412/');
+    });
+
+    await t.test('reads times written into the date line', () => {
+        assert.equal(items[1].meeting.start, new Date(2026, 10, 10, 13, 30).getTime());
+        assert.equal(items[2].meeting.start, new Date(2026, 9, 29, 14, 0).getTime());
+    });
+
+    await t.test('takes a status prefix off the title', () => {
+        assert.equal(items[2].meeting.status, 'cancelled');
+        assert.equal(items[2].title, 'Transportation Committee');
+    });
+
+    await t.test('finds subscribable calendars on the page', () => {
+        assert.deepEqual(monitor.discoverCalendarLinks(readFixture('council-meetings.html'), monitor.getSource('council-meetings')),
+            ['https://council.nola.gov/meetings/calendar.ics']);
+    });
+});
+
+test('meeting changes go through detectChanges', async (t) => {
+    const monitor = createMonitor();
+    monitor.enabledSources = new Set(['council-meetings']);
+    serveFixtures(monitor, { 'council-meetings': readFixture('council-meetings.html') });
+    const baseline = await monitor.runCheck();
+    assert.equal(baseline.items.length, 3);
+
+    const change = (result, title) => result.changes.find(entry => entry.item.title === title);
+
+    await t.test('cancellations, reschedules and new agenda items', async () => {
+        const html = readFixture('council-meetings.html')
+            .replace('<div class="meeting-location">City Council Chamber, 1300 Perdido Street</div>',
+                '<div class="meeting-location">City Council Chamber, 1300 Perdido Street</div><div class="meeting-status">Cancelled</div>')
+            .replace('November 10, 2026 at 1:30 p.m.', 'November 12, 2026 at 1:30 p.m.')
+            .replace('<li>1. Sewerage &amp; Water Board 2027 budget presentation</li>',
+                '<li>1. Sewerage &amp; Water Board 2027 budget presentation</li><li>2. Affordable housing trust fund update</li>');
+        serveFixtures(monitor, { 'council-meetings': html });
+        const result = await monitor.runCheck();
+
+        assert.deepEqual(result.changes.map(entry => entry.type), ['MODIFIED', 'MODIFIED']);
+
+        const cancelled = change(result, 'Regular City Council Meeting');
+        assert.deepEqual(cancelled.diffs.map(diff => diff.field), ['status']);
+        assert.match(cancelled.description, /^Meeting cancelled: "Regular City Council Meeting" on Thu, Nov 5, 2026/);
+
+        const moved = change(result, 'Budget Committee');
+        assert.deepEqual(moved.diffs.map(diff => diff.field), ['when', 'agenda']);
+        assert.match(moved.description, /Meeting rescheduled: "Budget Committee" from Tue, Nov 10, 2026.* to Thu, Nov 12, 2026/);
+        assert.match(moved.description, /1 new agenda item for "Budget Committee"/);
+        assert.deepEqual(moved.diffs[1].agendaChanges, [
+            { type: 'added', entry: { number: '2', title: 'Affordable housing trust fund update', url: null } }
+        ]);
+
+        // Agenda text counts toward keywords, and the summary lists what was added
+        assert.ok(monitor.findKeywords(moved.item).includes('housing'));
+        assert.deepEqual(monitor.describeChange(moved).meeting.addedAgendaItems, ['Affordable housing trust fund update']);
+    });
+
+    await t.test('new and dropped meetings', async () => {
+        const html = readFixture('council-meetings.html')
+            .replace(/<div class="meeting">\s*<h3 class="meeting-title"><a href="\/meetings\/transportation-committee[\s\S]*?<\/div>\s*<\/div>\s*<\/div>/,
+                `<div class="meeting">
+                    <h3 class="meeting-title"><a href="/meetings/special-meeting-2026-11-20/">Special Meeting on Housing</a></h3>
+                    <div class="meeting-date">November 20, 2026 at 9:00 a.m.</div>
+                </div></div>`);
+        serveFixtures(monitor, { 'council-meetings': html });
+        const result = await monitor.runCheck();
+
+        const added = change(result, 'Special Meeting on Housing');
+        assert.equal(added.type, 'NEW');
+        assert.match(added.description, /^New meeting: "Special Meeting on Housing" on Fri, Nov 20, 2026/);
+        const removed = change(result, 'Transportation Committee');
+        assert.equal(removed.type, 'REMOVED');
+        assert.match(removed.description, /^Meeting no longer listed/);
+    });
+});
+
+test('weekly meetings stay separate stories', () => {
+    const monitor = createMonitor();
+    const [budget] = parseCalendar(monitor).filter(item => item.title === 'Budget Committee');
+    const nextWeek = { ...budget, id: 'meeting-1040@council.nola.gov', meeting: { ...budget.meeting, start: budget.meeting.start + 7 * 24 * 60 * 60 * 1000 } };
+    nextWeek.timestamp = nextWeek.meeting.start;
+    assert.equal(monitor.clusterItems([budget, nextWeek]).length, 2);
+    assert.equal(monitor.clusterItems([budget, { ...budget, id: 'copy', source: 'Other calendar' }]).length, 1);
+});
+
+test('meeting details are escaped when rendered', () => {
+    const monitor = createMonitor();
+    const [meeting] = parseListing(monitor);
+    const html = monitor.renderMeetingDetails({ ...meeting.meeting, agenda: [{ number: '1', title: '<img src=x onerror=alert(1)>', url: 'javascript:alert(1)' }] });
+    assert.ok(!html.includes('<img'));
+    assert.ok(!html.includes('javascript:'));
+    assert.match(html, /📋 1 agenda item</);
+});
+
+test('upcoming meetings export', async (t) => {
+    const monitor = createMonitor();
+    monitor.enabledSources = new Set(['council-meetings']);
+    monitor.currentNews = parseCalendar(monitor);
+    const from = Date.UTC(2026, 9, 1);
+
+    await t.test('only meetings that have not ended, soonest first', async () => {
+        const rows = await monitor.collectExport('meetings', { from: Date.UTC(2026, 10, 1), applyFilters: false });
+        assert.deepEqual(rows.map(row => row.title),
+            ['Regular City Council Meeting', 'Budget Committee', 'Quality of Life Committee', 'Thanksgiving - City Hall closed']);
+        assert.equal(rows[0].key, 'council-meetings:council.nola.gov/meetings/regular-council-meeting-2026-11-05');
+        assert.equal(rows[0].startsAt, Date.UTC(2026, 10, 5, 16, 0));
+    });
+
+    await t.test('the keyword filter applies to the calendar feed', async () => {
+        monitor.viewOptions.filterMode = 'matches';
+        const rows = await monitor.collectExport('meetings', { from });
+        assert.deepEqual(rows.map(row => row.title), ['Regular City Council Meeting', 'Budget Committee']);
+        monitor.viewOptions.filterMode = 'all';
+    });
+
+    await t.test('renders a subscribable iCalendar file', async () => {
+        const file = await monitor.buildExport('meetings', 'ics', { from, applyFilters: false });
+        assert.equal(file.mimeType, 'text/calendar');
+        assert.match(file.filename, /^nola-monitor-meetings-.*\.ics$/);
+
+        const lines = file.content.split('\r\n');
+        assert.equal(lines[0], 'BEGIN:VCALENDAR');
+        assert.equal(lines.at(-1), '');
+        assert.ok(lines.every(line => Buffer.byteLength(line) <= 75), 'lines are folded at 75 octets');
+        assert.equal(lines.filter(line => line === 'BEGIN:VEVENT').length, 5);
+
+        const unfolded = file.content.replace(/\r\n /g, '');
+        assert.match(unfolded, /UID:council-meetings:council\.nola\.gov\/meetings\/regular-council-meeting-2026-11-05@nola-monitor\r\n/);
+        assert.match(unfolded, /DTSTART:20261105T160000Z\r\nDTEND:20261105T190000Z\r\n/);
+        assert.match(unfolded, /LOCATION:City Council Chamber\\, 1300 Perdido Street\r\n/);
+        assert.match(unfolded, /DTSTART;VALUE=DATE:20261126\r\nDTEND;VALUE=DATE:20261127\r\n/);
+        assert.match(unfolded, /SUMMARY:Transportation Committee\r\n(.+\r\n)*?STATUS:CANCELLED\r\n/);
+        assert.ok(!unfolded.includes('javascript:'));
+
+        // What we publish reads back as the same meetings
+        const reparsed = monitor.parseICalendar(file.content, calendarSource(monitor));
+        assert.deepEqual(reparsed.map(item => item.meeting.start), monitor.currentNews
+            .map(item => item.meeting.start).sort((a, b) => a - b));
+        assert.equal(byTitle(reparsed, 'Transportation Committee').meeting.status, 'cancelled');
+    });
+
+    await t.test('CSV has the meeting columns and other datasets refuse ics', async () => {
+        const csv = await monitor.buildExport('meetings', 'csv', { from, applyFilters: false });
+        assert.equal(csv.content.split('\r\n')[0], monitor.exportColumns.meetings.join(','));
+        await assert.rejects(() => monitor.buildExport('changes', 'ics'), /only available for meetings/);
+    });
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMonitor, readFixture } = require('./helpers.js');
+
+test('parseNewsFromHTML on the nola.gov listing', async (t) => {
+    const monitor = createMonitor();
+    const items = monitor.parseNewsFromHTML(readFixture('nola-gov-news.html'), monitor.getSource('nola-gov'));
+    const byTitle = title => items.find(item => item.title === title);
+
+    await t.test('falls back to the headline link scan and records it', () => {
+        assert.equal(items.length, 4);
+        assert.match(monitor.parseDiagnostics['nola-gov'], /^links: /);
+    });
+
+    await t.test('drops titles of three characters or less', () => {
+        assert.equal(byTitle('All'), undefined);
+    });
+
+    await t.test('resolves relative links against the source', () => {
+        assert.equal(byTitle('Mayor Announces 2026 Budget Hearings').url,
+            'https://nola.gov/next/news/mayor-announces-2026-budget-hearings/');
+    });
+
+    await t.test('rewrites localhost links to the source origin', () => {
+        assert.equal(byTitle('Street Closures for Bayou Boogaloo').url,
+            'https://nola.gov/next/news/street-closures-for-bayou-boogaloo/');
+    });
+
+    await t.test('repairs links without a leading slash', () => {
+        assert.equal(byTitle('Housing Authority Board Meeting Rescheduled').url,
+            'https://nola.gov/next/news/housing-authority-board-meeting/');
+    });
+
+    await t.test('leaves absolute nopdnews.com links alone', () => {
+        assert.equal(byTitle('Arrest Made in Seventh Ward Shooting').url,
+            'https://nopdnews.com/post/arrest-made-in-seventh-ward-shooting/');
+    });
+
+    await t.test('extracts dates, including abbreviated months', () => {
+        const budget = byTitle('Mayor Announces 2026 Budget Hearings');
+        assert.equal(budget.date, 'August 7, 2025');
+        assert.equal(budget.timestamp, new Date(2025, 7, 7).getTime());
+        assert.equal(byTitle('Arrest Made in Seventh Ward Shooting').timestamp, new Date(2025, 7, 4).getTime());
+    });
+
+    await t.test('marks undated items as recent with a usable timestamp', () => {
+        const undated = byTitle('Housing Authority Board Meeting Rescheduled');
+        assert.equal(undated.date, 'Recent');
+        assert.ok(Number.isFinite(undated.timestamp));
+    });
+
+    await t.test('extracts the excerpt and the publisher line', () => {
+        const arrest = byTitle('Arrest Made in Seventh Ward Shooting');
+        assert.equal(arrest.excerpt, "Detectives arrested a 24-year-old man in connection with Sunday's shooting.");
+        assert.equal(arrest.publisher, 'NOPD News');
+        assert.equal(arrest.source, 'City of New Orleans');
+        assert.equal(arrest.sourceId, 'nola-gov');
+        assert.equal(byTitle('Housing Authority Board Meeting Rescheduled').excerpt, 'No description available');
+    });
+
+    await t.test('derives stable ids from the URL', () => {
+        const again = monitor.parseNewsFromHTML(readFixture('nola-gov-news.html'), monitor.getSource('nola-gov'));
+        assert.deepEqual(again.map(item => item.id), items.map(item => item.id));
+        assert.equal(new Set(items.map(item => item.id)).size, items.length);
+    });
+});
+
+test('parseNewsFromHTML with a selector profile', async (t) => {
+    const monitor = createMonitor();
+    const items = monitor.parseNewsFromHTML(readFixture('nopd-news.html'), monitor.getSource('nopd-news'));
+
+    await t.test('uses the site item selector and drops duplicate links', () => {
+        assert.equal(monitor.parseDiagnostics['nopd-news'], 'items: article.post');
+        assert.deepEqual(items.map(item => item.title), ['Traffic Advisory for Saturday Parade', 'Missing Juvenile Located Safe']);
+    });
+
+    await t.test('prefers the datetime attribute and reads MM/DD/YYYY text', () => {
+        assert.equal(items[0].timestamp, Date.parse('2025-08-09T09:15:00-05:00'));
+        assert.equal(items[1].timestamp, new Date(2025, 7, 8).getTime());
+        assert.equal(items[1].date, 'August 8, 2025');
+    });
+
+    await t.test('takes the excerpt from the summary', () => {
+        assert.equal(items[0].excerpt, 'Expect rolling closures along St. Charles Avenue from noon until the parade ends.');
+        assert.equal(items[1].url, 'https://nopdnews.com/post/missing-juvenile-located/');
+    });
+});
+
+test('a page without headlines parses to no items', () => {
+    const monitor = createMonitor();
+    assert.deepEqual(monitor.parseNewsFromHTML(readFixture('nola-gov-redesign.html'), monitor.getSource('nola-gov')), []);
+});
+
+test('parseDateText', async (t) => {
+    const monitor = createMonitor();
+
+    await t.test('reads date-only ISO values as local days', () => {
+        assert.equal(monitor.parseDateText('2025-08-07').timestamp, new Date(2025, 7, 7).getTime());
+    });
+
+    await t.test('keeps the time zone of full ISO timestamps', () => {
+        assert.equal(monitor.parseDateText('2025-08-07T14:30:00Z').timestamp, Date.UTC(2025, 7, 7, 14, 30));
+    });
+
+    await t.test('returns null instead of an invalid date', () => {
+        assert.equal(monitor.parseDateText('Dec 32, 2025'), null);
+        assert.equal(monitor.parseDateText('no date here'), null);
+    });
+});
@@ -0,0 +1,181 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { NolaNewsMonitor } = require('../monitor.js');
+const { MemoryStorage, createMonitor, readFixture, serveFixtures } = require('./helpers.js');
+
+const withPlugins = (...plugins) =>
+    new NolaNewsMonitor({ headless: true, storage: new MemoryStorage(), proxies: [''], plugins });
+
+const budgetEdit = () => readFixture('nola-gov-news.html')
+    .replace('Mayor Announces 2026 Budget Hearings', 'Mayor Announces 2026 Budget Hearing Dates');
+
+test('plugin registration', async (t) => {
+    await t.test('rejects unknown hooks and nameless plugins', () => {
+        const monitor = createMonitor();
+        assert.throws(() => monitor.registerPlugin({ hooks: {} }), /needs at least a name/);
+        assert.throws(() => monitor.registerPlugin({ name: 'typo', hooks: { afterFetch() {} } }),
+            /Unknown hook\(s\) afterFetch in plugin typo/);
+        assert.throws(() => monitor.registerPlugin({ name: 'bad', hooks: { beforeFetch: 'nope' } }), /must be functions/);
+        assert.deepEqual(monitor.plugins, []);
+    });
+
+    await t.test('re-registering a name replaces the plugin', () => {
+        const monitor = withPlugins({ name: 'desk', hooks: {} });
+        monitor.registerPlugin({ name: 'desk', hooks: { checkFailed() {} } });
+        assert.equal(monitor.plugins.length, 1);
+        assert.ok(monitor.plugins[0].hooks.checkFailed);
+        monitor.unregisterPlugin('desk');
+        assert.deepEqual(monitor.plugins, []);
+    });
+
+    await t.test('custom change types get labels everywhere', () => {
+        const monitor = withPlugins({ name: 'council', changeTypes: { VOTE: { label: 'Vote scheduled', emoji: '🗳️' } } });
+        assert.equal(monitor.getChangeTypeLabel('VOTE', true), '🗳️ Vote scheduled');
+        assert.equal(monitor.getChangeTypeLabel('MODIFIED'), 'Edited');
+        assert.equal(monitor.getChangeTypeLabel('UNREGISTERED'), 'UNREGISTERED');
+    });
+});
+
+test('beforeFetch can skip a source for one round', async () => {
+    const monitor = withPlugins({
+        name: 'skip-nopd',
+        hooks: { beforeFetch(event) { event.sources = event.sources.filter(source => source.id !== 'nopd-news'); } }
+    });
+    monitor.enabledSources = new Set(['nola-gov', 'nopd-news']);
+    serveFixtures(monitor, { 'nola-gov': readFixture('nola-gov-news.html') });
+
+    const result = await monitor.runCheck();
+    assert.deepEqual(result.failedSources, []);
+    assert.ok(result.items.every(item => item.sourceId === 'nola-gov'));
+});
+
+test('afterParse transforms items before they are diffed', async () => {
+    const monitor = withPlugins({
+        name: 'no-closures',
+        hooks: {
+            afterParse(event) {
+                event.items = event.items
+                    .filter(item => !/street closures/i.test(item.title))
+                    .map(item => ({ ...item, title: item.title.toUpperCase() }));
+            }
+        }
+    });
+    monitor.enabledSources = new Set(['nola-gov']);
+    serveFixtures(monitor, { 'nola-gov': readFixture('nola-gov-news.html') });
+    await monitor.runCheck();
+
+    assert.ok(monitor.currentNews.length > 0);
+    assert.ok(monitor.currentNews.every(item => item.title === item.title.toUpperCase()));
+    assert.ok(!monitor.currentNews.some(item => /STREET CLOSURES/.test(item.title)));
+    monitor.currentNews.forEach(item => assert.equal(item.fingerprint, monitor.fingerprintItem(item)));
+
+    // Same page again: the transformed items are stable, so nothing changed
+    const result = await monitor.runCheck();
+    assert.deepEqual(result.changes, []);
+});
+
+test('changesDetected adds change types and vetoes alerts', async () => {
+    let delivered = [];
+    const monitor = withPlugins({
+        name: 'council-desk',
+        changeTypes: { BUDGET: { label: 'Budget story', emoji: '💰' } },
+        hooks: {
+            changesDetected(event) {
+                event.changes
+                    .filter(change => change.type === 'MODIFIED')
+                    .forEach(change => { change.muted = true; });
+                event.changes.push(...event.changes
+                    .filter(change => /budget/i.test(change.item.title))
+                    .map(change => ({ type: 'BUDGET', item: change.item, description: `Budget: "${change.item.title}"` })));
+            }
+        },
+        deliver(alerts) {
+            delivered = alerts;
+        }
+    });
+    monitor.enabledSources = new Set(['nola-gov']);
+    monitor.webhooks = [{ id: 'hook', name: 'Desk', url: 'https://hooks.example/desk', format: 'json', enabled: true, changeTypes: ['MODIFIED', 'BUDGET'] }];
+    let sent = [];
+    monitor.sendWebhooks = async changes => {
+        sent = changes;
+        return [];
+    };
+
+    serveFixtures(monitor, { 'nola-gov': readFixture('nola-gov-news.html') });
+    const baseline = await monitor.runCheck();
+    assert.deepEqual(delivered, [], 'the baseline check is not delivered');
+    assert.deepEqual(baseline.pluginDeliveries, []);
+
+    serveFixtures(monitor, { 'nola-gov': budgetEdit() });
+    const result = await monitor.runCheck();
+
+    assert.deepEqual(result.changes.map(change => change.type), ['MODIFIED', 'BUDGET']);
+    assert.deepEqual(result.alerts.map(change => change.type), ['BUDGET']);
+    assert.deepEqual(sent.map(change => change.type), ['BUDGET']);
+    assert.deepEqual(delivered.map(change => change.type), ['BUDGET']);
+    assert.deepEqual(result.pluginDeliveries, [{ plugin: 'council-desk', ok: true }]);
+    assert.deepEqual(monitor.getChangeLog().map(entry => entry.type), ['BUDGET']);
+
+    const payload = monitor.buildWebhookPayload({ format: 'slack' }, [monitor.describeChange(result.alerts[0])]);
+    assert.match(payload.blocks[1].text.text, /^💰 Budget story/);
+});
+
+test('itemScored can adjust the score', () => {
+    const monitor = withPlugins({
+        name: 'flood-desk',
+        hooks: {
+            itemScored(event) {
+                if (/flood/i.test(event.item.title)) {
+                    event.newsworthiness = { ...event.newsworthiness, score: 5, level: 'high' };
+                    event.newsworthiness.breakdown = [...event.newsworthiness.breakdown, { points: 2, label: 'flood desk' }];
+                }
+            }
+        }
+    });
+    const item = { title: 'Flood gates closing on Tuesday', excerpt: '', timestamp: Date.now() - 48 * 60 * 60 * 1000, sourceId: 'nola-gov' };
+    const newsworthiness = monitor.calculateNewsworthiness(item, []);
+    assert.equal(newsworthiness.score, 5);
+    assert.equal(newsworthiness.level, 'high');
+    assert.equal(newsworthiness.breakdown.at(-1).label, 'flood desk');
+});
+
+test('checkFailed fires per source and for the whole check', async () => {
+    const failures = [];
+    const monitor = withPlugins({
+        name: 'pager',
+        hooks: { checkFailed(event) { failures.push(event.source ? event.source.id : null); } }
+    });
+    monitor.enabledSources = new Set(['nola-gov', 'nopd-news']);
+
+    serveFixtures(monitor, { 'nola-gov': readFixture('nola-gov-news.html') });
+    await monitor.runCheck();
+    assert.deepEqual(failures, ['nopd-news']);
+
+    serveFixtures(monitor, {});
+    await assert.rejects(() => monitor.runCheck(), /Unable to fetch news data/);
+    assert.deepEqual(failures, ['nopd-news', 'nola-gov', 'nopd-news', null]);
+});
+
+test('a throwing plugin never fails the check', async () => {
+    const calls = [];
+    const monitor = withPlugins(
+        {
+            name: 'broken',
+            hooks: {
+                afterParse() { throw new Error('boom'); },
+                changesDetected: async () => { throw new Error('boom'); }
+            },
+            deliver: async () => { throw new Error('endpoint down'); }
+        },
+        { name: 'after-broken', hooks: { changesDetected() { calls.push('ran'); } } }
+    );
+    monitor.enabledSources = new Set(['nola-gov']);
+    serveFixtures(monitor, { 'nola-gov': readFixture('nola-gov-news.html') });
+    await monitor.runCheck();
+
+    serveFixtures(monitor, { 'nola-gov': budgetEdit() });
+    const result = await monitor.runCheck();
+    assert.equal(result.changes.length, 1);
+    assert.deepEqual(calls, ['ran', 'ran']);
+    assert.deepEqual(result.pluginDeliveries, [{ plugin: 'broken', ok: false, error: 'endpoint down' }]);
+});
@@ -0,0 +1,172 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createProxyServer } = require('../proxy-server.js');
+
+const listen = server => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+const close = server => new Promise(done => {
+    server.closeAllConnections();
+    server.close(done);
+});
+
+// An allowlisted upstream: /small answers at once, /declared claims 10 MB and stalls,
+// /endless streams without a content-length until the client hangs up
+function startUpstream() {
+    const stats = { endlessBytes: 0, endlessClosed: false };
+    const server = http.createServer((req, res) => {
+        if (req.url === '/small') {
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            return res.end('<p>Budget hearing</p>');
+        }
+        if (req.url === '/declared') {
+            res.writeHead(200, { 'Content-Length': String(10 * 1024 * 1024) });
+            return res.write('x'.repeat(100));
+        }
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        const timer = setInterval(() => {
+            stats.endlessBytes += 512;
+            res.write('x'.repeat(512));
+        }, 2);
+        res.on('close', () => {
+            clearInterval(timer);
+            stats.endlessClosed = true;
+        });
+    });
+    return { server, stats };
+}
+
+test('the proxy stops reading an upstream body past maxBodyBytes', async (t) => {
+    const upstream = startUpstream();
+    const upstreamPort = await listen(upstream.server);
+    const proxy = createProxyServer({ allowlist: ['127.0.0.1'], maxBodyBytes: 4096, timeoutMs: 2000 });
+    const proxyPort = await listen(proxy);
+    t.after(() => Promise.all([close(upstream.server), close(proxy)]));
+    const get = path => fetch(`http://127.0.0.1:${proxyPort}/proxy?url=${encodeURIComponent(`http://127.0.0.1:${upstreamPort}${path}`)}`);
+
+    await t.test('passes a small body through', async () => {
+        const response = await get('/small');
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('content-type'), 'text/html');
+        assert.equal(await response.text(), '<p>Budget hearing</p>');
+    });
+
+    await t.test('rejects on content-length without waiting for the body', async () => {
+        const started = Date.now();
+        const response = await get('/declared');
+        assert.equal(response.status, 502);
+        assert.equal((await response.json()).error, 'Upstream response is larger than 4096 bytes');
+        assert.ok(Date.now() - started < 1000);
+    });
+
+    await t.test('aborts a streamed body once the running count passes the limit', async () => {
+        const response = await get('/endless');
+        assert.equal(response.status, 502);
+        assert.match((await response.json()).error, /larger than 4096 bytes/);
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.equal(upstream.stats.endlessClosed, true);
+        assert.ok(upstream.stats.endlessBytes < 64 * 1024);
+    });
+});
+
+test('every redirect hop is checked against the allowlist before it is fetched', async (t) => {
+    // Reachable at localhost, which is not on the allowlist: it must never see a request
+    const offList = { hits: 0 };
+    const offListServer = http.createServer((req, res) => {
+        offList.hits++;
+        res.end('instance credentials');
+    });
+    await new Promise(resolve => offListServer.listen(0, resolve));
+    const offListUrl = `http://localhost:${offListServer.address().port}/latest/meta-data/`;
+
+    const upstream = http.createServer((req, res) => {
+        const redirects = {
+            '/moved': '/small',
+            '/to-metadata': offListUrl,
+            '/to-file': 'file:///etc/passwd',
+            '/loop': '/loop'
+        };
+        if (redirects[req.url]) {
+            res.writeHead(302, { Location: redirects[req.url] });
+            return res.end();
+        }
+        res.writeHead(200, { 'Content-Type': 'text/plain', 'Content-Length': '2' });
+        res.end(req.method === 'HEAD' ? undefined : 'ok');
+    });
+    const upstreamPort = await listen(upstream);
+    const proxy = createProxyServer({ allowlist: ['127.0.0.1'], maxRedirects: 3 });
+    const proxyPort = await listen(proxy);
+    t.after(() => Promise.all([close(upstream), close(offListServer), close(proxy)]));
+    const get = (path, method = 'GET') => fetch(`http://127.0.0.1:${proxyPort}/proxy?url=${encodeURIComponent(`http://127.0.0.1:${upstreamPort}${path}`)}`, { method });
+
+    await t.test('follows a redirect that stays on the allowlist', async () => {
+        const response = await get('/moved');
+        assert.equal(response.status, 200);
+        assert.equal(await response.text(), 'ok');
+    });
+
+    await t.test('refuses an off-allowlist Location without requesting it', async () => {
+        const response = await get('/to-metadata');
+        assert.equal(response.status, 403);
+        assert.equal((await response.json()).error, 'Redirected to localhost, which is not on the allowlist');
+        assert.equal((await get('/to-metadata', 'HEAD')).status, 403);
+        assert.equal(offList.hits, 0);
+    });
+
+    await t.test('refuses other schemes and too many hops', async () => {
+        const file = await get('/to-file');
+        assert.equal(file.status, 403);
+        assert.match((await file.json()).error, /file: URL/);
+        const loop = await get('/loop');
+        assert.equal(loop.status, 502);
+        assert.equal((await loop.json()).error, 'Upstream redirected more than 3 times');
+    });
+});
+
+test('a fetch without a body stream is still held to maxBodyBytes', async (t) => {
+    const fakeFetch = async url => ({
+        ok: true,
+        status: 200,
+        url,
+        headers: new Headers({ 'content-type': 'text/plain' }),
+        arrayBuffer: async () => new TextEncoder().encode(url.endsWith('/big') ? 'x'.repeat(200) : 'ok').buffer
+    });
+    const proxy = createProxyServer({ allowlist: ['nola.gov'], maxBodyBytes: 100, fetch: fakeFetch });
+    const port = await listen(proxy);
+    t.after(() => close(proxy));
+    const get = target => fetch(`http://127.0.0.1:${port}/proxy?url=${encodeURIComponent(target)}`);
+
+    assert.equal(await (await get('https://nola.gov/ok')).text(), 'ok');
+    assert.equal((await get('https://nola.gov/big')).status, 502);
+});
+
+test('the monitor gives up on a proxy that hangs and tries the next one', async (t) => {
+    const { NolaNewsMonitor } = require('../monitor.js');
+    const { MemoryStorage } = require('./helpers.js');
+    // /hang never answers, /stall sends headers and part of the body, /ok answers at once
+    const server = http.createServer((req, res) => {
+        if (req.url.startsWith('/hang')) return;
+        if (req.url.startsWith('/stall')) {
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            return res.write('<p>Budget');
+        }
+        res.writeHead(200, { 'Content-Type': 'application/pdf', 'Content-Length': '11' });
+        res.end(req.method === 'HEAD' ? undefined : '<p>ok</p>\n\n');
+    });
+    const port = await listen(server);
+    t.after(() => close(server));
+    const prefix = path => `http://127.0.0.1:${port}${path}?url=`;
+    const monitor = new NolaNewsMonitor({
+        headless: true,
+        storage: new MemoryStorage(),
+        proxies: [prefix('/hang'), prefix('/stall'), prefix('/ok')],
+        fetchTimeoutMs: 100
+    });
+
+    assert.equal(await monitor.fetchThroughProxies('https://nola.gov/next/news/'), '<p>ok</p>\n\n');
+    assert.equal((await monitor.fetchHeadersThroughProxies('https://nola.gov/budget.pdf')).get('content-length'), '11');
+
+    monitor.proxies = [prefix('/hang')];
+    await assert.rejects(monitor.fetchHeadersThroughProxies('https://nola.gov/budget.pdf'), /Timed out after 100ms/);
+    monitor.proxies = [prefix('/stall')];
+    await assert.rejects(monitor.fetchThroughProxies('https://nola.gov/next/news/'), /Unable to fetch/);
+});
@@ -0,0 +1,173 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryStorage, createMonitor } = require('./helpers.js');
+
+const MINUTE = 60 * 1000;
+
+function withRandom(value, fn) {
+    const random = Math.random;
+    Math.random = () => value;
+    try {
+        return fn();
+    } finally {
+        Math.random = random;
+    }
+}
+
+test('getNextCheckDelay', async (t) => {
+    const monitor = createMonitor();
+    monitor.checkIntervalMinutes = 15;
+
+    await t.test('uses the interval, jittered by up to 10%', () => {
+        assert.equal(withRandom(0.5, () => monitor.getNextCheckDelay(0)), 15 * MINUTE);
+        assert.equal(withRandom(0, () => monitor.getNextCheckDelay(0)), 13.5 * MINUTE);
+        assert.equal(withRandom(1, () => monitor.getNextCheckDelay(0)), 16.5 * MINUTE);
+    });
+
+    await t.test('doubles after each failure up to the cap', () => {
+        assert.equal(withRandom(0.5, () => monitor.getNextCheckDelay(1)), 30 * MINUTE);
+        assert.equal(withRandom(0.5, () => monitor.getNextCheckDelay(3)), 120 * MINUTE);
+        assert.equal(withRandom(0.5, () => monitor.getNextCheckDelay(10)), 240 * MINUTE);
+    });
+
+    await t.test('never backs off below a long interval', () => {
+        monitor.checkIntervalMinutes = 360;
+        assert.equal(withRandom(0.5, () => monitor.getNextCheckDelay(2)), 360 * MINUTE);
+    });
+});
+
+test('getNextAllowedTime', async (t) => {
+    await t.test('allows any time without a schedule', () => {
+        const monitor = createMonitor();
+        const time = new Date(2025, 7, 9, 3, 17).getTime();
+        assert.equal(monitor.getNextAllowedTime(time), time);
+    });
+
+    await t.test('moves checks out of quiet hours that wrap past midnight', () => {
+        const monitor = createMonitor();
+        monitor.quietHours = { start: '22:00', end: '06:00' };
+        assert.equal(monitor.getNextAllowedTime(new Date(2025, 7, 8, 23, 30).getTime()), new Date(2025, 7, 9, 6, 0).getTime());
+        assert.equal(monitor.getNextAllowedTime(new Date(2025, 7, 9, 5, 59, 30).getTime()), new Date(2025, 7, 9, 6, 0).getTime());
+        assert.equal(monitor.getNextAllowedTime(new Date(2025, 7, 9, 21, 59).getTime()), new Date(2025, 7, 9, 21, 59).getTime());
+    });
+
+    await t.test('waits for the next weekday morning with business hours only', () => {
+        const monitor = createMonitor();
+        monitor.businessHoursOnly = true;
+        // Friday August 8, 2025 at 18:30 -> Monday August 11 at 08:00
+        assert.equal(monitor.getNextAllowedTime(new Date(2025, 7, 8, 18, 30).getTime()), new Date(2025, 7, 11, 8, 0).getTime());
+        assert.equal(monitor.getNextAllowedTime(new Date(2025, 7, 11, 12, 0).getTime()), new Date(2025, 7, 11, 12, 0).getTime());
+    });
+
+    await t.test('returns null when the schedule never allows a check', () => {
+        const monitor = createMonitor();
+        monitor.businessHoursOnly = true;
+        monitor.quietHours = { start: '07:00', end: '19:00' };
+        assert.equal(monitor.getNextAllowedTime(Date.now()), null);
+    });
+});
+
+test('checkForUpdates runs one check at a time', async () => {
+    const monitor = createMonitor();
+    let runs = 0;
+    let finish;
+    monitor.performCheck = () => {
+        runs++;
+        return new Promise(resolve => {
+            finish = resolve;
+        });
+    };
+
+    const first = monitor.checkForUpdates();
+    const second = monitor.checkForUpdates();
+    finish({ items: [] });
+    assert.deepEqual(await first, { items: [] });
+    assert.deepEqual(await second, { items: [] });
+    assert.equal(runs, 1);
+    assert.equal(monitor.checkInFlight, null);
+});
+
+test('checkForUpdates refreshes the auto-check status once the check settles', async () => {
+    for (const autoCheckEnabled of [false, true]) {
+        const monitor = createMonitor();
+        monitor.autoCheckEnabled = autoCheckEnabled;
+        monitor.scheduleNextCheck = () => {};
+        const seen = [];
+        monitor.updateAutoStatus = () => seen.push(monitor.checkInFlight !== null);
+        let finish;
+        monitor.performCheck = () => new Promise(resolve => {
+            finish = resolve;
+        });
+
+        const check = monitor.checkForUpdates();
+        monitor.checkForUpdates();
+        finish(null);
+        await check;
+        assert.deepEqual(seen, [true, false], `auto-check ${autoCheckEnabled ? 'on' : 'off'}`);
+    }
+});
+
+test('auto-check', async (t) => {
+    await t.test('catches up right away when the last check is overdue', () => {
+        const storage = new MemoryStorage();
+        const monitor = createMonitor(storage);
+        monitor.lastCheck = Date.now() - 40 * MINUTE;
+        monitor.startAutoCheck();
+        try {
+            assert.equal(monitor.autoCheckEnabled, true);
+            assert.ok(monitor.nextCheckAt <= Date.now());
+            assert.equal(JSON.parse(storage.getItem('nola_monitor_settings')).autocheck.enabled, true);
+        } finally {
+            monitor.stopAutoCheck();
+        }
+        assert.equal(monitor.autoCheckEnabled, false);
+        assert.equal(monitor.nextCheckAt, null);
+    });
+
+    await t.test('resumes the countdown from the last check', () => {
+        const monitor = createMonitor();
+        const lastCheck = Date.now() - 5 * MINUTE;
+        monitor.lastCheck = lastCheck;
+        monitor.startAutoCheck();
+        try {
+            assert.equal(monitor.nextCheckAt, lastCheck + 15 * MINUTE);
+        } finally {
+            monitor.stopAutoCheck();
+        }
+    });
+
+    await t.test('backs off after failed checks and resets after a success', async () => {
+        const monitor = createMonitor();
+        monitor.autoCheckEnabled = true;
+        const results = [null, null, { items: [] }];
+        monitor.performCheck = async () => results.shift();
+
+        await monitor.checkForUpdates();
+        await monitor.checkForUpdates();
+        assert.equal(monitor.autoCheckFailures, 2);
+        assert.ok(monitor.nextCheckAt - Date.now() > 50 * MINUTE);
+        await monitor.checkForUpdates();
+        assert.equal(monitor.autoCheckFailures, 0);
+        assert.ok(monitor.nextCheckAt - Date.now() < 17 * MINUTE);
+    });
+
+    await t.test('saves quiet hours and business hours with the interval', () => {
+        const storage = new MemoryStorage();
+        const monitor = createMonitor(storage);
+        monitor.quietHours = { start: '22:00', end: '06:00' };
+        monitor.businessHoursOnly = true;
+        monitor.setCheckInterval('30');
+
+        const reloaded = createMonitor(storage);
+        assert.equal(reloaded.checkIntervalMinutes, 30);
+        assert.deepEqual(reloaded.quietHours, { start: '22:00', end: '06:00' });
+        assert.equal(reloaded.businessHoursOnly, true);
+        assert.equal(reloaded.autoCheckEnabled, false);
+    });
+
+    await t.test('rejects malformed quiet hours in saved settings', () => {
+        const monitor = createMonitor();
+        const { errors } = monitor.validateSettings({ version: 2, autocheck: { enabled: true, quietHours: { start: '25:00', end: '06:00' } } });
+        assert.deepEqual(errors, ['autocheck: "25:00" is not a time (use HH:MM)']);
+    });
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMonitor } = require('./helpers.js');
+
+const HOUR = 60 * 60 * 1000;
+
+function makeItem(overrides = {}) {
+    return {
+        id: 'item',
+        title: 'Library hours change',
+        excerpt: 'Branches will open later on Mondays.',
+        url: 'https://nopdnews.com/post/item/',
+        source: 'NOPD News',
+        sourceId: 'nopd-news',
+        timestamp: Date.now() - 72 * HOUR,
+        ...overrides
+    };
+}
+
+function score(monitor, item) {
+    return monitor.calculateNewsworthiness(item, monitor.findKeywords(item));
+}
+
+test('calculateNewsworthiness', async (t) => {
+    const monitor = createMonitor();
+
+    await t.test('gives an old item with nothing of note the base score', () => {
+        const result = score(monitor, makeItem());
+        assert.equal(result.score, 1);
+        assert.equal(result.level, 'low');
+        assert.deepEqual(monitor.formatScoreBreakdown(result.breakdown), ['+1 base score']);
+    });
+
+    await t.test('adds keyword, source, title and recency points', () => {
+        const result = score(monitor, makeItem({
+            title: 'Council sets budget hearing',
+            source: 'City of New Orleans',
+            sourceId: 'nola-gov',
+            timestamp: Date.now() - HOUR
+        }));
+        assert.deepEqual(monitor.formatScoreBreakdown(result.breakdown), [
+            '+1 base score',
+            '+1.5 keyword: budget',
+            '+1.5 keyword: council',
+            '+0.5 source: City of New Orleans',
+            '+1 budget/council in title',
+            '+1 recent < 6h'
+        ]);
+        assert.equal(result.rawScore, 6.5);
+        assert.equal(result.score, 5);
+        assert.equal(result.level, 'high');
+    });
+
+    await t.test('matches keyword aliases', () => {
+        assert.deepEqual(monitor.findKeywords(makeItem({ title: 'NOPD announces arrest' })), ['police']);
+    });
+
+    await t.test('uses the 24 hour recency window after six hours', () => {
+        const result = score(monitor, makeItem({ timestamp: Date.now() - 12 * HOUR }));
+        assert.deepEqual(monitor.formatScoreBreakdown(result.breakdown), ['+1 base score', '+0.5 recent < 24h']);
+        assert.equal(result.score, 2);
+    });
+});
+
+test('scoring config', async (t) => {
+    await t.test('applies per-keyword weights and penalties', () => {
+        const monitor = createMonitor();
+        monitor.scoringConfig = monitor.validateScoringConfig({
+            keywordWeights: { police: 3 },
+            titleRules: [{ pattern: 'reminder', weight: -2, label: 'routine reminder' }]
+        });
+        const result = score(monitor, makeItem({ title: 'Reminder: police auction Saturday' }));
+        assert.deepEqual(monitor.formatScoreBreakdown(result.breakdown), ['+1 base score', '+3 keyword: police', '-2 routine reminder']);
+        assert.equal(result.score, 2);
+    });
+
+    await t.test('never scores below 1', () => {
+        const monitor = createMonitor();
+        monitor.scoringConfig = monitor.validateScoringConfig({ baseScore: -10 });
+        assert.equal(score(monitor, makeItem()).score, 1);
+    });
+
+    await t.test('rejects invalid settings with a readable error', () => {
+        const monitor = createMonitor();
+        assert.throws(() => monitor.validateScoringConfig({ keywordWeight: 'high' }), /keywordWeight must be a number/);
+        assert.throws(() => monitor.validateScoringConfig({ titleRules: [{ pattern: '(', weight: 1 }] }),
+            /titleRules\[0\] pattern is not a valid regular expression/);
+        assert.throws(() => monitor.validateScoringConfig({ levels: { high: 4 } }), /levels needs numeric/);
+    });
+});
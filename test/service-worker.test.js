@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseHTML } = require('linkedom');
+const { extractLinks, findNewLinks, serveShell, PERIODIC_SYNC_TAG } = require('../service-worker.js');
+const { createMonitor, MemoryStorage, readFixture, serveFixtures } = require('./helpers.js');
+
+const PAGE_URL = 'https://nola.gov/next/news/';
+
+test('extractLinks finds headline links without a DOM', () => {
+    const links = extractLinks(readFixture('nola-gov-news.html'), PAGE_URL);
+    assert.deepEqual(Array.from(links.entries()), [
+        ['https://nola.gov/next/news/mayor-announces-2026-budget-hearings/', 'Mayor Announces 2026 Budget Hearings'],
+        ['http://localhost:8000/next/news/street-closures-for-bayou-boogaloo/', 'Street Closures for Bayou Boogaloo'],
+        ['https://nopdnews.com/post/arrest-made-in-seventh-ward-shooting/', 'Arrest Made in Seventh Ward Shooting'],
+        ['https://nola.gov/next/news/next/news/housing-authority-board-meeting/', 'Housing Authority Board Meeting Rescheduled']
+    ]);
+});
+
+test('extractLinks skips short link text, fragments and non-http links', () => {
+    const html = `
+        <a href="/about">About</a>
+        <a href="mailto:press@nola.gov">press@nola.gov - media inquiries</a>
+        <a href='/news/a#comments'><span>Council approves</span> <b>drainage plan</b></a>
+        <a href="/news/a">Council approves drainage plan</a>`;
+    assert.deepEqual(Array.from(extractLinks(html, PAGE_URL).entries()), [
+        ['https://nola.gov/news/a', 'Council approves drainage plan']
+    ]);
+});
+
+test('findNewLinks ignores links seen last time and items the page already has', () => {
+    const current = new Map([
+        ['https://nola.gov/news/a', 'Council approves drainage plan'],
+        ['https://nola.gov/news/b', 'Mayor signs executive order'],
+        ['https://nola.gov/news/c', 'Library hours change for holiday']
+    ]);
+    assert.deepEqual(findNewLinks(current, ['https://nola.gov/news/a'], ['https://nola.gov/news/c']), [
+        { url: 'https://nola.gov/news/b', title: 'Mayor signs executive order' }
+    ]);
+});
+
+test('getServiceWorkerConfig lists enabled page sources and known item URLs', () => {
+    const monitor = createMonitor();
+    monitor.enabledSources = new Set(['nola-gov', 'swbno']);
+    monitor.currentNews = monitor.parseSourceContent(readFixture('nola-gov-news.html'), monitor.getSource('nola-gov'));
+
+    const config = monitor.getServiceWorkerConfig();
+    assert.deepEqual(config.sources.map(source => source.id), ['nola-gov', 'swbno']);
+    assert.deepEqual(config.proxies, ['']);
+    assert.equal(config.knownUrls['nola-gov'].length, 4);
+    assert.equal(config.notify, false);
+    assert.equal(monitor.backgroundSyncTag, PERIODIC_SYNC_TAG);
+});
+
+test('offline, the worker serves the cached shell and the page shows its own saved results', async () => {
+    const shell = new Map([['index.html', new Response('<html>shell</html>')], ['https://nola.test/monitor.js', new Response('// app')]]);
+    const opened = [];
+    const realFetch = global.fetch;
+    global.caches = {
+        open: async name => {
+            opened.push(name);
+            return { match: async request => shell.get(typeof request === 'string' ? request : request.url) || null, put: async () => {} };
+        }
+    };
+    global.fetch = async () => { throw new TypeError('Failed to fetch'); };
+    try {
+        assert.equal(await (await serveShell({ url: 'https://nola.test/?source=pwa', mode: 'navigate' })).text(), '<html>shell</html>');
+        assert.equal(await (await serveShell({ url: 'https://nola.test/monitor.js', mode: 'no-cors' })).text(), '// app');
+        await assert.rejects(serveShell({ url: 'https://nola.test/data.json', mode: 'cors' }), /Failed to fetch/);
+        assert.deepEqual(new Set(opened), new Set(['nola-monitor-shell-v1']));
+    } finally {
+        delete global.caches;
+        global.fetch = realFetch;
+    }
+
+    const storage = new MemoryStorage();
+    const online = createMonitor(storage);
+    online.enabledSources = new Set(['nola-gov']);
+    serveFixtures(online, { 'nola-gov': readFixture('nola-gov-news.html') });
+    await online.runCheck();
+
+    const { document } = parseHTML(`<html><body>
+        <div id="newsResults"></div><span id="resultsCount"></span><span id="lastChecked"></span>
+    </body></html>`);
+    global.document = document;
+    try {
+        const offline = createMonitor(storage);
+        offline.loadFromStorage();
+        offline.enabledSources = new Set(['nola-gov']);
+        assert.equal(offline.showSavedResults(), true);
+        const shown = document.getElementById('newsResults').textContent;
+        online.currentNews.forEach(item => assert.ok(shown.includes(item.title), item.title));
+        assert.match(document.getElementById('lastChecked').textContent, /^Last checked: /);
+    } finally {
+        delete global.document;
+    }
+});
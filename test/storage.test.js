@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileStorage } = require('../cli.js');
+const { MemoryStorage, createMonitor, readFixture, serveFixtures } = require('./helpers.js');
+
+test('a checked snapshot survives a reload', async () => {
+    const storage = new MemoryStorage();
+    const monitor = createMonitor(storage);
+    monitor.enabledSources = new Set(['nola-gov']);
+    serveFixtures(monitor, { 'nola-gov': readFixture('nola-gov-news.html') });
+    await monitor.runCheck();
+
+    const reloaded = createMonitor(storage);
+    assert.equal(reloaded.lastCheck, monitor.lastCheck);
+    assert.deepEqual(reloaded.currentNews, monitor.currentNews);
+    assert.deepEqual(reloaded.sourceStatus, monitor.sourceStatus);
+    assert.equal(reloaded.getHistory().length, 1);
+    assert.deepEqual(reloaded.storageProblems, []);
+});
+
+test('saved settings survive a reload', () => {
+    const storage = new MemoryStorage();
+    const monitor = createMonitor(storage);
+    monitor.saveSetting('sources', ['nopd-news']);
+    monitor.saveSetting('scoring', monitor.validateScoringConfig({ keywordWeight: 2 }));
+
+    const reloaded = createMonitor(storage);
+    assert.deepEqual(Array.from(reloaded.enabledSources), ['nopd-news']);
+    assert.equal(reloaded.scoringConfig.keywordWeight, 2);
+    assert.equal(reloaded.scoringConfig.baseScore, 1);
+});
+
+test('run-only overrides are not saved', () => {
+    const storage = new MemoryStorage();
+    const monitor = createMonitor(storage);
+    monitor.enabledSources = new Set(['swbno']);
+    monitor.saveToStorage();
+    assert.equal(createMonitor(storage).enabledSources.size, monitor.sources.length);
+});
+
+test('per-feature keys from older versions are migrated', () => {
+    const storage = new MemoryStorage({
+        nola_monitor_sources: JSON.stringify(['nola-gov', 'swbno']),
+        nola_monitor_view: JSON.stringify({ filterMode: 'matches', sortBy: 'score', search: '' })
+    });
+    const monitor = createMonitor(storage);
+    assert.deepEqual(Array.from(monitor.enabledSources), ['nola-gov', 'swbno']);
+    assert.equal(monitor.viewOptions.sortBy, 'score');
+    assert.equal(storage.getItem('nola_monitor_sources'), null);
+    assert.equal(JSON.parse(storage.getItem('nola_monitor_settings')).version, monitor.settingsVersion);
+});
+
+test('corrupt saved data is reported and kept aside', () => {
+    const storage = new MemoryStorage({ nola_monitor_data: '{"currentNews": [' });
+    const monitor = createMonitor(storage);
+    assert.deepEqual(monitor.currentNews, []);
+    assert.match(monitor.storageProblems[0], /nola_monitor_data is not valid JSON/);
+    assert.equal(storage.getItem('nola_monitor_data_corrupt'), '{"currentNews": [');
+});
+
+test('backups restore into a fresh monitor', async (t) => {
+    const original = createMonitor();
+    original.saveSetting('sources', ['city-council']);
+    const backup = JSON.parse(JSON.stringify(original.createBackup()));
+
+    await t.test('imports every saved section', () => {
+        const storage = new MemoryStorage();
+        const report = createMonitor(storage).importBackup(backup);
+        assert.deepEqual(report.errors, []);
+        assert.deepEqual(report.sections, ['sources']);
+        assert.deepEqual(Array.from(createMonitor(storage).enabledSources), ['city-council']);
+    });
+
+    await t.test('writes nothing when a section is invalid', () => {
+        const storage = new MemoryStorage();
+        const report = createMonitor(storage).importBackup({ ...backup, settings: { ...backup.settings, scoring: { baseScore: 'x' } } });
+        assert.deepEqual(report.errors, ['scoring: baseScore must be a number']);
+        assert.equal(storage.getItem('nola_monitor_settings'), null);
+    });
+});
+
+test('FileStorage reload picks up another process writing the state file', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nola-state-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const state = path.join(dir, 'state.json');
+
+    const reader = new FileStorage(state);
+    assert.equal(reader.reload(), false);
+    reader.setItem('nola_monitor_history', '[]');
+    assert.equal(reader.reload(), false);
+
+    fs.writeFileSync(state, JSON.stringify({ nola_monitor_history: '[{"timestamp":1}]' }));
+    fs.utimesSync(state, new Date(), new Date(Date.now() + 1000));
+    assert.equal(reader.reload(), true);
+    assert.equal(reader.getItem('nola_monitor_history'), '[{"timestamp":1}]');
+    assert.equal(reader.reload(), false);
+});
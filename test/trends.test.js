@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMonitor } = require('./helpers.js');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+// Friday 17 October 2025, 5:10pm local time
+const FRIDAY_5PM = new Date(2025, 9, 17, 17, 10).getTime();
+const NOW = new Date(2025, 9, 19, 12, 0).getTime();
+
+function makeRecord(overrides = {}) {
+    return {
+        id: 'item',
+        sourceId: 'nola-gov',
+        source: 'City of New Orleans',
+        title: 'Library hours change',
+        excerpt: '',
+        url: 'https://nola.gov/next/news/item/',
+        date: 'October 17, 2025',
+        timestamp: FRIDAY_5PM,
+        firstSeen: FRIDAY_5PM + HOUR,
+        ...overrides
+    };
+}
+
+test('buildTrends', async (t) => {
+    const monitor = createMonitor();
+    const records = [
+        makeRecord({ title: 'Council passes budget' }),
+        makeRecord({ title: 'Budget hearing set', sourceId: 'city-council', timestamp: FRIDAY_5PM + 20 * 60 * 1000 }),
+        makeRecord({ title: 'Police arrest suspect', sourceId: 'nopd-news', date: 'October 14, 2025', timestamp: new Date(2025, 9, 14).getTime(), firstSeen: new Date(2025, 9, 14, 9, 30).getTime() }),
+        makeRecord({ title: 'Old news', date: 'January 2, 2025', timestamp: new Date(2025, 0, 2).getTime() })
+    ];
+    const history = [
+        { timestamp: new Date(2025, 9, 14, 9, 15).getTime(), newsCount: 3, changesCount: 1 },
+        { timestamp: new Date(2025, 9, 17, 18, 0).getTime(), newsCount: 4, changesCount: 2 },
+        { timestamp: new Date(2025, 9, 18, 8, 0).getTime(), newsCount: 4, changesCount: 0 },
+        { timestamp: new Date(2025, 9, 18, 9, 0).getTime(), type: 'digest', changesCount: 3, recipients: [] }
+    ];
+
+    await t.test('counts items per day by source within the range', () => {
+        const trends = monitor.buildTrends(records, history, { days: 7, bucket: 'day', now: NOW });
+        assert.equal(trends.buckets.length, 7);
+        assert.equal(trends.buckets[0], new Date(2025, 9, 13).getTime());
+        assert.equal(trends.total, 3);
+        assert.deepEqual(trends.sources.map(source => [source.id, source.counts]), [
+            ['nola-gov', [0, 0, 0, 0, 1, 0, 0]],
+            ['nopd-news', [0, 1, 0, 0, 0, 0, 0]],
+            ['city-council', [0, 0, 0, 0, 1, 0, 0]]
+        ]);
+    });
+
+    await t.test('groups weeks from Monday', () => {
+        const trends = monitor.buildTrends(records, history, { days: 14, bucket: 'week', now: NOW });
+        assert.deepEqual(trends.buckets, [new Date(2025, 9, 6).getTime(), new Date(2025, 9, 13).getTime()]);
+        assert.deepEqual(trends.sources.map(source => source.counts), [[0, 1], [0, 1], [0, 1]]);
+    });
+
+    await t.test('tracks the top keywords and newsworthiness levels', () => {
+        const trends = monitor.buildTrends(records, history, { days: 7, now: NOW });
+        assert.deepEqual(trends.keywords.map(entry => [entry.keyword, entry.total]), [['budget', 2], ['council', 1], ['police', 1]]);
+        const levels = trends.sources.find(source => source.id === 'nola-gov').levels;
+        assert.equal(levels.high + levels.medium + levels.low, 1);
+    });
+
+    await t.test('finds the busiest posting slot', () => {
+        const trends = monitor.buildTrends(records, history, { days: 7, now: NOW });
+        assert.deepEqual(trends.peak, { day: 5, hour: 17, count: 2 });
+        assert.equal(trends.timed, 3);
+        assert.equal(trends.heatmap[2][9], 1); // Tuesday 9am, from the check that first saw it
+    });
+
+    await t.test('counts checks and changes, leaving digests out', () => {
+        const trends = monitor.buildTrends(records, history, { days: 7, now: NOW });
+        assert.deepEqual(trends.activity.checks, [0, 1, 0, 0, 1, 1, 0]);
+        assert.deepEqual(trends.activity.changes, [0, 1, 0, 0, 2, 0, 0]);
+    });
+});
+
+test('getPostingTime', async (t) => {
+    const monitor = createMonitor();
+    const dateOnly = makeRecord({ timestamp: new Date(2025, 9, 17).getTime(), firstSeen: FRIDAY_5PM });
+
+    await t.test('uses a published time of day', () => {
+        assert.equal(monitor.getPostingTime(makeRecord(), []), FRIDAY_5PM);
+    });
+
+    await t.test('uses first-seen time when a check ran shortly before', () => {
+        assert.equal(monitor.getPostingTime(dateOnly, [FRIDAY_5PM - HOUR]), FRIDAY_5PM);
+        assert.equal(monitor.getPostingTime({ ...dateOnly, date: 'Recent' }, [FRIDAY_5PM - HOUR]), FRIDAY_5PM);
+    });
+
+    await t.test('gives up on baselines, gaps between checks and old posts found late', () => {
+        assert.equal(monitor.getPostingTime(dateOnly, []), null);
+        assert.equal(monitor.getPostingTime(dateOnly, [FRIDAY_5PM - 5 * HOUR]), null);
+        assert.equal(monitor.getPostingTime({ ...dateOnly, timestamp: new Date(2025, 9, 10).getTime() }, [FRIDAY_5PM - HOUR]), null);
+    });
+});
+
+test('addToHistory keeps entries by age, not just the last 10', () => {
+    const monitor = createMonitor();
+    const old = { timestamp: Date.now() - (monitor.historyRetentionDays + 1) * DAY, newsCount: 1, changesCount: 0 };
+    monitor.storage.setItem('nola_monitor_history', JSON.stringify([old]));
+    for (let i = 0; i < 15; i++) monitor.addToHistory(10, i, { newCount: i });
+
+    const history = monitor.getHistory();
+    assert.equal(history.length, 15);
+    assert.equal(history[0].newCount, 14);
+    assert.ok(history.every(entry => entry.timestamp !== old.timestamp));
+});
+
+test('addToHistory keeps 180 days of 15-minute checks', () => {
+    const monitor = createMonitor();
+    monitor.checkIntervalMinutes = 15;
+    const now = Date.now();
+    const checks = monitor.historyRetentionDays * 24 * 4;
+    const seeded = Array.from({ length: checks - 1 }, (_, i) => ({ timestamp: now - (i + 1) * 15 * 60 * 1000, newsCount: 10, changesCount: 0 }));
+    monitor.storage.setItem('nola_monitor_history', JSON.stringify(seeded));
+    monitor.addToHistory(10, 1);
+
+    const history = monitor.getHistory();
+    assert.equal(history.length, checks);
+    assert.equal(history.at(-1).timestamp, seeded.at(-1).timestamp);
+    assert.ok(now - history.at(-1).timestamp > 179 * DAY);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryStorage, createMonitor, readFixture, serveFixtures } = require('./helpers.js');
+
+const item = (id, sourceId = 'nola-gov') => ({ id, sourceId, title: `Item ${id}`, url: `https://nola.gov/next/news/${id}/` });
+
+test('triage state', async (t) => {
+    await t.test('defaults to unread with nothing set', () => {
+        const monitor = createMonitor();
+        assert.deepEqual(monitor.getTriageState(item('a')),
+            { read: false, starred: false, dismissed: false, assignee: '', notes: '' });
+        assert.equal(monitor.isUnread(item('a')), true);
+    });
+
+    await t.test('merges updates and persists them next to the archive', async () => {
+        const storage = new MemoryStorage();
+        const monitor = createMonitor(storage);
+        await monitor.updateTriage([item('a'), item('c', 'nopd-news')], { starred: true });
+        await monitor.updateTriage([item('a')], { assignee: 'Jane Doe', notes: 'Call the council office' });
+
+        const state = monitor.getTriageState(item('a'));
+        assert.equal(state.starred, true);
+        assert.equal(state.assignee, 'Jane Doe');
+        assert.equal(state.key, 'nola-gov:a');
+        assert.equal(JSON.parse(storage.getItem('nola_monitor_archive_triage')).length, 2);
+
+        const reloaded = createMonitor(storage);
+        await reloaded.loadTriage();
+        assert.equal(reloaded.getTriageState(item('a')).notes, 'Call the council office');
+        assert.equal(reloaded.getTriageState(item('c', 'nopd-news')).starred, true);
+    });
+
+    await t.test('clearing the archive clears triage too', async () => {
+        const storage = new MemoryStorage();
+        const monitor = createMonitor(storage);
+        await monitor.updateTriage([item('a')], { read: true });
+        await monitor.archive.clear();
+        assert.deepEqual(await monitor.archive.getTriage(), []);
+    });
+});
+
+test('matchesTriageView', async (t) => {
+    const monitor = createMonitor();
+    await monitor.updateTriage([item('read')], { read: true });
+    await monitor.updateTriage([item('starred')], { starred: true });
+    await monitor.updateTriage([item('mine')], { assignee: 'Jane Doe' });
+    await monitor.updateTriage([item('gone')], { dismissed: true, starred: true });
+    const items = ['fresh', 'read', 'starred', 'mine', 'gone'].map(id => item(id));
+    const shown = view => items.filter(entry => monitor.matchesTriageView(entry, view)).map(entry => entry.id);
+
+    await t.test('hides dismissed items everywhere but the Dismissed view', () => {
+        assert.deepEqual(shown('all'), ['fresh', 'read', 'starred', 'mine']);
+        assert.deepEqual(shown('unread'), ['fresh', 'starred', 'mine']);
+        assert.deepEqual(shown('starred'), ['starred']);
+        assert.deepEqual(shown('dismissed'), ['gone']);
+    });
+
+    await t.test('My queue needs a reporter name and ignores case', () => {
+        assert.deepEqual(shown('queue'), []);
+        monitor.viewOptions.reporter = 'jane doe';
+        assert.deepEqual(shown('queue'), ['mine']);
+    });
+
+    await t.test('only counts items that are neither read nor dismissed as unread', () => {
+        assert.deepEqual(items.filter(entry => monitor.isUnread(entry)).map(entry => entry.id), ['fresh', 'starred', 'mine']);
+    });
+
+    await t.test('saved view settings are validated', () => {
+        assert.deepEqual(monitor.validateSettingsSection('view', { triage: 'queue', reporter: ' Jane ' }),
+            { filterMode: 'all', sortBy: 'source', search: '', entity: '', triage: 'queue', reporter: 'Jane' });
+        assert.throws(() => monitor.validateSettingsSection('view', { triage: 'mine' }), /triage must be/);
+    });
+});
+
+test('dismissed items never alert again', async () => {
+    const monitor = createMonitor();
+    monitor.enabledSources = new Set(['nola-gov']);
+    monitor.webhooks = [{ id: 'hook', name: 'Desk', url: 'https://hooks.example/desk', format: 'json', enabled: true }];
+    let delivered = [];
+    monitor.sendWebhooks = async changes => {
+        delivered = changes;
+        return [];
+    };
+
+    serveFixtures(monitor, { 'nola-gov': readFixture('nola-gov-news.html') });
+    await monitor.runCheck();
+    const street = monitor.currentNews.find(entry => entry.title === 'Street Closures for Bayou Boogaloo');
+    await monitor.updateTriage([street], { dismissed: true });
+
+    serveFixtures(monitor, {
+        'nola-gov': readFixture('nola-gov-news.html')
+            .replace('Street Closures for Bayou Boogaloo', 'Street Closures Extended for Bayou Boogaloo')
+            .replace('Mayor Announces 2026 Budget Hearings', 'Mayor Announces 2026 Budget Hearing Dates')
+    });
+    const result = await monitor.runCheck();
+
+    assert.deepEqual(result.changes.map(change => change.item.title).sort(),
+        ['Mayor Announces 2026 Budget Hearing Dates', 'Street Closures Extended for Bayou Boogaloo']);
+    assert.deepEqual(result.alerts.map(change => change.item.title), ['Mayor Announces 2026 Budget Hearing Dates']);
+    assert.deepEqual(delivered.map(change => change.item.title), ['Mayor Announces 2026 Budget Hearing Dates']);
+    assert.deepEqual(monitor.getChangeLog().map(entry => entry.title), ['Mayor Announces 2026 Budget Hearing Dates']);
+});
@@ -0,0 +1,236 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { NolaNewsMonitor } = require('../monitor.js');
+const { MemoryStorage } = require('./helpers.js');
+
+const createMonitor = (storage = new MemoryStorage()) =>
+    new NolaNewsMonitor({ headless: true, storage, proxies: [''], webhookRetry: { baseDelayMs: 5, timeoutMs: 500 } });
+
+// A local endpoint that records every POST and answers with the queued statuses
+// (200 once they run out); `hang` paths never answer, to exercise the timeout
+function startStub({ statuses = [], hang = [] } = {}) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ method: req.method, path: req.url, contentType: req.headers['content-type'], body: JSON.parse(body) });
+            if (hang.includes(req.url)) return;
+            res.writeHead(statuses.shift() || 200);
+            res.end();
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+        requests,
+        url: path => `http://127.0.0.1:${server.address().port}${path}`,
+        close: () => new Promise(done => {
+            server.closeAllConnections();
+            server.close(done);
+        })
+    })));
+}
+
+const hook = (stub, path, fields = {}) => ({ id: path.slice(1), name: path.slice(1), url: stub.url(path), format: 'json', enabled: true, ...fields });
+
+const now = Date.now();
+const items = {
+    budget: {
+        sourceId: 'nola-gov', source: 'City of New Orleans', date: 'Today', timestamp: now,
+        title: 'Mayor and City Council agree on 2027 budget for police and housing',
+        excerpt: 'The council voted 6-1.', url: 'https://nola.gov/next/news/budget-deal/'
+    },
+    sweeping: {
+        sourceId: 'nola-gov', source: 'City of New Orleans', date: 'Last week', timestamp: now - 10 * 24 * 60 * 60 * 1000,
+        title: 'Street sweeping schedule for Mid-City',
+        excerpt: 'No description available', url: 'https://nola.gov/next/news/sweeping/'
+    },
+    flood: {
+        sourceId: 'nopd-news', source: 'NOPD News', date: 'Monday', timestamp: now - 3 * 24 * 60 * 60 * 1000,
+        title: 'Flood gates close along the Industrial Canal',
+        excerpt: 'Crews closed the gates Tuesday.', url: 'https://nopdnews.com/post/flood-gates/'
+    }
+};
+const changes = [
+    { type: 'NEW', item: items.budget },
+    { type: 'MODIFIED', item: items.sweeping, diffs: [{ field: 'title' }] },
+    { type: 'NEW', item: items.flood },
+    { type: 'REMOVED', item: { ...items.flood, title: 'Boil water advisory for Algiers', url: 'https://nopdnews.com/post/boil-water/' } }
+];
+
+test('each format posts its payload to the endpoint', async (t) => {
+    const stub = await startStub();
+    t.after(() => stub.close());
+    const monitor = createMonitor();
+    monitor.webhooks = ['slack', 'teams', 'json'].map(format => hook(stub, `/${format}`, { format }));
+
+    const deliveries = await monitor.sendWebhooks(changes);
+    assert.deepEqual(deliveries.map(entry => [entry.name, entry.ok, entry.status, entry.itemCount]),
+        [['slack', true, 200, 3], ['teams', true, 200, 3], ['json', true, 200, 3]]);
+    assert.ok(stub.requests.every(request => request.method === 'POST' && request.contentType === 'application/json'));
+
+    const body = path => stub.requests.find(request => request.path === path).body;
+    const slack = body('/slack');
+    assert.equal(slack.text, 'NOLA City Hall Monitor: 3 changes');
+    assert.deepEqual(slack.blocks[0], { type: 'header', text: { type: 'plain_text', text: 'NOLA City Hall Monitor: 3 changes' } });
+    assert.equal(slack.blocks[1].text.type, 'mrkdwn');
+    assert.match(slack.blocks[1].text.text,
+        /^🆕 New \*<https:\/\/nola\.gov\/next\/news\/budget-deal\/\|Mayor and City Council agree on 2027 budget for police and housing>\*\nCity of New Orleans · 5\/5 high · budget, police, housing, mayor, council$/);
+
+    const teams = body('/teams');
+    assert.equal(teams['@type'], 'MessageCard');
+    assert.equal(teams.themeColor, 'E74C3C');
+    assert.equal(teams.sections[1].activityTitle, '✏️ Edited: [Street sweeping schedule for Mid-City](https://nola.gov/next/news/sweeping/)');
+    assert.equal(teams.sections[1].activitySubtitle, 'City of New Orleans · 2/5 low');
+
+    const json = body('/json');
+    assert.equal(json.event, 'nola-monitor.changes');
+    assert.equal(json.count, 3);
+    assert.deepEqual(json.items.map(summary => [summary.type, summary.title]), [
+        ['NEW', items.budget.title],
+        ['MODIFIED', items.sweeping.title],
+        ['NEW', items.flood.title]
+    ]);
+    assert.deepEqual(json.items[1].changedFields, ['title']);
+});
+
+test('thresholds decide what each hook receives', async (t) => {
+    const stub = await startStub();
+    t.after(() => stub.close());
+    const monitor = createMonitor();
+    monitor.watchlists.push({ name: 'Flooding', rules: [{ query: 'flood OR drainage', enabled: true }] });
+    monitor.webhooks = [
+        hook(stub, '/score-2', { minScore: 2 }),
+        hook(stub, '/no-threshold'),
+        hook(stub, '/flooding', { watchlist: 'Flooding' }),
+        hook(stub, '/deleted-watchlist', { watchlist: 'Gone' }),
+        hook(stub, '/removed-only', { changeTypes: ['REMOVED'] }),
+        hook(stub, '/disabled', { enabled: false })
+    ];
+
+    await monitor.sendWebhooks(changes);
+    const titles = path => {
+        const request = stub.requests.find(entry => entry.path === path);
+        return request ? request.body.items.map(summary => summary.title) : null;
+    };
+
+    assert.deepEqual(titles('/score-2'), [items.budget.title, items.sweeping.title]);
+    // A hook saved without minScore uses the same default the settings show
+    assert.equal(monitor.defaultWebhookMinScore, 1);
+    assert.deepEqual(titles('/no-threshold'), [items.budget.title, items.sweeping.title, items.flood.title]);
+    assert.deepEqual(titles('/flooding'), [items.flood.title]);
+    assert.deepEqual(titles('/removed-only'), ['Boil water advisory for Algiers']);
+    assert.equal(titles('/deleted-watchlist'), null);
+    assert.equal(titles('/disabled'), null);
+});
+
+test('a failing endpoint is retried and every delivery is logged', async (t) => {
+    const stub = await startStub({ statuses: [503, 200, 400], hang: ['/slow'] });
+    t.after(() => stub.close());
+    const storage = new MemoryStorage();
+    const monitor = createMonitor(storage);
+    const storedLog = () => JSON.parse(storage.getItem('nola_monitor_webhook_log'));
+
+    await t.test('a 503 is retried after the backoff', async () => {
+        monitor.webhooks = [hook(stub, '/flaky')];
+        const [entry] = await monitor.sendWebhooks(changes.slice(0, 1));
+        assert.equal(stub.requests.length, 2);
+        assert.deepEqual(stub.requests[0].body, stub.requests[1].body);
+        assert.equal(entry.ok, true);
+        assert.equal(entry.attempts, 2);
+        assert.equal(entry.status, 200);
+        assert.equal(entry.error, undefined);
+        assert.deepEqual(storedLog().map(logged => [logged.webhookId, logged.ok, logged.attempts, logged.itemCount]), [['flaky', true, 2, 1]]);
+    });
+
+    await t.test('a 4xx is not retried', async () => {
+        const [entry] = await monitor.sendWebhooks(changes.slice(0, 1));
+        assert.equal(stub.requests.length, 3);
+        assert.deepEqual([entry.ok, entry.attempts, entry.status, entry.error], [false, 1, 400, 'HTTP 400']);
+    });
+
+    await t.test('a hanging endpoint times out on every attempt', async () => {
+        monitor.webhooks = [hook(stub, '/slow')];
+        monitor.webhookRetry.timeoutMs = 50;
+        const [entry] = await monitor.sendWebhooks(changes.slice(0, 1));
+        assert.deepEqual([entry.ok, entry.attempts, entry.error], [false, 3, 'Timed out after 50ms']);
+        assert.equal(stub.requests.filter(request => request.path === '/slow').length, 3);
+    });
+
+    await t.test('the log keeps the newest delivery first and survives a reload', () => {
+        assert.deepEqual(storedLog().map(logged => logged.webhookId), ['slow', 'flaky', 'flaky']);
+        assert.deepEqual(createMonitor(storage).webhookLog, storedLog());
+    });
+});
+
+test('runCheck delivers detected changes, but not the baseline', async (t) => {
+    const stub = await startStub();
+    t.after(() => stub.close());
+    const monitor = createMonitor();
+    monitor.enabledSources = new Set(['nola-gov']);
+    monitor.webhooks = [hook(stub, '/desk', { minScore: 1 })];
+    const serve = listed => { monitor.fetchRealNewsData = async () => listed.map(item => ({ ...item, id: item.url.split('/')[5] })); };
+
+    serve([items.budget, items.sweeping]);
+    assert.deepEqual(await (await monitor.runCheck()).deliveries, []);
+    assert.equal(stub.requests.length, 0);
+
+    serve([{ ...items.budget, title: 'Mayor and City Council agree on 2027 budget for police, housing' }, items.sweeping]);
+    const result = await monitor.runCheck();
+    assert.deepEqual((await result.deliveries).map(entry => [entry.name, entry.ok]), [['desk', true]]);
+    assert.equal(stub.requests.length, 1);
+    assert.deepEqual(stub.requests[0].body.items.map(summary => [summary.type, summary.title]),
+        [['MODIFIED', 'Mayor and City Council agree on 2027 budget for police, housing']]);
+});
+
+test('runCheck does not wait for webhooks, and logs them once they settle', async (t) => {
+    const stub = await startStub({ hang: ['/slow'] });
+    t.after(() => stub.close());
+    const storage = new MemoryStorage();
+    const monitor = createMonitor(storage);
+    monitor.enabledSources = new Set(['nola-gov']);
+    monitor.webhookRetry.attempts = 1;
+    monitor.webhookRetry.timeoutMs = 200;
+    monitor.webhooks = [hook(stub, '/slow', { minScore: 1 }), hook(stub, '/desk', { minScore: 1 })];
+    monitor.buildWebhookPayload = (webhook, summaries) => {
+        if (webhook.id === 'desk') throw new Error('Payload template broke');
+        return NolaNewsMonitor.prototype.buildWebhookPayload.call(monitor, webhook, summaries);
+    };
+    const serve = listed => { monitor.fetchRealNewsData = async () => listed.map(item => ({ ...item, id: item.url.split('/')[5] })); };
+
+    serve([items.sweeping]);
+    await monitor.runCheck();
+    serve([items.budget, items.sweeping]);
+    const result = await monitor.runCheck();
+    assert.deepEqual(result.changes.map(change => change.type), ['NEW']);
+    assert.equal(monitor.webhookLog.some(entry => entry.webhookId === 'slow'), false);
+
+    const deliveries = await result.deliveries;
+    assert.deepEqual(deliveries.map(entry => [entry.name, entry.ok, entry.error]),
+        [['slow', false, 'Timed out after 200ms'], ['desk', false, 'Payload template broke']]);
+    assert.deepEqual(JSON.parse(storage.getItem('nola_monitor_webhook_log')).map(entry => entry.webhookId).sort(), ['desk', 'slow']);
+});
+
+test('payload links are only made from safe URLs', () => {
+    const monitor = createMonitor();
+    const summary = (title, url) => monitor.describeChange({ type: 'NEW', item: { ...items.budget, title, url } });
+    const summaries = [
+        summary('Budget | vote <today>', 'https://nola.gov/next/news/a|b>c(d)'),
+        summary('Click here', 'javascript:alert(1)'),
+        summary('Off-site', 'https://evil.example/news')
+    ];
+
+    const slack = monitor.buildWebhookPayload({ format: 'slack' }, summaries).blocks.slice(1).map(block => block.text.text.split('\n')[0]);
+    assert.deepEqual(slack, [
+        '🆕 New *<https://nola.gov/next/news/a%7Cb%3Ec(d)|Budget  vote today>*',
+        '🆕 New *Click here*',
+        '🆕 New *Off-site*'
+    ]);
+
+    const teams = monitor.buildWebhookPayload({ format: 'teams' }, summaries).sections.map(section => section.activityTitle);
+    assert.deepEqual(teams, [
+        '🆕 New: [Budget | vote <today>](https://nola.gov/next/news/a|b%3Ec%28d%29)',
+        '🆕 New: Click here',
+        '🆕 New: Off-site'
+    ]);
+});